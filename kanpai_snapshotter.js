@@ -1,1087 +1,7097 @@
+#!/usr/bin/env node
 const { ethers } = require("ethers");
 const fs = require("fs");
+const crypto = require("crypto");
 const axios = require("axios");
 const csv = require("csv-parser");
 const createCsvWriter = require("csv-writer").createObjectCsvWriter;
+const path = require("path");
 const readline = require("readline");
-require('dotenv').config();
+const dotenv = require("dotenv");
+const initSqlJs = require("sql.js");
+const { name: TOOL_NAME, version: TOOL_VERSION } = require("./package.json");
+dotenv.config();
 
 // Utility function for rate limiting and delays
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-// Readline interface for user input
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+// Readline interface for user input (created lazily so CLI runs never hold stdin open)
+let rl = null;
+
+function getReadline() {
+  if (!rl) {
+    rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+  }
+  return rl;
+}
+
+function closeReadline() {
+  if (rl) {
+    rl.close();
+    rl = null;
+  }
+}
 
 function question(prompt) {
   return new Promise((resolve) => {
-    rl.question(prompt, resolve);
+    getReadline().question(prompt, resolve);
   });
 }
 
-// Environment validation
+// Environment validation. API keys and RPC URLs are checked by the
+// snapshotter that needs them; MORALIS_API_KEY is optional.
 function validateEnvironment() {
-  const requiredVars = ['MORALIS_API_KEY'];
-  const missingVars = requiredVars.filter(varName => !process.env[varName]);
+  const numericVars = ['RETRY_DELAY', 'BATCH_SIZE', 'MAX_CONCURRENT', 'SOLANA_MAX_CONCURRENT', 'TOTAL_SUPPLY', 'MULTICALL_BATCH_SIZE',
+    'LOGS_BLOCK_RANGE', 'INFINITY_DEPLOY_BLOCK', 'RPC_RATE_LIMIT', 'SOLANA_RATE_LIMIT', 'RETRY_MAX_ATTEMPTS',
+    'CIRCUIT_BREAKER_THRESHOLD', 'CIRCUIT_BREAKER_COOLDOWN', 'RPC_QUORUM', 'FINALITY_CONFIRMATIONS'];
+  const invalidVars = numericVars.filter(varName => process.env[varName] && !/^\d+$/.test(process.env[varName].trim()));
   
-  if (missingVars.length > 0) {
-    throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
+  if (invalidVars.length > 0) {
+    throw new Error(`Environment variables must be whole numbers: ${invalidVars.join(', ')}`);
+  }
+  if (parseFinality(SNAPSHOT_FINALITY) === null) {
+    throw new Error(`SNAPSHOT_FINALITY must be finalized, safe, latest or a number of confirmations: ${SNAPSHOT_FINALITY}`);
   }
 }
 
-// Configuration constants
-const MORALIS_API_KEY = process.env.MORALIS_API_KEY;
-const HELIUS_API_KEY = process.env.HELIUS_API_KEY;
-const RETRY_DELAY = parseInt(process.env.RETRY_DELAY || "200");
-const BATCH_SIZE = parseInt(process.env.BATCH_SIZE || "25");
-const MAX_CONCURRENT = parseInt(process.env.MAX_CONCURRENT || "30");
-const SOLANA_MAX_CONCURRENT = parseInt(process.env.SOLANA_MAX_CONCURRENT || "10"); // Balanced for Solana
-
-// Contract configurations
-const CONTRACTS = {
-  infinity: {
-    address: "0x7Db7A0f8971C5d57F1ee44657B447D5D053B6bAE",
-    totalSupply: 250,
-    chain: "ethereum"
-  },
-  panda: {
-    address: process.env.CONTRACT_ADDRESS || "0xaCF63E56fd08970b43401492a02F6F38B6635C91",
-    totalSupply: parseInt(process.env.TOTAL_SUPPLY || "9000"),
-    chains: ["ethereum", "arbitrum", "optimism", "bsc", "polygon", "fantom", "avalanche"]
-  },
-  solanaPanda: {
-    inputFile: "Solana Panda IDs.csv",
-    heliusRpc: `https://mainnet.helius-rpc.com/?api-key=${HELIUS_API_KEY}`
-  }
-};
+// Configuration constants (assigned by applyConfiguration)
+let MORALIS_API_KEY;
+let HELIUS_API_KEY;
+const HELIUS_RPC_URL = "https://mainnet.helius-rpc.com/";
+let SOLANA_RPC_URLS;
+let RPC_QUORUM;
+let SNAPSHOT_FINALITY;
+let FINALITY_CONFIRMATIONS;
+let RETRY_DELAY;
+let RETRY_MAX_ATTEMPTS;
+let BATCH_SIZE;
+let MAX_CONCURRENT;
+let SOLANA_MAX_CONCURRENT;
+let RPC_RATE_LIMIT;
+let SOLANA_RATE_LIMIT;
+let CIRCUIT_BREAKER_THRESHOLD;
+let CIRCUIT_BREAKER_COOLDOWN;
+let BLOCK_CACHE_FILE;
+let USE_MULTICALL;
+let SOLANA_BATCH_LOOKUPS;
+let MULTICALL_BATCH_SIZE;
+let LOGS_BLOCK_RANGE;
+let CHECKPOINT_DIR;
+let OUTPUT_DIR;
+let SNAPSHOT_RETENTION;
+let USE_SNAPSHOT_DB;
+let SNAPSHOT_DB_FILE;
+let WALLET_LINKS_FILE;
+let COLLECTIONS_FILE;
+let CLASSIFY_WALLETS;
 
-// Chain configurations for multi-chain support
-const moralisChains = {
-  ethereum: "eth",
-  arbitrum: "arbitrum", 
-  optimism: "optimism",
-  bsc: "bsc",
-  polygon: "polygon",
-  fantom: "fantom",
-  avalanche: "avalanche",
+// Collection and chain registry, loaded from COLLECTIONS_FILE by applyConfiguration
+const COLLECTION_TYPES = ["evm-erc721", "evm-erc1155", "solana-mint-list"];
+const EVM_COLLECTION_TYPES = ["evm-erc721", "evm-erc1155"];
+// "enumerable" reads ERC721Enumerable, so it is not offered for ERC-1155
+const TOKEN_ID_METHODS = {
+  "evm-erc721": ["range", "enumerable", "mint-events"],
+  "evm-erc1155": ["range", "mint-events"]
 };
+let COLLECTIONS = {};
+let chains = {};
 
-const chains = {
-  ethereum: { rpc: process.env.ETH_RPC_URL, chainId: 1, snapshotBlock: null },
-  arbitrum: { rpc: process.env.ARBITRUM_RPC_URL, chainId: 42161, snapshotBlock: null },
-  optimism: { rpc: process.env.OPTIMISM_RPC_URL, chainId: 10, snapshotBlock: null },
-  bsc: { rpc: process.env.BSC_RPC_URL, chainId: 56, snapshotBlock: null },
-  polygon: { rpc: process.env.POLYGON_RPC_URL, chainId: 137, snapshotBlock: null },
-  fantom: { rpc: process.env.FANTOM_RPC_URL, chainId: 250, snapshotBlock: null },
-  avalanche: { rpc: process.env.AVALANCHE_RPC_URL, chainId: 43114, snapshotBlock: null },
-};
+/**
+ * (Re)read every setting from the environment. Called once at load time and
+ * again after a --config file has been merged into process.env.
+ */
+function applyConfiguration(env = process.env) {
+  MORALIS_API_KEY = env.MORALIS_API_KEY;
+  HELIUS_API_KEY = env.HELIUS_API_KEY;
+  SOLANA_RPC_URLS = [
+    ...(HELIUS_API_KEY ? [`${HELIUS_RPC_URL}?api-key=${HELIUS_API_KEY}`] : []),
+    ...parseRpcUrls(env.SOLANA_RPC_URL)
+  ];
+  RPC_QUORUM = parseInt(env.RPC_QUORUM || "1");
+  SNAPSHOT_FINALITY = env.SNAPSHOT_FINALITY || "finalized";
+  FINALITY_CONFIRMATIONS = parseInt(env.FINALITY_CONFIRMATIONS || "64");
+  RETRY_DELAY = parseInt(env.RETRY_DELAY || "200");
+  RETRY_MAX_ATTEMPTS = parseInt(env.RETRY_MAX_ATTEMPTS || "5");
+  BATCH_SIZE = parseInt(env.BATCH_SIZE || "25");
+  MAX_CONCURRENT = parseInt(env.MAX_CONCURRENT || "30");
+  SOLANA_MAX_CONCURRENT = parseInt(env.SOLANA_MAX_CONCURRENT || "10"); // Balanced for Solana
+  RPC_RATE_LIMIT = parseInt(env.RPC_RATE_LIMIT || "25");
+  SOLANA_RATE_LIMIT = parseInt(env.SOLANA_RATE_LIMIT || "10");
+  CIRCUIT_BREAKER_THRESHOLD = parseInt(env.CIRCUIT_BREAKER_THRESHOLD || "10");
+  CIRCUIT_BREAKER_COOLDOWN = parseInt(env.CIRCUIT_BREAKER_COOLDOWN || "30");
+  BLOCK_CACHE_FILE = env.BLOCK_CACHE_FILE || ".block-cache.json";
+  USE_MULTICALL = env.USE_MULTICALL !== "false";
+  SOLANA_BATCH_LOOKUPS = env.SOLANA_BATCH_LOOKUPS !== "false";
+  MULTICALL_BATCH_SIZE = parseInt(env.MULTICALL_BATCH_SIZE || "500");
+  LOGS_BLOCK_RANGE = parseInt(env.LOGS_BLOCK_RANGE || "10000");
+  CHECKPOINT_DIR = env.CHECKPOINT_DIR || ".checkpoints";
+  OUTPUT_DIR = env.OUTPUT_DIR || ".";
+  SNAPSHOT_RETENTION = parseRetention(env.SNAPSHOT_RETENTION || "all");
+  USE_SNAPSHOT_DB = env.USE_SNAPSHOT_DB !== "false";
+  SNAPSHOT_DB_FILE = env.SNAPSHOT_DB_FILE || "snapshots.db";
+  WALLET_LINKS_FILE = env.WALLET_LINKS_FILE || "wallet-links.json";
+  CLASSIFY_WALLETS = env.CLASSIFY_WALLETS !== "false";
 
-// Minimal ERC-721 ABI
-const abi = ["function ownerOf(uint256 tokenId) view returns (address)"];
+  COLLECTIONS_FILE = env.COLLECTIONS_FILE || path.join(__dirname, "collections.json");
 
-// Provider management
-const providerCache = new Map();
+  const registry = loadCollectionRegistry(COLLECTIONS_FILE);
+  chains = registry.chains;
+  COLLECTIONS = registry.collections;
+  for (const config of Object.values(chains)) {
+    // rpc is the first endpoint; requests fail over across all of rpcs
+    config.rpcs = parseRpcUrls(env[config.rpcEnv]);
+    config.rpc = config.rpcs[0];
+  }
 
-function getProvider(chainName, chainConfig) {
-  if (!providerCache.has(chainName)) {
-    const provider = new ethers.JsonRpcProvider(chainConfig.rpc, {
-      chainId: chainConfig.chainId,
-      name: chainName
-    });
-    providerCache.set(chainName, provider);
+  // Overrides kept from before the collections file existed
+  if (COLLECTIONS.panda?.type === "evm-erc721") {
+    if (env.CONTRACT_ADDRESS) {
+      Object.keys(COLLECTIONS.panda.contracts).forEach(chainName => {
+        COLLECTIONS.panda.contracts[chainName] = env.CONTRACT_ADDRESS;
+      });
+    }
+    if (env.TOTAL_SUPPLY) {
+      COLLECTIONS.panda.tokenIds.end = parseInt(env.TOTAL_SUPPLY);
+    }
+    Object.assign(COLLECTIONS.panda.deployBlocks, parseChainBlockList(env.PANDA_DEPLOY_BLOCKS));
+  }
+  if (COLLECTIONS.infinity?.type === "evm-erc721" && env.INFINITY_DEPLOY_BLOCK) {
+    COLLECTIONS.infinity.deployBlocks.ethereum = parseInt(env.INFINITY_DEPLOY_BLOCK);
   }
-  return providerCache.get(chainName);
 }
 
 /**
- * Get the block number for a given chain and Unix timestamp using Moralis API.
+ * Read the collections file and return its chains and collections, ready for
+ * use. Every problem in the file is reported at once.
  */
-async function getBlockForTimestamp(moralisChain, timestamp) {
-  const url = `https://deep-index.moralis.io/api/v2.2/dateToBlock?chain=${moralisChain}&date=${timestamp}`;
-  
+function loadCollectionRegistry(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Collections file not found: ${filePath}`);
+  }
+
+  let registry;
   try {
-    const response = await axios.get(url, {
-      headers: {
-        "X-API-Key": MORALIS_API_KEY,
-        Accept: "application/json",
-      },
-    });
-    return response.data.block;
+    registry = JSON.parse(fs.readFileSync(filePath, "utf8"));
   } catch (err) {
-    console.error(`Error fetching block for ${moralisChain}:`, err.response?.data || err.message);
-    throw err;
+    throw new Error(`Invalid JSON in collections file ${filePath}: ${err.message}`);
   }
-}
 
-/**
- * INFINITY SNAPSHOTTER CLASS
- */
-class InfinitySnapshotter {
-  constructor() {
-    this.contractAddress = CONTRACTS.infinity.address;
-    this.totalSupply = CONTRACTS.infinity.totalSupply;
-    this.batchSize = BATCH_SIZE;
+  const errors = validateCollectionRegistry(registry);
+  if (errors.length > 0) {
+    throw new Error(`Invalid collections file ${filePath}:\n- ${errors.join("\n- ")}`);
   }
 
-  async getTokenOwnerBatch(snapshotBlock, tokenIds) {
-    const provider = getProvider("ethereum", chains.ethereum);
-    const contract = new ethers.Contract(this.contractAddress, abi, provider);
-    
-    return await Promise.all(
-      tokenIds.map(async (tokenId) => {
-        try {
-          const owner = await contract.ownerOf(tokenId, { blockTag: snapshotBlock });
-          return { tokenId, owner };
-        } catch (err) {
-          return { tokenId, owner: null };
-        }
-      })
-    );
+  const registryChains = {};
+  Object.entries(registry.chains).forEach(([chainName, { chainId, rpcEnv, moralisChain, finality }]) => {
+    registryChains[chainName] = {
+      rpcEnv, rpc: null, chainId, moralisChain: moralisChain || null, finality: finality ?? null, snapshotBlock: null
+    };
+  });
+
+  const collections = {};
+  Object.entries(registry.collections).forEach(([id, collection]) => {
+    collections[id] = { ...collection, id, description: collection.description || "" };
+    if (EVM_COLLECTION_TYPES.includes(collection.type)) {
+      collections[id].contracts = { ...collection.contracts };
+      collections[id].chains = Object.keys(collection.contracts);
+      collections[id].tokenIds = { ...collection.tokenIds };
+      collections[id].deployBlocks = { ...collection.deployBlocks };
+      collections[id].escrowAddresses = [...(collection.escrowAddresses || [])];
+      collections[id].custodians = (collection.custodians || []).map(custodian => ({ ...custodian }));
+    } else {
+      // Mint lists are found next to the collections file
+      collections[id].mintList = path.resolve(path.dirname(filePath), collection.mintList);
+      collections[id].discovery = collection.discovery ? { ...collection.discovery } : null;
+      collections[id].custodians = (collection.custodians || []).map(custodian => ({ ...custodian, chain: "solana" }));
+    }
+  });
+
+  return { chains: registryChains, collections };
+}
+
+function validateCollectionRegistry(registry) {
+  const isObject = value => value !== null && typeof value === "object" && !Array.isArray(value);
+  const isBlock = value => Number.isInteger(value) && value >= 0;
+
+  if (!isObject(registry) || !isObject(registry.chains) || !isObject(registry.collections)) {
+    return ['expected an object with "chains" and "collections" objects'];
   }
 
-  async snapshotNFTs(snapshotBlock) {
-    const finalSnapshot = {};
-    const startTime = Date.now();
-    const tokensToRecheck = new Set();
-    let totalFound = 0;
+  const errors = [];
+  Object.entries(registry.chains).forEach(([chainName, chain]) => {
+    const where = `chains.${chainName}`;
+    if (!isObject(chain)) {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    if (!Number.isInteger(chain.chainId) || chain.chainId < 1) {
+      errors.push(`${where}.chainId must be a positive integer`);
+    }
+    if (typeof chain.rpcEnv !== "string" || !chain.rpcEnv) {
+      errors.push(`${where}.rpcEnv must name the environment variable that holds the RPC URL`);
+    }
+    if (chain.moralisChain !== undefined && typeof chain.moralisChain !== "string") {
+      errors.push(`${where}.moralisChain must be a string`);
+    }
+    if (chain.finality !== undefined && parseFinality(chain.finality) === null) {
+      errors.push(`${where}.finality must be "finalized", "safe", "latest" or a number of confirmations`);
+    }
+  });
 
-    console.log(`Starting to process ${this.totalSupply} Infinity tokens at block ${snapshotBlock}...`);
-    
-    // Create batches of token IDs
-    const batches = [];
-    for (let i = 1; i <= this.totalSupply; i += this.batchSize) {
-      const batch = [];
-      for (let j = 0; j < this.batchSize && i + j <= this.totalSupply; j++) {
-        batch.push(i + j);
-      }
-      batches.push(batch);
+  const prefixes = new Map();
+  Object.entries(registry.collections).forEach(([id, collection]) => {
+    const where = `collections.${id}`;
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(id) || id === "all") {
+      errors.push(`${where}: ids use lowercase letters, digits and dashes, and "all" is reserved`);
     }
-    
-    // Process each batch
-    for (const batch of batches) {
-      const batchStart = Math.min(...batch);
-      const batchEnd = Math.max(...batch);
-      console.log(`\nProcessing batch ${batchStart}-${batchEnd}...`);
-      
-      const results = await this.getTokenOwnerBatch(snapshotBlock, batch);
-      
-      let batchFound = 0;
-      for (const result of results) {
-        if (result.owner && result.owner !== ethers.ZeroAddress) {
-          finalSnapshot[result.tokenId] = {
-            owner: result.owner,
-            block: snapshotBlock
-          };
-          totalFound++;
-          batchFound++;
+    if (!isObject(collection)) {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    if (typeof collection.name !== "string" || !collection.name) {
+      errors.push(`${where}.name is required`);
+    }
+    if (collection.description !== undefined && typeof collection.description !== "string") {
+      errors.push(`${where}.description must be a string`);
+    }
+    if (!COLLECTION_TYPES.includes(collection.type)) {
+      errors.push(`${where}.type must be one of: ${COLLECTION_TYPES.join(", ")}`);
+    }
+
+    const prefix = collection.output?.prefix;
+    if (typeof prefix !== "string" || !prefix.trim()) {
+      errors.push(`${where}.output.prefix is required`);
+    } else if (/[\\/]/.test(prefix)) {
+      errors.push(`${where}.output.prefix must not contain path separators`);
+    } else if (prefixes.has(prefix)) {
+      errors.push(`${where}.output.prefix "${prefix}" is already used by ${prefixes.get(prefix)}`);
+    } else {
+      prefixes.set(prefix, id);
+    }
+
+    if (EVM_COLLECTION_TYPES.includes(collection.type)) {
+      if (!isObject(collection.contracts) || Object.keys(collection.contracts).length === 0) {
+        errors.push(`${where}.contracts must map at least one chain to a contract address`);
+      } else {
+        Object.entries(collection.contracts).forEach(([chainName, address]) => {
+          if (!registry.chains[chainName]) {
+            errors.push(`${where}.contracts.${chainName}: unknown chain`);
+          }
+          if (typeof address !== "string" || !ethers.isAddress(address)) {
+            errors.push(`${where}.contracts.${chainName} is not a valid address`);
+          }
+        });
+      }
+
+      const { tokenIds } = collection;
+      const methods = TOKEN_ID_METHODS[collection.type];
+      if (!isObject(tokenIds) || !methods.includes(tokenIds.method)) {
+        errors.push(`${where}.tokenIds.method must be one of: ${methods.join(", ")}`);
+      } else if (tokenIds.method === "range" &&
+        (!isBlock(tokenIds.start) || !isBlock(tokenIds.end) || tokenIds.end < tokenIds.start)) {
+        errors.push(`${where}.tokenIds needs whole-number start and end with start <= end`);
+      }
+
+      if (collection.escrowAddresses !== undefined) {
+        if (!Array.isArray(collection.escrowAddresses)) {
+          errors.push(`${where}.escrowAddresses must be a list of addresses`);
         } else {
-          tokensToRecheck.add(result.tokenId);
+          collection.escrowAddresses.forEach((address, index) => {
+            if (typeof address !== "string" || !ethers.isAddress(address)) {
+              errors.push(`${where}.escrowAddresses[${index}] is not a valid address`);
+            }
+          });
         }
       }
-      console.log(`   Found ${batchFound}/${batch.length} tokens in this batch`);
-      
-      const processedTokens = Math.min(batchEnd, this.totalSupply);
-      const elapsedMinutes = ((Date.now() - startTime) / 1000 / 60).toFixed(2);
-      const progress = ((processedTokens / this.totalSupply) * 100).toFixed(2);
-      console.log(`Progress: ${progress}% (${processedTokens}/${this.totalSupply} tokens) | Time elapsed: ${elapsedMinutes} minutes`);
-      
-      await sleep(RETRY_DELAY);
-    }
-    
-    // Recheck tokens with retry logic
-    if (tokensToRecheck.size > 0) {
-      for (let pass = 1; pass <= 3; pass++) {
-        if (tokensToRecheck.size === 0) break;
-        
-        console.log(`\nPass ${pass}: Rechecking ${tokensToRecheck.size} tokens...`);
-        const tokensArray = Array.from(tokensToRecheck);
-        
-        const recheckBatches = [];
-        const batchSize = Math.max(5, Math.floor(this.batchSize / pass));
-        for (let i = 0; i < tokensArray.length; i += batchSize) {
-          recheckBatches.push(tokensArray.slice(i, i + batchSize));
+
+      if (collection.deployBlocks !== undefined) {
+        if (!isObject(collection.deployBlocks)) {
+          errors.push(`${where}.deployBlocks must map chains to block numbers`);
+        } else {
+          Object.entries(collection.deployBlocks).forEach(([chainName, block]) => {
+            if (!collection.contracts?.[chainName]) {
+              errors.push(`${where}.deployBlocks.${chainName}: no contract on that chain`);
+            } else if (!isBlock(block)) {
+              errors.push(`${where}.deployBlocks.${chainName} must be a block number`);
+            }
+          });
         }
-        
-        for (const batch of recheckBatches) {
-          await sleep(RETRY_DELAY * pass);
-          
-          let results = null;
-          let attempts = pass;
-          
-          while (attempts > 0) {
+      }
+    } else if (collection.type === "solana-mint-list") {
+      if (typeof collection.mintList !== "string" || !collection.mintList) {
+        errors.push(`${where}.mintList must be the path of the mint list CSV`);
+      }
+      if (collection.discovery !== undefined) {
+        const { discovery } = collection;
+        if (!isObject(discovery)) {
+          errors.push(`${where}.discovery must be an object`);
+        } else {
+          if (discovery.collection === undefined && discovery.updateAuthority === undefined) {
+            errors.push(`${where}.discovery needs a collection key or an updateAuthority`);
+          }
+          ["collection", "updateAuthority"].filter(key => discovery[key] !== undefined && !isSolanaAddress(discovery[key]))
+            .forEach(key => errors.push(`${where}.discovery.${key} must be a Solana address`));
+          if (discovery.tokenIdPattern !== undefined) {
             try {
-              results = await this.getTokenOwnerBatch(snapshotBlock, batch);
-              break;
-            } catch (err) {
-              attempts--;
-              if (attempts > 0) {
-                await sleep(1000 * (pass - attempts));
+              if (new RegExp(`${discovery.tokenIdPattern}|`).exec("").length < 2) {
+                errors.push(`${where}.discovery.tokenIdPattern must capture the TokenId in a group`);
               }
+            } catch (err) {
+              errors.push(`${where}.discovery.tokenIdPattern is not a valid regular expression`);
             }
           }
-          
-          if (!results) continue;
-          
-          for (const result of results) {
-            if (!tokensToRecheck.has(result.tokenId)) continue;
-            
-            if (result.owner && result.owner !== ethers.ZeroAddress) {
-              finalSnapshot[result.tokenId] = {
-                owner: result.owner,
-                block: snapshotBlock
-              };
-              totalFound++;
-              tokensToRecheck.delete(result.tokenId);
+        }
+      }
+    }
+
+    if (collection.custodians !== undefined) {
+      if (collection.type === "evm-erc1155") {
+        errors.push(`${where}.custodians are not supported for ERC-1155 collections`);
+      } else if (!Array.isArray(collection.custodians)) {
+        errors.push(`${where}.custodians must be a list`);
+      } else {
+        collection.custodians.forEach((custodian, index) => {
+          const at = `${where}.custodians[${index}]`;
+          if (!isObject(custodian)) {
+            errors.push(`${at} must be an object`);
+            return;
+          }
+          if (typeof custodian.name !== "string" || !custodian.name) {
+            errors.push(`${at}.name is required`);
+          }
+          if (typeof custodian.resolver !== "string" || !custodian.resolver) {
+            errors.push(`${at}.resolver must name a custodian resolver`);
+          }
+          if (collection.type === "solana-mint-list") {
+            if (!isSolanaAddress(custodian.address)) {
+              errors.push(`${at}.address must be the Solana address that owns the custodied token accounts`);
+            }
+          } else {
+            if (!collection.contracts?.[custodian.chain]) {
+              errors.push(`${at}.chain must be one of the collection's chains`);
+            }
+            if (typeof custodian.address !== "string" || !ethers.isAddress(custodian.address)) {
+              errors.push(`${at}.address is not a valid address`);
             }
           }
-        }
+        });
       }
     }
-    
-    return await this.generateOutput(finalSnapshot, totalFound, startTime);
+  });
+
+  return errors;
+}
+
+/**
+ * Registry entry for a collection id, or a clear error listing the valid ids.
+ */
+function getCollection(collectionId) {
+  const collection = COLLECTIONS[collectionId];
+  if (!collection) {
+    throw new Error(`Unknown collection: ${collectionId} (expected one of: ${Object.keys(COLLECTIONS).join(", ")})`);
   }
+  return collection;
+}
 
-  async generateOutput(finalSnapshot, totalFound, startTime) {
-    // Clean up old snapshot files
-    const files = fs.readdirSync('.');
-    const oldSnapshots = files.filter(file => file.startsWith('Infinity Holders') && file.endsWith('.csv'));
-    if (oldSnapshots.length > 0) {
-      oldSnapshots.forEach(file => fs.unlinkSync(file));
-      console.log(`Cleaned up ${oldSnapshots.length} old snapshot file(s)`);
-    }
+/**
+ * Split an RPC URL setting into its endpoints: one URL, or several separated
+ * by commas or whitespace, in order of preference.
+ */
+function parseRpcUrls(value) {
+  return (value || "").split(/[\s,]+/).filter(Boolean);
+}
 
-    // Generate CSV output with current date
-    const now = new Date();
-    const month = now.getMonth() + 1;
-    const day = now.getDate();
-    const csvFileName = `Infinity Holders ${month}.${day}.csv`;
-    
-    // Create CSV data
-    const csvData = [];
-    Object.entries(finalSnapshot).forEach(([tokenId, tokenData]) => {
-      csvData.push({
-        TokenId: tokenId,
-        Owner: tokenData.owner,
-        Chain: 'ethereum',
-        BlockNumber: tokenData.block
-      });
-    });
-    
-    csvData.sort((a, b) => parseInt(a.TokenId) - parseInt(b.TokenId));
-    
-    const csvWriter = createCsvWriter({
-      path: csvFileName,
-      header: [
-        {id: 'TokenId', title: 'TokenId'},
-        {id: 'Owner', title: 'Owner'},
-        {id: 'Chain', title: 'Chain'},
-        {id: 'BlockNumber', title: 'BlockNumber'}
-      ]
-    });
-    
-    await csvWriter.writeRecords(csvData);
+/**
+ * Parse "ethereum=123,polygon=456" into { ethereum: 123, polygon: 456 }.
+ */
+function parseChainBlockList(value) {
+  const blocks = {};
+  if (!value) return blocks;
 
-    const endTime = Date.now();
-    const totalRuntime = ((endTime - startTime) / 1000 / 60).toFixed(2);
+  value.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [chainName, blockValue] = entry.split('=');
+    if (!chains[chainName] || !/^\d+$/.test(blockValue || '')) {
+      throw new Error(`Invalid chain block entry "${entry}" (expected <chain>=<block>)`);
+    }
+    blocks[chainName] = parseInt(blockValue);
+  });
+  return blocks;
+}
 
-    console.log("\n=== Infinity Snapshot Summary ===");
-    console.log(`- Total Supply: ${this.totalSupply}`);
-    console.log(`- Tokens Found: ${totalFound}`);
-    console.log(`- Tokens Not Found: ${this.totalSupply - totalFound}`);
-    console.log(`- Success Rate: ${((totalFound / this.totalSupply) * 100).toFixed(2)}%`);
-    console.log(`- Total Runtime: ${totalRuntime} minutes`);
-    console.log(`\nCompleted! Results saved to ${csvFileName}`);
-    
-    return {
-      foundTokens: finalSnapshot,
-      outputFile: csvFileName,
-      stats: {
-        total: this.totalSupply,
-        found: totalFound,
-        missing: this.totalSupply - totalFound,
-        successRate: ((totalFound / this.totalSupply) * 100).toFixed(2),
-        runtime: totalRuntime
-      }
-    };
+/**
+ * Merge a config file into process.env and re-apply the configuration.
+ * Accepts JSON ({ "ETH_RPC_URL": "...", "BATCH_SIZE": 50 }) or dotenv syntax.
+ * Values from the file take precedence over .env and the shell environment.
+ */
+function loadConfigFile(configPath) {
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+
+  const content = fs.readFileSync(configPath, 'utf8');
+  let values;
+  if (path.extname(configPath).toLowerCase() === '.json') {
+    try {
+      values = JSON.parse(content);
+    } catch (err) {
+      throw new Error(`Invalid JSON in config file ${configPath}: ${err.message}`);
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      throw new Error(`Config file ${configPath} must contain a JSON object`);
+    }
+  } else {
+    values = dotenv.parse(content);
   }
+
+  Object.entries(values).forEach(([key, value]) => {
+    if (value !== null && value !== undefined) {
+      process.env[key] = String(value);
+    }
+  });
+  applyConfiguration();
 }
 
+applyConfiguration();
+
+// Minimal ERC-721 ABI
+const abi = ["function ownerOf(uint256 tokenId) view returns (address)"];
+const erc721Interface = new ethers.Interface(abi);
+
+// ERC721Enumerable and ERC-1155 reads used for token ID and holder discovery
+const enumerableInterface = new ethers.Interface([
+  "function totalSupply() view returns (uint256)",
+  "function tokenByIndex(uint256 index) view returns (uint256)"
+]);
+const erc1155Interface = new ethers.Interface([
+  "function balanceOf(address account, uint256 id) view returns (uint256)",
+  "event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)",
+  "event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)"
+]);
+
+// Multicall3 is deployed at the same address on every supported chain
+const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+const multicall3Abi = [
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)"
+];
+
 /**
- * PANDA MULTI-CHAIN SNAPSHOTTER CLASS
+ * REQUEST SCHEDULER
+ * Every RPC and API request goes through the scheduler of its endpoint. A
+ * token bucket paces requests, a concurrency cap bounds how many are in
+ * flight, transient failures are retried with jittered exponential backoff
+ * (waiting out Retry-After on 429s), and a circuit breaker fails requests
+ * fast once an endpoint keeps timing out or erroring. Each scheduler also
+ * scores its endpoint's health, which ranks endpoints for failover.
  */
-class PandaSnapshotter {
-  constructor() {
-    this.contractAddress = CONTRACTS.panda.address;
-    this.totalSupply = CONTRACTS.panda.totalSupply;
-    this.batchSize = BATCH_SIZE;
+const MAX_RETRY_DELAY = 30000;
+// Attempts on an endpoint before failing over to the next one
+const FAILOVER_ATTEMPTS = 2;
+
+class RequestScheduler {
+  constructor(name, options = {}) {
+    this.names = new Set([name]);
+    this.url = options.url || null;
+    this.rate = options.rate || 0; // Requests per second, 0 for no limit
+    this.burst = Math.max(1, this.rate);
+    this.maxConcurrent = Math.max(1, options.maxConcurrent || 1);
+    this.tokens = this.burst;
+    this.refilledAt = Date.now();
+    this.pausedUntil = 0;
+    this.active = 0;
+    this.waiting = [];
+    this.consecutiveFailures = 0;
+    this.openUntil = 0;
+    this.health = 1; // Moving average of request outcomes, 1 = every request succeeded
+    this.latencyMs = null; // Moving average of successful request time
+    this.resetStats();
   }
 
-  async getLatestBlocks() {
-    for (const [chainName, config] of Object.entries(chains)) {
-      if (!config.rpc) {
-        console.warn(`No RPC URL for ${chainName}, skipping...`);
-        continue;
-      }
-      
-      console.log(`Fetching latest block for ${chainName}...`);
-      const provider = getProvider(chainName, config);
-      const blockNumber = await provider.getBlockNumber();
-      config.snapshotBlock = blockNumber;
-      console.log(`Chain: ${chainName} | Latest block: ${blockNumber}`);
-      await sleep(RETRY_DELAY);
+  get name() {
+    return [...this.names].join("/");
+  }
+
+  resetStats() {
+    this.stats = { requests: 0, retries: 0, rateLimited: 0, throttledMs: 0, failed: 0, circuitOpens: 0, rejected: 0, failovers: 0 };
+  }
+
+  get isOpen() {
+    return Date.now() < this.openUntil;
+  }
+
+  recordOutcome(succeeded, latencyMs) {
+    this.health = this.health * 0.8 + (succeeded ? 0.2 : 0);
+    if (succeeded) {
+      this.latencyMs = this.latencyMs === null ? latencyMs : Math.round(this.latencyMs * 0.8 + latencyMs * 0.2);
     }
   }
 
-  async getTokenOwnerBatch(chainName, chainConfig, tokenIds) {
-    const provider = getProvider(chainName, chainConfig);
-    const contract = new ethers.Contract(this.contractAddress, abi, provider);
-    
-    return await Promise.all(
-      tokenIds.map(async (tokenId) => {
-        try {
-          const owner = await contract.ownerOf(tokenId, { blockTag: chainConfig.snapshotBlock });
-          return { tokenId, owner };
-        } catch (err) {
-          return { tokenId, owner: null };
-        }
-      })
-    );
+  // Slots are handed from one request to the next waiting one, so the cap
+  // cannot be overshot between a check and an increment
+  async acquireSlot() {
+    if (this.active < this.maxConcurrent) {
+      this.active++;
+      return;
+    }
+    await new Promise(resolve => this.waiting.push(resolve));
   }
 
-  generateWalletSummary(foundTokens) {
-    const walletCounts = {};
-    Object.values(foundTokens).forEach(({ owner }) => {
-      walletCounts[owner] = (walletCounts[owner] || 0) + 1;
-    });
-    return walletCounts;
+  releaseSlot() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
   }
 
-  async snapshotNFTs() {
-    const finalSnapshot = {};
-    const startTime = Date.now();
-    const tokensToRecheck = new Set();
-    const chainStats = {};
-    
-    Object.keys(chains).forEach(chain => {
-      chainStats[chain] = 0;
-    });
+  async takeToken() {
+    for (;;) {
+      const now = Date.now();
+      if (now < this.pausedUntil) {
+        this.stats.throttledMs += this.pausedUntil - now;
+        await sleep(this.pausedUntil - now);
+        continue;
+      }
+      if (!this.rate) return;
 
-    console.log(`Starting to process ${this.totalSupply} Panda tokens across ${Object.keys(chains).length} chains...`);
-    
-    // Create batches
-    const batches = [];
-    for (let i = 1; i <= this.totalSupply; i += this.batchSize) {
-      const batch = [];
-      for (let j = 0; j < this.batchSize && i + j <= this.totalSupply; j++) {
-        batch.push(i + j);
+      this.tokens = Math.min(this.burst, this.tokens + ((now - this.refilledAt) / 1000) * this.rate);
+      this.refilledAt = now;
+      if (this.tokens >= 1) {
+        this.tokens--;
+        return;
       }
-      batches.push(batch);
+      const wait = Math.ceil(((1 - this.tokens) / this.rate) * 1000);
+      this.stats.throttledMs += wait;
+      await sleep(wait);
     }
-    
-    // Process each batch
-    for (const batch of batches) {
-      const batchStart = Math.min(...batch);
-      const batchEnd = Math.max(...batch);
-      console.log(`\nProcessing batch ${batchStart}-${batchEnd}...`);
-      
-      const chainPromises = Object.entries(chains).map(async ([chainName, chainConfig]) => {
-        if (!chainConfig.snapshotBlock || !chainConfig.rpc) return null;
-        const results = await this.getTokenOwnerBatch(chainName, chainConfig, batch);
-        return { chainName, results };
-      });
-      
-      const chainResults = await Promise.all(chainPromises);
-      
-            let batchFound = 0;
-      for (const tokenId of batch) {
-        let foundOnChain = false;
-        
-        for (const chainResult of chainResults) {
-          if (!chainResult) continue;
-          
-          const { chainName, results } = chainResult;
-          const result = results.find(r => r.tokenId === tokenId);
-          
-          if (result?.owner && result.owner !== ethers.ZeroAddress) {
-            finalSnapshot[tokenId] = {
-              owner: result.owner,
-              chain: chainName,
-              block: chains[chainName].snapshotBlock,
-            };
-            chainStats[chainName]++;
-            foundOnChain = true;
-            batchFound++;
-            break;
-          }
-        }
-        
-        if (!foundOnChain) {
-          tokensToRecheck.add(tokenId);
-        }
-      }
-      console.log(`   Found ${batchFound}/${batch.length} tokens in this batch`);
-      
-      const processedTokens = Math.min(batchEnd, this.totalSupply);
-      const elapsedMinutes = ((Date.now() - startTime) / 1000 / 60).toFixed(2);
-      const progress = ((processedTokens / this.totalSupply) * 100).toFixed(2);
-      console.log(`Progress: ${progress}% (${processedTokens}/${this.totalSupply} tokens) | Time elapsed: ${elapsedMinutes} minutes`);
-      
-      await sleep(50);
+  }
+
+  /**
+   * Closed until CIRCUIT_BREAKER_THRESHOLD failures in a row, then open
+   * (failing fast) for CIRCUIT_BREAKER_COOLDOWN seconds. After the cooldown
+   * requests go through again; the next failure reopens it at once.
+   */
+  checkCircuit() {
+    if (this.isOpen) {
+      this.stats.rejected++;
+      throw requestError(`Circuit open for ${this.name} after ${this.consecutiveFailures} consecutive failures; ` +
+        `retrying after ${new Date(this.openUntil).toISOString()}`, null);
     }
-    
-    // Retry logic for missed tokens
-    if (tokensToRecheck.size > 0) {
-      for (let pass = 1; pass <= 3; pass++) {
-        if (tokensToRecheck.size === 0) break;
-        
-        console.log(`\nPass ${pass}: Rechecking ${tokensToRecheck.size} tokens...`);
-        const tokensArray = Array.from(tokensToRecheck);
-        
-        const recheckBatches = [];
-        const batchSize = Math.max(5, Math.floor(this.batchSize / pass));
-        for (let i = 0; i < tokensArray.length; i += batchSize) {
-          recheckBatches.push(tokensArray.slice(i, i + batchSize));
-        }
-        
-        for (const batch of recheckBatches) {
-          await sleep(50 * pass);
-          
-          const chainPromises = Object.entries(chains).map(async ([chainName, chainConfig]) => {
-            if (!chainConfig.snapshotBlock || !chainConfig.rpc) return null;
-            
-            let attempts = pass;
-            let results = null;
-            
-            while (attempts > 0) {
-              try {
-                results = await this.getTokenOwnerBatch(chainName, chainConfig, batch);
-                break;
-              } catch (err) {
-                attempts--;
-                if (attempts > 0) {
-                  await sleep(1000 * (pass - attempts));
-                }
-              }
-            }
-            
-            return { chainName, results };
-          });
-          
-          const chainResults = await Promise.all(chainPromises);
-          
-          for (const tokenId of batch) {
-            if (!tokensToRecheck.has(tokenId)) continue;
-            
-            let found = false;
-            for (const chainResult of chainResults) {
-              if (!chainResult) continue;
-              
-              const { chainName, results } = chainResult;
-              const result = results?.find(r => r.tokenId === tokenId);
-              
-              if (result?.owner && result.owner !== ethers.ZeroAddress) {
-                finalSnapshot[tokenId] = {
-                  owner: result.owner,
-                  chain: chainName,
-                  block: chains[chainName].snapshotBlock,
-                };
-                chainStats[chainName]++;
-                found = true;
-                tokensToRecheck.delete(tokenId);
-                break;
-              }
-            }
+  }
+
+  recordFailure() {
+    this.consecutiveFailures++;
+    if (CIRCUIT_BREAKER_THRESHOLD > 0 && this.consecutiveFailures >= CIRCUIT_BREAKER_THRESHOLD && Date.now() >= this.openUntil) {
+      this.openUntil = Date.now() + CIRCUIT_BREAKER_COOLDOWN * 1000;
+      this.stats.circuitOpens++;
+      console.warn(`Warning: ${this.name} failed ${this.consecutiveFailures} times in a row; pausing it for ${CIRCUIT_BREAKER_COOLDOWN}s`);
+    }
+  }
+
+  // Equal jitter: half the exponential delay, plus up to as much again at random
+  getBackoff(attempt) {
+    const delay = Math.min(MAX_RETRY_DELAY, RETRY_DELAY * Math.pow(2, attempt - 1));
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+  }
+
+  /**
+   * Run task (a function making one request) under the endpoint's limits,
+   * retrying it while it fails transiently (see getRetryKind), up to
+   * options.maxAttempts (default RETRY_MAX_ATTEMPTS) times.
+   */
+  async schedule(task, options = {}) {
+    const maxAttempts = options.maxAttempts || RETRY_MAX_ATTEMPTS;
+    for (let attempt = 1; ; attempt++) {
+      this.checkCircuit();
+      await this.acquireSlot();
+
+      let delay;
+      try {
+        await this.takeToken();
+        this.stats.requests++;
+        const result = await task();
+        this.consecutiveFailures = 0;
+        return result;
+      } catch (err) {
+        const retryKind = getRetryKind(err);
+        if (!retryKind) throw err;
+
+        delay = this.getBackoff(attempt);
+        if (retryKind === "rate-limit") {
+          // A rate limit means the endpoint is up: pause it rather than count a failure
+          this.stats.rateLimited++;
+          const retryAfter = getRetryAfter(err);
+          if (retryAfter !== null) {
+            this.pausedUntil = Math.max(this.pausedUntil, Date.now() + retryAfter);
+            this.stats.throttledMs += retryAfter;
+            delay = retryAfter;
           }
+        } else {
+          this.recordFailure();
         }
-        
-        if (pass < 3) {
-          const remainingTokens = tokensToRecheck.size;
-          console.log(`   Pass ${pass} completed: ${remainingTokens} tokens still need retry`);
+
+        if (attempt >= maxAttempts || this.isOpen) {
+          this.stats.failed++;
+          throw err;
         }
+        this.stats.retries++;
+      } finally {
+        this.releaseSlot();
       }
+      await sleep(delay);
     }
-    
-    return await this.generateOutput(finalSnapshot, chainStats, startTime);
   }
+}
 
-  async generateOutput(finalSnapshot, chainStats, startTime) {
-    const endTime = Date.now();
-    const totalRuntime = ((endTime - startTime) / 1000 / 60).toFixed(2);
-    const totalFound = Object.keys(finalSnapshot).length;
+// Error for a failed request, tagged with how the scheduler should treat it
+function requestError(message, retryKind, retryAfter = null) {
+  const error = new Error(message);
+  error.retryKind = retryKind;
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+/**
+ * Whether a failed request (ethers, axios or requestError) is worth retrying:
+ * "rate-limit", "timeout", "server-error" or "network", or null for errors a
+ * retry will not fix (bad request, bad API key, reverted call).
+ */
+function getRetryKind(err) {
+  if (err?.retryKind !== undefined) return err.retryKind;
+
+  const status = err?.response?.status;
+  if (status === 429) return "rate-limit";
+  if (status >= 500) return "server-error";
+  if (status) return null;
+  if (["TIMEOUT", "ECONNABORTED", "ETIMEDOUT"].includes(err?.code)) return "timeout";
+  if (["ECONNRESET", "ECONNREFUSED", "EPIPE", "EAI_AGAIN", "ENETUNREACH", "EHOSTUNREACH"].includes(err?.code)) return "network";
+  return null;
+}
+
+// Milliseconds to wait from a Retry-After header (seconds or an HTTP date), or null
+function getRetryAfter(err) {
+  const value = err?.retryAfter ?? err?.response?.headers?.["retry-after"];
+  if (value === null || value === undefined || value === "") return null;
+
+  const retryAfter = /^\d+$/.test(String(value).trim())
+    ? parseInt(value) * 1000
+    : Date.parse(value) - Date.now();
+  return Number.isFinite(retryAfter) ? Math.min(Math.max(retryAfter, 0), MAX_RETRY_DELAY * 10) : null;
+}
+
+// Schedulers per endpoint URL, shared by every chain or client using it
+const schedulers = new Map();
+
+function getScheduler(endpoint, name, options) {
+  if (!schedulers.has(endpoint)) {
+    schedulers.set(endpoint, new RequestScheduler(name, { ...options, url: endpoint }));
+  }
+  const scheduler = schedulers.get(endpoint);
+  scheduler.names.add(name);
+  return scheduler;
+}
+
+/**
+ * Schedulers for a list of endpoint URLs, named after `name` and, when there
+ * are several, each URL's host (never the full URL, which may hold an API key).
+ */
+function getEndpointSchedulers(urls, name, options) {
+  return urls.map(url => getScheduler(url, urls.length > 1 ? `${name} (${describeEndpoint(url)})` : name, options));
+}
+
+function describeEndpoint(url) {
+  try {
+    return new URL(url).host;
+  } catch (err) {
+    return "invalid URL";
+  }
+}
+
+// Endpoints in the order to try them: closed circuits first, then by health and latency
+function rankEndpoints(endpoints) {
+  return endpoints
+    .map((endpoint, index) => ({ endpoint, index }))
+    .sort((a, b) => (a.endpoint.isOpen - b.endpoint.isOpen) ||
+      (b.endpoint.health - a.endpoint.health) ||
+      ((a.endpoint.latencyMs ?? 0) - (b.endpoint.latencyMs ?? 0)) ||
+      (a.index - b.index))
+    .map(({ endpoint }) => endpoint);
+}
 
-    // Clean up old files
-    const files = fs.readdirSync('.');
-    const oldFiles = files.filter(file => file.startsWith('Panda Holders') && file.endsWith('.csv'));
-    if (oldFiles.length > 0) {
-      oldFiles.forEach(file => fs.unlinkSync(file));
-      console.log(`Cleaned up ${oldFiles.length} old snapshot file(s)`);
+/**
+ * Run task(endpoint) on the best ranked endpoint, failing over to the next
+ * after FAILOVER_ATTEMPTS attempts. The last endpoint gets the full retry
+ * budget. Only transport failures throw here (JSON-RPC errors are answers),
+ * and those are specific to the endpoint, so any of them fails over.
+ */
+async function sendWithFailover(endpoints, task) {
+  const ranked = rankEndpoints(endpoints);
+  let lastError;
+  for (const [index, endpoint] of ranked.entries()) {
+    const isLast = index === ranked.length - 1;
+    const startedAt = Date.now();
+    try {
+      const result = await endpoint.schedule(() => task(endpoint), { maxAttempts: isLast ? RETRY_MAX_ATTEMPTS : FAILOVER_ATTEMPTS });
+      endpoint.recordOutcome(true, Date.now() - startedAt);
+      return result;
+    } catch (err) {
+      endpoint.recordOutcome(false);
+      if (!isLast) endpoint.stats.failovers++;
+      lastError = err;
     }
+  }
+  throw lastError;
+}
 
-    // Create CSV data
-    const csvData = [];
-    Object.entries(finalSnapshot).forEach(([tokenId, tokenData]) => {
-      csvData.push({
-        TokenId: tokenId,
-        Owner: tokenData.owner,
-        Chain: tokenData.chain,
-        BlockNumber: tokenData.block
-      });
-    });
-    
-    csvData.sort((a, b) => parseInt(a.TokenId) - parseInt(b.TokenId));
-    
-    const walletCounts = this.generateWalletSummary(finalSnapshot);
-    const sortedWallets = Object.entries(walletCounts).sort((a, b) => b[1] - a[1]);
+function resetRequestStats() {
+  schedulers.forEach(scheduler => scheduler.resetStats());
+}
 
-    const now = new Date();
-    const month = now.getMonth() + 1;
-    const day = now.getDate();
-    const dateString = `${month}.${day}`;
-    const outputFile = `Panda Holders ${dateString}.csv`;
-    
-    const csvWriter = createCsvWriter({
-      path: outputFile,
-      header: [
-        {id: 'TokenId', title: 'TokenId'},
-        {id: 'Owner', title: 'Owner'},
-        {id: 'Chain', title: 'Chain'},
-        {id: 'BlockNumber', title: 'BlockNumber'}
-      ]
-    });
-    
-    await csvWriter.writeRecords(csvData);
+// Request counts per endpoint since the last reset, for the run result
+function getRequestStats() {
+  const stats = {};
+  schedulers.forEach(scheduler => {
+    if (scheduler.stats.requests > 0 || scheduler.stats.rejected > 0) {
+      stats[scheduler.name] = { ...scheduler.stats, health: scheduler.health };
+    }
+  });
+  return stats;
+}
 
-    console.log("\n=== Multi-Chain Panda Snapshot Summary ===");
-    console.log(`- Total Supply: ${this.totalSupply}`);
-    console.log(`- Tokens Found: ${totalFound}`);
-    console.log(`- Tokens Not Found: ${this.totalSupply - totalFound}`);
-    console.log(`- Success Rate: ${((totalFound / this.totalSupply) * 100).toFixed(2)}%`);
-    console.log(`- Total unique wallets: ${sortedWallets.length}`);
-    console.log(`- Total Runtime: ${totalRuntime} minutes`);
+function printRequestStats(stats) {
+  const endpoints = Object.entries(stats);
+  if (endpoints.length === 0) return;
 
-    console.log("\nChain Distribution:");
-    Object.entries(chainStats).forEach(([chain, count]) => {
-      if (count > 0) {
-        console.log(`- ${chain}: ${count} tokens`);
+  console.log("\nRequest Stats:");
+  endpoints.forEach(([name, { requests, retries, rateLimited, throttledMs, failed, circuitOpens, rejected, failovers, health }]) => {
+    const details = [`${retries} retried`, `${rateLimited} rate limited`, `${(throttledMs / 1000).toFixed(1)}s throttled`];
+    if (failed > 0) details.push(`${failed} failed`);
+    if (failovers > 0) details.push(`${failovers} failed over`);
+    if (circuitOpens > 0) details.push(`circuit opened ${circuitOpens}x, ${rejected} rejected while open`);
+    details.push(`health ${health.toFixed(2)}`);
+    console.log(`- ${name}: ${requests} requests (${details.join(", ")})`);
+  });
+}
+
+/**
+ * JSON-RPC provider whose HTTP requests go through the endpoints' schedulers,
+ * failing over between them. ethers' own 429 retries are turned off so there
+ * is one retry policy.
+ */
+class ScheduledJsonRpcProvider extends ethers.JsonRpcProvider {
+  constructor(endpoints, network) {
+    super(endpoints[0].url, network);
+    this.endpoints = endpoints;
+  }
+
+  async _send(payload) {
+    return await sendWithFailover(this.endpoints, async (endpoint) => {
+      const request = new ethers.FetchRequest(endpoint.url);
+      request.body = JSON.stringify(payload);
+      request.setHeader("content-type", "application/json");
+      request.retryFunc = async () => false;
+
+      const response = await request.send();
+      if (response.statusCode === 429 || response.statusCode >= 500) {
+        throw requestError(`HTTP ${response.statusCode} ${response.statusMessage}`,
+          response.statusCode === 429 ? "rate-limit" : "server-error", response.headers["retry-after"]);
+      }
+      response.assertOk();
+
+      // Some providers report rate limits as a JSON-RPC error in a 200 response
+      const results = [].concat(response.bodyJson);
+      const limited = results.find(({ error }) => error && classifyRpcError({ error }) === "rate-limit");
+      if (limited) {
+        throw requestError(limited.error.message, "rate-limit");
       }
+      return results;
     });
+  }
+}
 
-    console.log("\nTop 5 Holders:");
-    sortedWallets.slice(0, 5).forEach(([address, count], index) => {
-      console.log(`${index + 1}. ${address}: ${count} tokens`);
+// Provider management
+const providerCache = new Map();
+
+function getChainEndpoints(chainName, chainConfig) {
+  const urls = chainConfig.rpcs?.length ? chainConfig.rpcs : [chainConfig.rpc];
+  return getEndpointSchedulers(urls, chainName, { rate: RPC_RATE_LIMIT, maxConcurrent: MAX_CONCURRENT });
+}
+
+function getProvider(chainName, chainConfig) {
+  if (!providerCache.has(chainName)) {
+    const provider = new ScheduledJsonRpcProvider(getChainEndpoints(chainName, chainConfig), {
+      chainId: chainConfig.chainId,
+      name: chainName
     });
+    providerCache.set(chainName, provider);
+  }
+  return providerCache.get(chainName);
+}
 
-    console.log(`\nCompleted! Results saved to ${outputFile}`);
-    
-    return {
-      processedData: csvData,
-      outputFile: outputFile,
-      stats: {
-        total: this.totalSupply,
-        found: totalFound,
-        missing: this.totalSupply - totalFound,
-        successRate: ((totalFound / this.totalSupply) * 100).toFixed(2),
-        runtime: totalRuntime,
-        uniqueWallets: sortedWallets.length
+// Provider pinned to one of the chain's endpoints, for quorum reads
+function getEndpointProvider(chainName, chainConfig, endpoint) {
+  const key = `${chainName}|${endpoint.url}`;
+  if (!providerCache.has(key)) {
+    providerCache.set(key, new ScheduledJsonRpcProvider([endpoint], {
+      chainId: chainConfig.chainId,
+      name: chainName
+    }));
+  }
+  return providerCache.get(key);
+}
+
+function destroyProviders() {
+  providerCache.forEach(provider => provider.destroy());
+  providerCache.clear();
+}
+
+// Multicall3 availability per `${chainName}:${blockTag}`
+const multicallSupport = new Map();
+
+/**
+ * Multicall3 must have existed at the snapshot block, not just today, so
+ * availability is checked with eth_getCode at that block.
+ */
+async function supportsMulticall(chainName, chainConfig, blockTag) {
+  if (!USE_MULTICALL) return false;
+
+  const key = `${chainName}:${blockTag}`;
+  if (!multicallSupport.has(key)) {
+    try {
+      const code = await getProvider(chainName, chainConfig).getCode(MULTICALL3_ADDRESS, blockTag);
+      multicallSupport.set(key, code !== "0x");
+      if (code === "0x") {
+        console.warn(`Multicall3 not deployed on ${chainName} at block ${blockTag}, using per-call mode`);
       }
-    };
+    } catch (err) {
+      // Don't cache a transient failure; use per-call mode for this batch only
+      return false;
+    }
   }
+  return multicallSupport.get(key);
 }
 
 /**
- * SOLANA PANDA SNAPSHOTTER CLASS
+ * LOOKUP FAILURES
+ * Why an owner lookup came back empty. A token that does not exist at the
+ * snapshot block gives the same answer on every retry; only the transient
+ * reasons are worth retrying.
  */
-class SolanaPandaSnapshotter {
-  constructor() {
-    this.maxConcurrent = SOLANA_MAX_CONCURRENT;
-    this.activeRequests = 0;
-    this.rateLimitDelay = 100; // Base delay between requests
-    this.lastRequestTime = 0;
-    this.headers = {
-      "Content-Type": "application/json",
-      "User-Agent": "SolanaPandaOwnershipBot/1.0"
-    };
-    this.heliusRpc = CONTRACTS.solanaPanda.heliusRpc;
+const FAILURE_REASONS = {
+  nonexistent: "nonexistent or burned",
+  "zero-address": "zero-address owner",
+  reverted: "reverted",
+  timeout: "timeout",
+  "rate-limit": "rate limited",
+  "rpc-error": "RPC error",
+  disagreement: "endpoints disagree",
+  "not-checked": "no chain checked"
+};
+// A disagreement may be a lagging endpoint catching up, so it is retried too
+const TRANSIENT_FAILURES = ["rate-limit", "timeout", "rpc-error", "disagreement"];
+
+// Revert reasons ERC-721 implementations give for an unminted or burned token
+const revertInterface = new ethers.Interface([
+  "error Error(string reason)",
+  "error ERC721NonexistentToken(uint256 tokenId)",
+  "error OwnerQueryForNonexistentToken()",
+  "error TokenDoesNotExist()",
+  "error NonExistentToken()"
+]);
+const NONEXISTENT_REVERT_PATTERN = /non-?existent|does ?not ?exist|invalid token id|not minted/i;
+
+function isTransientFailure(failure) {
+  return TRANSIENT_FAILURES.includes(failure);
+}
+
+/**
+ * Kind of a failed request (ethers or axios error): "rate-limit", "timeout"
+ * or "rpc-error".
+ */
+function classifyRpcError(err) {
+  const rpcCode = err?.error?.code ?? err?.info?.error?.code;
+  const message = [err?.code, err?.message, err?.error?.message, err?.info?.error?.message].filter(Boolean).join(" ");
+  if (err?.response?.status === 429 || rpcCode === 429 || /\b429\b|rate.?limit|too many requests/i.test(message)) {
+    return "rate-limit";
+  }
+  if (/TIMEOUT|ETIMEDOUT|ECONNABORTED|timed? ?out/i.test(message)) {
+    return "timeout";
   }
+  return "rpc-error";
+}
 
-  async waitForSlot() {
-    while (this.activeRequests >= this.maxConcurrent) {
-      await sleep(100);
-    }
-    
-    // Rate limiting - ensure minimum delay between requests
-    const now = Date.now();
-    const timeSinceLastRequest = now - this.lastRequestTime;
-    if (timeSinceLastRequest < this.rateLimitDelay) {
-      await sleep(this.rateLimitDelay - timeSinceLastRequest);
+// The node's own error message when there is one, rather than the library's wrapper
+function describeRpcError(err) {
+  return err?.info?.error?.message || err?.error?.message || err?.shortMessage || err?.message || String(err);
+}
+
+/**
+ * Failure for a reverted call from its revert data: "nonexistent" when the
+ * reason names a missing token, otherwise "reverted".
+ */
+function classifyRevert(revertData) {
+  let detail = "no revert reason";
+  if (revertData && revertData !== "0x") {
+    let parsed = null;
+    try {
+      parsed = revertInterface.parseError(revertData);
+    } catch (err) {
+      // Unknown custom error; fall through to the selector
     }
-    this.lastRequestTime = Date.now();
-    
-    this.activeRequests++;
+    detail = !parsed ? `custom error ${revertData.slice(0, 10)}`
+      : parsed.name === "Error" ? parsed.args[0]
+      : parsed.name;
   }
+  return { failure: NONEXISTENT_REVERT_PATTERN.test(detail) ? "nonexistent" : "reverted", detail };
+}
 
-  releaseSlot() {
-    this.activeRequests--;
+/**
+ * Failure for a JSON-RPC error in a Solana response. The RPC rejects an
+ * address that is not a token mint, which no retry will change.
+ */
+function classifySolanaRpcError(rpcError) {
+  const detail = rpcError.message || JSON.stringify(rpcError);
+  if (/not a token mint|could not find mint|invalid param/i.test(detail)) {
+    return { failure: "nonexistent", detail };
   }
+  return { failure: classifyRpcError({ error: rpcError }), detail };
+}
 
-  async getNFTOwner(mintAddress) {
-    if (!mintAddress || mintAddress.trim() === '') {
-      return null;
-    }
+/**
+ * The reason a token is reported under when its lookups failed for different
+ * reasons on different chains ([{ chain, failure }]): a transient failure on
+ * any chain means the token may still be held there.
+ */
+function getPrimaryFailure(failures) {
+  const precedence = [...TRANSIENT_FAILURES, "reverted", "zero-address", "nonexistent"];
+  return precedence.find(reason => failures.some(({ failure }) => failure === reason)) || "not-checked";
+}
 
-    const maxRetries = 5;
-    let retryDelay = 2000;
-    
-    for (let attempt = 0; attempt < maxRetries; attempt++) {
-      await this.waitForSlot();
-      
+/**
+ * Count failed tokens by reason ([reason]) as "12 nonexistent or burned, 3 timeout".
+ */
+function describeFailureCounts(reasons) {
+  const counts = {};
+  reasons.forEach(reason => {
+    counts[reason] = (counts[reason] || 0) + 1;
+  });
+  return Object.keys(FAILURE_REASONS)
+    .filter(reason => counts[reason])
+    .map(reason => `${counts[reason]} ${FAILURE_REASONS[reason]}`)
+    .join(", ");
+}
+
+/**
+ * Run many calls of one view function in a single eth_call via Multicall3
+ * aggregate3. allowFailure keeps one reverting call from failing the rest.
+ */
+async function readViaMulticall(provider, calls, contractInterface, functionName, blockTag) {
+  const multicall = new ethers.Contract(MULTICALL3_ADDRESS, multicall3Abi, provider);
+  const aggregated = calls.map(({ target, args }) => ({
+    target,
+    allowFailure: true,
+    callData: contractInterface.encodeFunctionData(functionName, args)
+  }));
+
+  try {
+    const results = await multicall.aggregate3.staticCall(aggregated, { blockTag });
+    return results.map(([success, returnData]) => {
+      if (!success) {
+        return classifyRevert(returnData);
+      }
+      if (returnData === "0x") {
+        return { failure: "reverted", detail: "no return data" };
+      }
       try {
-        if (attempt > 0) {
-          await sleep(retryDelay * attempt);
-        }
-        
-        const payload = {
-          jsonrpc: "2.0",
-          id: 1,
-          method: "getTokenLargestAccounts",
-          params: [mintAddress, { commitment: "confirmed" }]
-        };
-        
-        const response = await axios.post(this.heliusRpc, payload, {
-          headers: this.headers,
-          timeout: 60000
-        });
-        
-        if (response.status === 429) {
-          this.releaseSlot();
-          const backoffDelay = retryDelay * Math.pow(2, attempt + 1); // Exponential backoff
-          await sleep(backoffDelay);
-          continue;
-        }
-        
-        if (!response.data || !response.data.result) {
-          this.releaseSlot();
-          await sleep(retryDelay * (attempt + 1));
-          continue;
-        }
-        
-        const accounts = response.data.result.value;
-        const activeAccounts = accounts.filter(acc => parseInt(acc.amount) > 0);
-        
-        if (activeAccounts.length === 0) {
-          this.releaseSlot();
-          await sleep(retryDelay);
-          continue;
+        return { value: contractInterface.decodeFunctionResult(functionName, returnData)[0] };
+      } catch (err) {
+        return { failure: "reverted", detail: "undecodable return data" };
+      }
+    });
+  } catch (err) {
+    const failure = { failure: classifyRpcError(err), detail: describeRpcError(err) };
+    return calls.map(() => failure);
+  }
+}
+
+async function readPerCall(provider, calls, contractInterface, functionName, blockTag) {
+  const results = [];
+
+  // Keep the historical BATCH_SIZE concurrency when falling back
+  for (const batch of chunk(calls, BATCH_SIZE)) {
+    results.push(...await Promise.all(
+      batch.map(async ({ target, args }) => {
+        try {
+          const contract = new ethers.Contract(target, contractInterface, provider);
+          return { value: await contract[functionName](...args, { blockTag }) };
+        } catch (err) {
+          // ethers reports every failed eth_call as CALL_EXCEPTION; only some reverted
+          if (err.code === "CALL_EXCEPTION" && (err.data || /revert/i.test(describeRpcError(err)))) {
+            return classifyRevert(err.data);
+          }
+          if (err.code === "BAD_DATA") {
+            return { failure: "reverted", detail: "no return data" };
+          }
+          return { failure: classifyRpcError(err), detail: describeRpcError(err) };
         }
+      })
+    ));
+  }
+  return results;
+}
+
+/**
+ * Make view calls ([{ target, args }], all to the same function) on one chain
+ * at one block, through Multicall3 when it existed at that block. Returns an
+ * outcome per call: { value } with the first return value, or { failure, detail }
+ * with failure one of FAILURE_REASONS. provider defaults to the chain's
+ * failover provider.
+ */
+async function readContractCallOutcomes(chainName, chainConfig, calls, contractInterface, functionName, blockTag,
+  provider = getProvider(chainName, chainConfig)) {
+
+  if (!await supportsMulticall(chainName, chainConfig, blockTag)) {
+    return await readPerCall(provider, calls, contractInterface, functionName, blockTag);
+  }
+
+  const results = [];
+  for (const batch of chunk(calls, MULTICALL_BATCH_SIZE)) {
+    results.push(...await readViaMulticall(provider, batch, contractInterface, functionName, blockTag));
+  }
+  return results;
+}
+
+/**
+ * Like readContractCallOutcomes, but returns the first return value of each
+ * call, or null where the call reverted or failed.
+ */
+async function readContractCalls(chainName, chainConfig, calls, contractInterface, functionName, blockTag) {
+  const outcomes = await readContractCallOutcomes(chainName, chainConfig, calls, contractInterface, functionName, blockTag);
+  return outcomes.map(outcome => outcome.failure ? null : outcome.value);
+}
+
+/**
+ * Call a view function on one contract once per argument list; see readContractCalls.
+ */
+async function readContractBatch(chainName, chainConfig, contractAddress, contractInterface, functionName, argsList, blockTag) {
+  return await readContractCalls(chainName, chainConfig, argsList.map(args => ({ target: contractAddress, args })),
+    contractInterface, functionName, blockTag);
+}
+
+/**
+ * Resolve ownerOf for a list of token IDs on one chain at one block,
+ * returning [{ tokenId, owner, failure, detail }]. owner is null when the
+ * lookup failed; failure then says why (see FAILURE_REASONS).
+ */
+async function getTokenOwners(chainName, chainConfig, contractAddress, tokenIds, blockTag, provider) {
+  const outcomes = await readContractCallOutcomes(chainName, chainConfig,
+    tokenIds.map(tokenId => ({ target: contractAddress, args: [tokenId] })), erc721Interface, "ownerOf", blockTag, provider);
+  return tokenIds.map((tokenId, index) => {
+    const { value, failure, detail } = outcomes[index];
+    if (failure) {
+      return { tokenId, owner: null, failure, detail };
+    }
+    if (value === ethers.ZeroAddress) {
+      return { tokenId, owner: null, failure: "zero-address", detail: "ownerOf returned the zero address" };
+    }
+    return { tokenId, owner: value };
+  });
+}
+
+/**
+ * Get the block number for a given chain and Unix timestamp using Moralis API.
+ */
+async function getBlockForTimestamp(moralisChain, timestamp) {
+  const url = `https://deep-index.moralis.io/api/v2.2/dateToBlock?chain=${moralisChain}&date=${timestamp}`;
+  
+  const scheduler = getScheduler("moralis", "Moralis", { rate: RPC_RATE_LIMIT, maxConcurrent: MAX_CONCURRENT });
+  try {
+    const response = await scheduler.schedule(() => axios.get(url, {
+      headers: {
+        "X-API-Key": MORALIS_API_KEY,
+        Accept: "application/json",
+      },
+    }));
+    return response.data.block;
+  } catch (err) {
+    console.error(`Error fetching block for ${moralisChain}:`, err.response?.data || err.message);
+    throw err;
+  }
+}
+
+/**
+ * BLOCK RESOLVER CLASS
+ * Maps a Unix timestamp to the last block mined at or before it by binary
+ * searching block timestamps over plain JSON-RPC, so any archive RPC works.
+ * When MORALIS_API_KEY is set, dateToBlock seeds the search with a nearby
+ * block. Resolved blocks are cached on disk per chain ID and timestamp.
+ */
+class BlockResolver {
+  constructor(options = {}) {
+    this.cacheFile = options.cacheFile !== undefined ? options.cacheFile : BLOCK_CACHE_FILE;
+    this.useMoralis = options.useMoralis !== undefined ? options.useMoralis : Boolean(MORALIS_API_KEY);
+    this.timestamps = new Map(); // `${chainId}:${blockNumber}` -> block timestamp
+    this.resolved = this.loadCache();
+    this.rpcCalls = 0;
+  }
+
+  loadCache() {
+    if (!this.cacheFile || !fs.existsSync(this.cacheFile)) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(this.cacheFile, 'utf8'));
+    } catch (err) {
+      console.warn(`Ignoring unreadable block cache ${this.cacheFile}: ${err.message}`);
+      return {};
+    }
+  }
+
+  saveCache() {
+    if (this.cacheFile) {
+      fs.writeFileSync(this.cacheFile, JSON.stringify(this.resolved, null, 2));
+    }
+  }
+
+  async getBlockTimestamp(provider, chainId, blockNumber) {
+    const key = `${chainId}:${blockNumber}`;
+    if (!this.timestamps.has(key)) {
+      this.rpcCalls++;
+      const block = await provider.send("eth_getBlockByNumber", [ethers.toQuantity(blockNumber), false]);
+      if (!block) {
+        throw new Error(`Block ${blockNumber} not found on chain ${chainId}`);
+      }
+      this.timestamps.set(key, parseInt(block.timestamp, 16));
+    }
+    return this.timestamps.get(key);
+  }
+
+  /**
+   * Find the first block where contractAddress has code, by binary searching
+   * eth_getCode up to atBlock. Returns null if it is not deployed by then.
+   */
+  async resolveDeployBlock(chainName, chainConfig, contractAddress, atBlock) {
+    const cacheKey = `deploy:${chainConfig.chainId}:${contractAddress.toLowerCase()}`;
+    if (this.resolved[cacheKey] !== undefined && this.resolved[cacheKey] <= atBlock) {
+      return this.resolved[cacheKey];
+    }
+
+    const provider = getProvider(chainName, chainConfig);
+    const hasCode = async (blockNumber) => {
+      this.rpcCalls++;
+      return await provider.getCode(contractAddress, blockNumber) !== "0x";
+    };
+
+    if (!await hasCode(atBlock)) {
+      return null;
+    }
+
+    let lo = 0;
+    let hi = atBlock;
+    while (lo < hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (await hasCode(mid)) {
+        hi = mid;
+      } else {
+        lo = mid + 1;
+      }
+    }
+
+    this.resolved[cacheKey] = lo;
+    this.saveCache();
+    return lo;
+  }
+
+  /**
+   * Resolve the last block at or before targetSeconds on the given chain.
+   * chainConfig needs { rpc, chainId } and may name its Moralis chain in moralisChain.
+   */
+  async resolve(chainName, chainConfig, targetSeconds) {
+    const cacheKey = `${chainConfig.chainId}:${targetSeconds}`;
+    if (this.resolved[cacheKey] !== undefined) {
+      return this.resolved[cacheKey];
+    }
+
+    const provider = getProvider(chainName, chainConfig);
+    const latest = await provider.getBlockNumber();
+    if (await this.getBlockTimestamp(provider, chainConfig.chainId, latest) <= targetSeconds) {
+      // Blocks after the target may still be mined, so the tip is never cached
+      return latest;
+    }
+
+    let hint;
+    if (this.useMoralis && chainConfig.moralisChain) {
+      try {
+        hint = parseInt(await getBlockForTimestamp(chainConfig.moralisChain, new Date(targetSeconds * 1000).toISOString()));
+      } catch (err) {
+        console.warn(`Moralis lookup failed for ${chainName}, falling back to RPC search`);
+      }
+    }
+
+    const blockNumber = await this.search(provider, chainConfig.chainId, targetSeconds, latest, hint);
+    this.resolved[cacheKey] = blockNumber;
+    this.saveCache();
+    return blockNumber;
+  }
+
+  /**
+   * Binary search with the invariant ts(lo) <= target < ts(hi). A hint is
+   * bracketed first by galloping outwards from it.
+   */
+  async search(provider, chainId, targetSeconds, latest, hint) {
+    const timestampOf = (blockNumber) => this.getBlockTimestamp(provider, chainId, blockNumber);
+    let lo = 0;
+    let hi = latest;
+
+    if (Number.isInteger(hint) && hint >= 0 && hint < latest) {
+      let step = 1;
+      if (await timestampOf(hint) <= targetSeconds) {
+        lo = hint;
+        hi = Math.min(hint + step, latest);
+        while (await timestampOf(hi) <= targetSeconds) {
+          lo = hi;
+          step *= 2;
+          hi = Math.min(lo + step, latest);
+        }
+      } else {
+        hi = hint;
+        lo = Math.max(hint - step, 0);
+        while (lo > 0 && await timestampOf(lo) > targetSeconds) {
+          hi = lo;
+          step *= 2;
+          lo = Math.max(hi - step, 0);
+        }
+      }
+    }
+
+    if (await timestampOf(lo) > targetSeconds) {
+      throw new Error(`Timestamp ${targetSeconds} is before the first block on chain ${chainId}`);
+    }
+
+    while (hi - lo > 1) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (await timestampOf(mid) <= targetSeconds) {
+        lo = mid;
+      } else {
+        hi = mid;
+      }
+    }
+    return lo;
+  }
+}
+
+/**
+ * MULTI-CHAIN TOKENS
+ * A bridged token is usually locked in an escrow contract on its source chain
+ * and minted on the destination, so it can have an owner on several chains.
+ * Owners that are known escrow addresses are set aside; whatever else is left
+ * in chain order wins, as before, and the token is listed in the conflicts report.
+ */
+function resolveChainConflict(candidates, escrowAddresses = []) {
+  const escrow = new Set(escrowAddresses.map(address => address.toLowerCase()));
+  const holders = candidates.filter(({ owner }) => !escrow.has(owner.toLowerCase()));
+
+  if (holders.length === 0) {
+    return { winner: candidates[0], resolution: "all-escrow" };
+  }
+  if (holders.length === 1) {
+    return { winner: holders[0], resolution: "escrow" };
+  }
+  const sameOwner = holders.every(({ owner }) => owner.toLowerCase() === holders[0].owner.toLowerCase());
+  return { winner: holders[0], resolution: sameOwner ? "same-owner" : "unresolved" };
+}
+
+/**
+ * Snapshot entry for a token from the owners found on each chain, in the
+ * collection's chain order ([{ chain, owner }]). Tokens held on more than one
+ * chain carry a conflict record, which checkpoints keep along with the owner.
+ */
+function pickTokenOwner(candidates, escrowAddresses, runChains) {
+  const { winner, resolution } = candidates.length > 1
+    ? resolveChainConflict(candidates, escrowAddresses)
+    : { winner: candidates[0], resolution: null };
+
+  const entry = { owner: winner.owner, chain: winner.chain, block: runChains[winner.chain].snapshotBlock };
+  if (resolution) {
+    entry.conflict = { resolution, owners: candidates.map(({ chain, owner }) => ({ chain, owner })) };
+  }
+  const disputed = candidates.filter(({ dispute }) => dispute);
+  if (disputed.length > 0) {
+    entry.disputes = disputed.map(({ chain, dispute }) => ({ chain, ...dispute }));
+  }
+  return entry;
+}
+
+// Report written next to a snapshot: "<snapshot name> <kind>.<format>"
+function getReportFile(snapshotFile, kind, options = {}) {
+  const { dir, name } = path.parse(snapshotFile);
+  return path.join(dir, `${name} ${kind}.${options.format || 'csv'}`);
+}
+
+/**
+ * Write the conflicts report next to a snapshot: one row per chain for every
+ * token found on more than one chain. Returns counts and the file, or null
+ * when there were no such tokens.
+ */
+async function writeConflictReport(finalSnapshot, snapshotFile, escrowAddresses = [], options = {}) {
+  const conflicted = Object.entries(finalSnapshot).filter(([, token]) => token.conflict);
+  if (conflicted.length === 0) return null;
+
+  const escrow = new Set(escrowAddresses.map(address => address.toLowerCase()));
+  const rows = [];
+  conflicted
+    .sort(([a], [b]) => parseInt(a) - parseInt(b))
+    .forEach(([tokenId, token]) => {
+      token.conflict.owners.forEach(({ chain, owner }) => {
+        rows.push({
+          TokenId: tokenId,
+          Chain: chain,
+          Owner: owner,
+          Escrow: escrow.has(owner.toLowerCase()) ? "yes" : "no",
+          Selected: chain === token.chain ? "yes" : "no",
+          Resolution: token.conflict.resolution
+        });
+      });
+    });
+
+  const conflictsFile = getReportFile(snapshotFile, "Conflicts", options);
+  await writeSnapshotFile(conflictsFile, ['TokenId', 'Chain', 'Owner', 'Escrow', 'Selected', 'Resolution']
+    .map(id => ({ id, title: id })), rows, options.format);
+
+  const count = resolution => conflicted.filter(([, token]) => token.conflict.resolution === resolution).length;
+  return {
+    file: conflictsFile,
+    tokens: conflicted.length,
+    resolved: count("escrow") + count("same-owner"),
+    unresolved: count("unresolved") + count("all-escrow")
+  };
+}
+
+/**
+ * Write the failure report next to a snapshot: one row per failed lookup,
+ * with the reason (see FAILURE_REASONS) and the error or revert reason.
+ * Returns the file, or null when every lookup succeeded.
+ */
+async function writeFailureReport(snapshotFile, columns, rows, options = {}) {
+  if (rows.length === 0) return null;
+
+  const failuresFile = getReportFile(snapshotFile, "Failures", options);
+  await writeSnapshotFile(failuresFile, [...columns, 'Reason', 'Detail'].map(id => ({ id, title: id })), rows, options.format);
+  return failuresFile;
+}
+
+/**
+ * QUORUM READS
+ * With --quorum N, every owner lookup is asked of N endpoints. Endpoints
+ * that failed transiently don't vote, and the next ranked endpoint is asked
+ * in their place. An owner (or "no owner") needs a strict majority of the
+ * votes, otherwise the lookup fails as a disagreement.
+ */
+
+/**
+ * Ask endpoints, best ranked first, until every item has quorum votes or no
+ * endpoint is left. ask(endpoint, items) returns a lookup result per item.
+ * Returns each item's answers, tagged with the endpoint that gave them.
+ */
+async function collectQuorumAnswers(endpoints, items, quorum, ask) {
+  const answers = items.map(() => []);
+  const votes = index => answers[index].filter(({ failure }) => !isTransientFailure(failure)).length;
+  const ranked = rankEndpoints(endpoints);
+  let next = 0;
+  while (next < ranked.length) {
+    const pending = items.map((item, index) => index).filter(index => votes(index) < quorum);
+    if (pending.length === 0) break;
+
+    const wave = ranked.slice(next, next + Math.max(...pending.map(index => quorum - votes(index))));
+    next += wave.length;
+    const waveResults = await Promise.all(wave.map(endpoint => ask(endpoint, pending.map(index => items[index]))));
+    waveResults.forEach((results, e) => pending.forEach((itemIndex, i) => {
+      answers[itemIndex].push({ ...results[i], endpoint: describeEndpoint(wave[e].url) });
+    }));
+  }
+  return answers;
+}
+
+// Combine the answers to one lookup ({ owner } or { failure, detail }, see collectQuorumAnswers)
+function resolveQuorum(answers, quorum) {
+  const votes = answers.filter(({ failure }) => !isTransientFailure(failure));
+  if (votes.length < quorum) {
+    const failed = answers.find(({ failure }) => isTransientFailure(failure));
+    return { ...failed, detail: `${failed.endpoint}: ${failed.detail} (${votes.length}/${quorum} endpoints answered)` };
+  }
+
+  const tally = new Map();
+  votes.forEach(vote => {
+    const key = vote.owner ? normalizeWallet(vote.owner) : "none";
+    tally.set(key, [...(tally.get(key) || []), vote]);
+  });
+  const [, winners] = [...tally.entries()].sort(([, a], [, b]) => b.length - a.length)[0];
+  const hasMajority = winners.length * 2 > votes.length;
+  const { endpoint, ...winner } = winners[0];
+  if (tally.size === 1) return winner;
+
+  const dispute = {
+    resolution: hasMajority ? "majority" : "none",
+    answers: votes.map(vote => ({
+      endpoint: vote.endpoint,
+      owner: vote.owner || null,
+      failure: vote.failure || null,
+      selected: hasMajority && winners.includes(vote)
+    }))
+  };
+  if (!hasMajority) {
+    return { tokenId: winner.tokenId, owner: null, failure: "disagreement", detail: `${tally.size} different answers from ${votes.length} endpoints`, dispute };
+  }
+  return { ...winner, dispute };
+}
+
+/**
+ * Write the disputes report next to a snapshot: one row per endpoint answer
+ * for every lookup the quorum endpoints disagreed on. disputes is
+ * [{ key, chain, dispute }], key being the token's ID columns.
+ */
+async function writeDisputeReport(snapshotFile, columns, disputes, options = {}) {
+  if (disputes.length === 0) return null;
+
+  const rows = [];
+  disputes.forEach(({ key, chain, dispute }) => {
+    dispute.answers.forEach(({ endpoint, owner, failure, selected }) => {
+      rows.push({
+        ...key,
+        ...(chain ? { Chain: chain } : {}),
+        Endpoint: endpoint,
+        Owner: owner || `(${failure})`,
+        Selected: selected ? "yes" : "no",
+        Resolution: dispute.resolution
+      });
+    });
+  });
+
+  const disputesFile = getReportFile(snapshotFile, "Disputes", options);
+  await writeSnapshotFile(disputesFile, [...columns, 'Endpoint', 'Owner', 'Selected', 'Resolution'].map(id => ({ id, title: id })),
+    rows, options.format);
+  return disputesFile;
+}
+
+function printDisputes(disputes, disputesFile) {
+  if (disputes.length === 0) return;
+
+  const majority = disputes.filter(({ dispute }) => dispute.resolution === "majority").length;
+  console.log(`\nEndpoint Disagreements: ${disputes.length} lookup(s)`);
+  console.log(`- Settled by majority: ${majority}`);
+  console.log(`- No majority (reported as failed): ${disputes.length - majority}`);
+  console.log(`- Report: ${disputesFile}`);
+}
+
+/**
+ * TRANSFER EVENT ENGINE
+ * Rebuilds ERC-721 ownership by replaying Transfer logs instead of calling
+ * ownerOf for every token. The result mirrors the ownerOf path: one owner
+ * per token, taken from the first chain (in the collection's order) that holds it.
+ */
+const TRANSFER_TOPIC = ethers.id("Transfer(address,address,uint256)");
+
+/**
+ * Fetch logs for [fromBlock, toBlock] in chunks. The chunk is halved when the
+ * RPC rejects a range (or shrunk to the range it suggests) and grows back
+ * after successful requests, up to the largest range not yet rejected.
+ */
+async function getLogsAdaptive(provider, filter, fromBlock, toBlock, label) {
+  const logs = [];
+  let maxRange = LOGS_BLOCK_RANGE;
+  let range = maxRange;
+  let start = fromBlock;
+
+  while (start <= toBlock) {
+    const end = Math.min(start + range - 1, toBlock);
+    try {
+      logs.push(...await provider.getLogs({ ...filter, fromBlock: start, toBlock: end }));
+      start = end + 1;
+      range = Math.min(range * 2, maxRange);
+    } catch (err) {
+      const message = err.error?.message || err.shortMessage || err.message || "";
+      // Some providers suggest a range: "... Try with this block range [0x1, 0x2]"
+      const suggested = /\[(0x[0-9a-f]+),\s*(0x[0-9a-f]+)\]/i.exec(message);
+
+      if (suggested && parseInt(suggested[2], 16) >= start) {
+        range = Math.max(1, parseInt(suggested[2], 16) - start + 1);
+      } else if (range > 1) {
+        range = Math.max(1, Math.floor(range / 2));
+      } else {
+        // Transient errors were already retried by the endpoint's scheduler
+        throw new Error(`eth_getLogs failed for ${label} at block ${start}: ${message}`);
+      }
+      maxRange = range;
+    }
+
+    if (process.stdout.isTTY) {
+      const progress = (((Math.min(start, toBlock) - fromBlock) / Math.max(1, toBlock - fromBlock)) * 100).toFixed(1);
+      process.stdout.write(`\r   ${label}: ${progress}% of blocks scanned | ${logs.length} transfers | range ${range}   `);
+    }
+  }
+  if (process.stdout.isTTY) {
+    process.stdout.write("\n");
+  }
+  return logs;
+}
+
+/**
+ * Replay Transfer logs of contractAddress from fromBlock to toBlock and return
+ * the resulting Map of tokenId -> owner (burned tokens are removed).
+ */
+async function replayTransferLogs(chainName, chainConfig, contractAddress, fromBlock, toBlock) {
+  const provider = getProvider(chainName, chainConfig);
+  const logs = await getLogsAdaptive(provider, {
+    address: contractAddress,
+    topics: [TRANSFER_TOPIC]
+  }, fromBlock, toBlock, chainName);
+
+  logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+  const owners = new Map();
+  for (const log of logs) {
+    // ERC-20 Transfer shares the topic but has only three topics
+    if (log.topics.length !== 4 || log.removed) continue;
+
+    const tokenId = BigInt(log.topics[3]);
+    if (tokenId > BigInt(Number.MAX_SAFE_INTEGER)) continue;
+
+    const to = ethers.getAddress(ethers.dataSlice(log.topics[2], 12));
+    if (to === ethers.ZeroAddress) {
+      owners.delete(Number(tokenId));
+    } else {
+      owners.set(Number(tokenId), to);
+    }
+  }
+  return owners;
+}
+
+/**
+ * Build a snapshot from Transfer events on each chain (of the chain -> contract
+ * map) that has a snapshot block. deployBlocks may pin where replay starts;
+ * otherwise it is found on-chain.
+ */
+async function snapshotFromTransferEvents(contracts, deployBlocks, tokenIds, escrowAddresses, runChains) {
+  const chainNames = Object.keys(contracts);
+  const chainOwners = {};
+  const skippedChains = [];
+
+  for (const chainName of chainNames) {
+    const config = runChains[chainName];
+    const contractAddress = contracts[chainName];
+    if (!config.rpc || !config.snapshotBlock) continue;
+
+    try {
+      const deployBlock = deployBlocks[chainName] !== undefined
+        ? deployBlocks[chainName]
+        : await getBlockResolver().resolveDeployBlock(chainName, config, contractAddress, config.snapshotBlock);
+
+      if (deployBlock === null) {
+        console.log(`Chain: ${chainName} | Contract not deployed at block ${config.snapshotBlock}, skipping`);
+        chainOwners[chainName] = new Map();
+        continue;
+      }
+
+      console.log(`Chain: ${chainName} | Replaying Transfer events from block ${deployBlock} to ${config.snapshotBlock}...`);
+      chainOwners[chainName] = await replayTransferLogs(chainName, config, contractAddress, deployBlock, config.snapshotBlock);
+      console.log(`Chain: ${chainName} | ${chainOwners[chainName].size} tokens currently held`);
+    } catch (err) {
+      console.error(`Chain: ${chainName} | Event replay failed, chain skipped: ${err.message}`);
+      skippedChains.push(chainName);
+    }
+  }
+
+  const finalSnapshot = {};
+  const chainStats = {};
+  chainNames.forEach(chainName => {
+    chainStats[chainName] = 0;
+  });
+
+  for (const tokenId of tokenIds) {
+    const candidates = chainNames
+      .filter(chainName => chainOwners[chainName]?.has(tokenId))
+      .map(chainName => ({ chain: chainName, owner: chainOwners[chainName].get(tokenId) }));
+    if (candidates.length > 0) {
+      finalSnapshot[tokenId] = pickTokenOwner(candidates, escrowAddresses, runChains);
+      chainStats[finalSnapshot[tokenId].chain]++;
+    }
+  }
+
+  return { finalSnapshot, chainStats, chainOwners, skippedChains };
+}
+
+function sampleItems(items, sampleSize) {
+  const pool = [...items];
+  const count = Math.min(sampleSize, pool.length);
+  for (let i = 0; i < count; i++) {
+    const j = i + Math.floor(Math.random() * (pool.length - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, count);
+}
+
+/**
+ * Compare event-derived owners with ownerOf at the same block for a random
+ * sample of token IDs on every replayed chain. ownerOf lookups that fail on a
+ * transient RPC error say nothing about the owner; they are listed as
+ * unchecked rather than compared.
+ */
+async function crossCheckOwners(contracts, chainOwners, tokenIds, sampleSize, runChains) {
+  const sample = sampleItems(tokenIds, sampleSize);
+  const mismatches = [];
+  const unchecked = [];
+  let compared = 0;
+
+  console.log(`\nCross-checking ${sample.length} sampled tokens against ownerOf...`);
+  for (const [chainName, owners] of Object.entries(chainOwners)) {
+    const config = runChains[chainName];
+    const results = await getTokenOwners(chainName, config, contracts[chainName], sample, config.snapshotBlock);
+
+    for (const { tokenId, owner, failure, detail } of results) {
+      if (isTransientFailure(failure)) {
+        unchecked.push({ tokenId, chain: chainName, failure, detail });
+        continue;
+      }
+      const fromEvents = owners.get(tokenId) || null;
+      const fromOwnerOf = owner && owner !== ethers.ZeroAddress ? owner : null;
+      compared++;
+      if (fromEvents !== fromOwnerOf) {
+        mismatches.push({ tokenId, chain: chainName, events: fromEvents, ownerOf: fromOwnerOf });
+      }
+    }
+  }
+
+  console.log(`Cross-check: ${compared - mismatches.length}/${compared} lookups agree` +
+    (unchecked.length > 0 ? `, ${unchecked.length} unchecked (${describeFailureCounts(unchecked.map(({ failure }) => failure))})` : ""));
+  mismatches.forEach(({ tokenId, chain, events, ownerOf }) => {
+    console.log(`   ❌ Token ${tokenId} on ${chain}: events=${events || "none"} ownerOf=${ownerOf || "none"}`);
+  });
+  unchecked.forEach(({ tokenId, chain, detail }) => {
+    console.log(`   ⚠️  Token ${tokenId} on ${chain}: ownerOf failed (${detail})`);
+  });
+
+  return { sampled: sample.length, compared, unchecked, mismatches };
+}
+
+/**
+ * TOKEN ID DISCOVERY
+ * Collections whose IDs are not a fixed range are enumerated on-chain at the
+ * snapshot block: through ERC721Enumerable (totalSupply + tokenByIndex) or by
+ * replaying mint events (transfers from the zero address).
+ */
+const ZERO_ADDRESS_TOPIC = ethers.zeroPadValue(ethers.ZeroAddress, 32);
+const TRANSFER_SINGLE_TOPIC = erc1155Interface.getEvent("TransferSingle").topicHash;
+const TRANSFER_BATCH_TOPIC = erc1155Interface.getEvent("TransferBatch").topicHash;
+
+async function getEnumerableTokenIds(chainName, chainConfig, contractAddress, blockTag) {
+  const [supply] = await readContractBatch(chainName, chainConfig, contractAddress, enumerableInterface, "totalSupply", [[]], blockTag);
+  if (supply === null) {
+    throw new Error(`totalSupply() failed on ${chainName}; is the contract ERC721Enumerable?`);
+  }
+
+  const indexes = Array.from({ length: Number(supply) }, (_, index) => [index]);
+  const tokenIds = await readContractBatch(chainName, chainConfig, contractAddress, enumerableInterface, "tokenByIndex", indexes, blockTag);
+  const failed = tokenIds.filter(tokenId => tokenId === null).length;
+  if (failed > 0) {
+    throw new Error(`tokenByIndex() failed for ${failed} of ${indexes.length} indexes on ${chainName}`);
+  }
+  return tokenIds;
+}
+
+/**
+ * ERC-721 token IDs minted up to toBlock and not burned since.
+ */
+async function getMintedTokenIds(chainName, chainConfig, contractAddress, fromBlock, toBlock) {
+  const provider = getProvider(chainName, chainConfig);
+  const tokenIdOf = log => (log.topics.length === 4 && !log.removed ? BigInt(log.topics[3]) : null);
+
+  const mints = await getLogsAdaptive(provider, {
+    address: contractAddress,
+    topics: [TRANSFER_TOPIC, ZERO_ADDRESS_TOPIC]
+  }, fromBlock, toBlock, `${chainName} mints`);
+  const burns = await getLogsAdaptive(provider, {
+    address: contractAddress,
+    topics: [TRANSFER_TOPIC, null, ZERO_ADDRESS_TOPIC]
+  }, fromBlock, toBlock, `${chainName} burns`);
+
+  const tokenIds = new Set(mints.map(tokenIdOf).filter(tokenId => tokenId !== null));
+  burns.map(tokenIdOf).forEach(tokenId => tokenIds.delete(tokenId));
+  return [...tokenIds];
+}
+
+/**
+ * Replay ERC-1155 TransferSingle/TransferBatch events up to toBlock. Returns
+ * every address that ever received each token ID (balances are read later
+ * with balanceOf) and the IDs that were minted.
+ */
+async function getErc1155Recipients(chainName, chainConfig, contractAddress, fromBlock, toBlock) {
+  const provider = getProvider(chainName, chainConfig);
+  const logs = await getLogsAdaptive(provider, {
+    address: contractAddress,
+    topics: [[TRANSFER_SINGLE_TOPIC, TRANSFER_BATCH_TOPIC]]
+  }, fromBlock, toBlock, chainName);
+
+  const recipients = new Map();
+  const mintedIds = new Set();
+  for (const log of logs) {
+    if (log.removed) continue;
+
+    const { name, args } = erc1155Interface.parseLog(log);
+    const tokenIds = name === "TransferSingle" ? [args.id] : [...args.ids];
+    tokenIds.forEach(tokenId => {
+      if (args.from === ethers.ZeroAddress) {
+        mintedIds.add(tokenId);
+      }
+      if (args.to !== ethers.ZeroAddress) {
+        if (!recipients.has(tokenId)) recipients.set(tokenId, new Set());
+        recipients.get(tokenId).add(args.to);
+      }
+    });
+  }
+  return { recipients, mintedIds };
+}
+
+/**
+ * Sorted, de-duplicated token IDs as numbers. IDs too large for a JavaScript
+ * number are dropped with a warning; outputs and checkpoints key tokens by number.
+ */
+function normalizeTokenIds(tokenIds) {
+  const unique = [...new Set(tokenIds.map(tokenId => BigInt(tokenId)))];
+  const tooLarge = unique.filter(tokenId => tokenId > BigInt(Number.MAX_SAFE_INTEGER));
+  if (tooLarge.length > 0) {
+    console.warn(`Warning: skipping ${tooLarge.length} token ID(s) above ${Number.MAX_SAFE_INTEGER}`);
+  }
+  return unique
+    .filter(tokenId => tokenId <= BigInt(Number.MAX_SAFE_INTEGER))
+    .map(Number)
+    .sort((a, b) => a - b);
+}
+
+function filterTokenRange(tokenIds, tokenRange) {
+  if (!tokenRange) return tokenIds;
+  return tokenIds.filter(tokenId => tokenId >= tokenRange.start && tokenId <= tokenRange.end);
+}
+
+async function getDeployBlock(collection, chainName, runChains) {
+  const config = runChains[chainName];
+  if (collection.deployBlocks[chainName] !== undefined) {
+    return collection.deployBlocks[chainName];
+  }
+  return await getBlockResolver().resolveDeployBlock(chainName, config, collection.contracts[chainName], config.snapshotBlock);
+}
+
+/**
+ * Every token ID of an ERC-721 collection at its snapshot blocks, as listed by
+ * its tokenIds method. Enumerated IDs are merged across the collection's chains.
+ */
+async function discoverTokenIds(collection, runChains) {
+  const { method } = collection.tokenIds;
+  if (method === "range") {
+    return buildTokenIds(collection.tokenIds);
+  }
+
+  const found = [];
+  for (const chainName of collection.chains) {
+    const config = runChains[chainName];
+    if (!config.rpc || !config.snapshotBlock) continue;
+
+    const contractAddress = collection.contracts[chainName];
+    let tokenIds;
+    if (method === "enumerable") {
+      console.log(`Chain: ${chainName} | Enumerating token IDs with tokenByIndex...`);
+      tokenIds = await getEnumerableTokenIds(chainName, config, contractAddress, config.snapshotBlock);
+    } else {
+      const deployBlock = await getDeployBlock(collection, chainName, runChains);
+      if (deployBlock === null) {
+        console.log(`Chain: ${chainName} | Contract not deployed at block ${config.snapshotBlock}, skipping`);
+        continue;
+      }
+      console.log(`Chain: ${chainName} | Collecting minted token IDs from block ${deployBlock} to ${config.snapshotBlock}...`);
+      tokenIds = await getMintedTokenIds(chainName, config, contractAddress, deployBlock, config.snapshotBlock);
+    }
+    console.log(`Chain: ${chainName} | ${tokenIds.length} token IDs found`);
+    found.push(...tokenIds);
+  }
+  return normalizeTokenIds(found);
+}
+
+/**
+ * CUSTODIAL RESOLVERS
+ * Staking vaults, marketplace escrows and lending contracts hold tokens for
+ * their depositors, so ownerOf (or the Solana token account owner) names the
+ * contract instead of the holder. A collection lists its known custodians in
+ * the collections file and each custodian names a resolver adapter that maps
+ * the tokens it holds back to their depositors. Tokens an adapter cannot map
+ * stay with the custodian and are tagged as unresolved custody in the output.
+ *
+ * An adapter is { chainType: "evm" | "solana", validate(custodian), resolve(custodian, tokens, context) }:
+ * validate returns a list of problems with the custodian's settings, and
+ * resolve returns a Map of token (ID on EVM, mint on Solana) to depositor.
+ */
+const CUSTODIAN_RESOLVERS = {};
+
+function registerCustodianResolver(name, adapter) {
+  CUSTODIAN_RESOLVERS[name] = adapter;
+}
+
+function isSolanaAddress(value) {
+  return typeof value === "string" && /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(value);
+}
+
+// Key a wallet is compared by: EVM addresses are case-insensitive, Solana keys are not
+function normalizeWallet(wallet) {
+  return /^0x/i.test(wallet) ? wallet.toLowerCase() : wallet;
+}
+
+function validateAbiFragment(value, type, where) {
+  try {
+    const fragment = ethers.Fragment.from(value);
+    return fragment.type === type ? [] : [`${where} must be a ${type} signature`];
+  } catch (err) {
+    return [`${where} is not a valid ${type} signature, e.g. "${type === "event" ? "event Staked(address indexed owner, uint256 indexed tokenId)" : "function stakerOf(uint256 tokenId) view returns (address)"}"`];
+  }
+}
+
+// A view function on the custodian (or `target`) that returns the depositor of a token
+registerCustodianResolver("evm-view", {
+  chainType: "evm",
+  validate(custodian) {
+    const errors = validateAbiFragment(custodian.function, "function", "function");
+    if (custodian.args !== undefined && !Array.isArray(custodian.args)) {
+      errors.push('args must be a list; "$tokenId" and "$contract" are replaced per token');
+    }
+    if (custodian.target !== undefined && !ethers.isAddress(custodian.target)) {
+      errors.push("target is not a valid address");
+    }
+    return errors;
+  },
+  async resolve(custodian, tokenIds, { collection, runChains }) {
+    const config = runChains[custodian.chain];
+    const fragment = ethers.FunctionFragment.from(custodian.function);
+    const args = custodian.args || ["$tokenId"];
+    const argsList = tokenIds.map(tokenId => args.map(arg =>
+      arg === "$tokenId" ? tokenId : arg === "$contract" ? collection.contracts[custodian.chain] : arg));
+
+    const depositors = await readContractBatch(custodian.chain, config, custodian.target || custodian.address,
+      new ethers.Interface([fragment]), fragment.name, argsList, config.snapshotBlock);
+    return new Map(tokenIds.map((tokenId, index) => [tokenId, depositors[index]])
+      .filter(([, depositor]) => depositor && depositor !== ethers.ZeroAddress));
+  }
+});
+
+// Deposit events emitted by the custodian: the latest deposit of a token names its depositor
+registerCustodianResolver("evm-deposit-events", {
+  chainType: "evm",
+  validate(custodian) {
+    const errors = validateAbiFragment(custodian.event, "event", "event");
+    if (errors.length === 0) {
+      const inputs = ethers.Fragment.from(custodian.event).inputs.map(input => input.name);
+      ["ownerArg", "tokenArg"].forEach(key => {
+        if (!inputs.includes(custodian[key])) {
+          errors.push(`${key} must name one of the event's parameters (${inputs.join(", ")})`);
+        }
+      });
+    }
+    if (custodian.fromBlock !== undefined && !(Number.isInteger(custodian.fromBlock) && custodian.fromBlock >= 0)) {
+      errors.push("fromBlock must be a block number");
+    }
+    return errors;
+  },
+  async resolve(custodian, tokenIds, { runChains }) {
+    const config = runChains[custodian.chain];
+    const event = ethers.EventFragment.from(custodian.event);
+    const eventInterface = new ethers.Interface([event]);
+    const fromBlock = custodian.fromBlock !== undefined
+      ? custodian.fromBlock
+      : await getBlockResolver().resolveDeployBlock(custodian.chain, config, custodian.address, config.snapshotBlock);
+    if (fromBlock === null) return new Map();
+
+    const logs = await getLogsAdaptive(getProvider(custodian.chain, config), {
+      address: custodian.address,
+      topics: [event.topicHash]
+    }, fromBlock, config.snapshotBlock, `${custodian.chain} ${custodian.name}`);
+
+    const wanted = new Set(tokenIds.map(String));
+    const depositors = new Map();
+    logs.filter(log => !log.removed).forEach(log => {
+      const { args } = eventInterface.parseLog(log);
+      const tokens = Array.isArray(args[custodian.tokenArg]) ? [...args[custodian.tokenArg]] : [args[custodian.tokenArg]];
+      tokens.map(String).filter(tokenId => wanted.has(tokenId)).forEach(tokenId => {
+        depositors.set(Number(tokenId), args[custodian.ownerArg]);
+      });
+    });
+    return depositors;
+  }
+});
+
+// Program accounts (such as stake PDAs) that store the mint and the depositor at fixed offsets
+registerCustodianResolver("solana-account-data", {
+  chainType: "solana",
+  validate(custodian) {
+    const errors = [];
+    if (!isSolanaAddress(custodian.programId)) {
+      errors.push("programId must be a Solana address");
+    }
+    ["mintOffset", "ownerOffset"].forEach(key => {
+      if (!Number.isInteger(custodian[key]) || custodian[key] < 0) {
+        errors.push(`${key} must be the byte offset of a 32-byte key in the account data`);
+      }
+    });
+    if (custodian.dataSize !== undefined && !(Number.isInteger(custodian.dataSize) && custodian.dataSize > 0)) {
+      errors.push("dataSize must be a positive integer");
+    }
+    return errors;
+  },
+  async resolve(custodian, mints, { snapshotter, slot }) {
+    const response = await snapshotter.rpcRequest("getProgramAccounts", [custodian.programId, {
+      encoding: "base64",
+      commitment: SOLANA_COMMITMENT,
+      ...(slot ? { minContextSlot: slot } : {}),
+      ...(custodian.dataSize ? { filters: [{ dataSize: custodian.dataSize }] } : {})
+    }], { timeout: 120000 });
+    if (!Array.isArray(response?.result)) {
+      throw new Error(`getProgramAccounts failed: ${JSON.stringify(response?.error || response)}`);
+    }
+
+    const wanted = new Set(mints);
+    const readKey = (data, offset) => data.length >= offset + 32 ? ethers.encodeBase58(data.subarray(offset, offset + 32)) : null;
+    const depositors = new Map();
+    response.result.forEach(({ account }) => {
+      const data = Buffer.from(account.data[0], "base64");
+      const mint = readKey(data, custodian.mintOffset);
+      const owner = readKey(data, custodian.ownerOffset);
+      if (mint && owner && wanted.has(mint)) {
+        depositors.set(mint, owner);
+      }
+    });
+    return depositors;
+  }
+});
+
+/**
+ * Check every custodian of a collection against its resolver adapter. Run
+ * before a snapshot starts, so adapters registered after the collections file
+ * was loaded are covered too.
+ */
+function validateCustodians(collection) {
+  const errors = [];
+  (collection.custodians || []).forEach((custodian, index) => {
+    const where = `collections.${collection.id}.custodians[${index}]`;
+    const adapter = CUSTODIAN_RESOLVERS[custodian.resolver];
+    if (!adapter) {
+      errors.push(`${where}.resolver: unknown resolver "${custodian.resolver}" (expected one of: ${Object.keys(CUSTODIAN_RESOLVERS).join(", ")})`);
+      return;
+    }
+
+    const chainType = custodian.chain === "solana" ? "solana" : "evm";
+    if (adapter.chainType !== chainType) {
+      errors.push(`${where}.resolver: ${custodian.resolver} resolves ${adapter.chainType} custodians`);
+      return;
+    }
+    adapter.validate(custodian).forEach(error => errors.push(`${where}.${error}`));
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid custodians for ${collection.name}:\n- ${errors.join("\n- ")}`);
+  }
+}
+
+/**
+ * Map tokens held by the collection's custodians back to their depositors.
+ * `holdings` are [{ key, chain, owner }] where key is the token ID (EVM) or
+ * mint (Solana). Returns Map(key -> { custodian, depositor }) for every token
+ * a custodian holds; depositor is null where the adapter could not tell.
+ */
+async function resolveCustodians(collection, holdings, context = {}) {
+  const custody = new Map();
+
+  for (const custodian of collection.custodians) {
+    const held = holdings.filter(({ chain, owner }) => chain === custodian.chain && normalizeWallet(owner) === normalizeWallet(custodian.address));
+    if (held.length === 0) continue;
+
+    const adapter = CUSTODIAN_RESOLVERS[custodian.resolver];
+    console.log(`Custodian: ${custodian.name} | Resolving ${held.length} tokens with ${custodian.resolver}...`);
+    let depositors = new Map();
+    try {
+      if (!adapter) {
+        throw new Error(`unknown resolver "${custodian.resolver}"`);
+      }
+      depositors = await adapter.resolve(custodian, held.map(({ key }) => key), { ...context, collection });
+    } catch (err) {
+      console.error(`Custodian: ${custodian.name} | Resolver failed, tokens stay custodial: ${err.message}`);
+    }
+
+    held.forEach(({ key }) => {
+      custody.set(key, { custodian, depositor: depositors.get(key) || null });
+    });
+    const resolved = held.filter(({ key }) => depositors.get(key)).length;
+    console.log(`Custodian: ${custodian.name} | ${resolved}/${held.length} tokens mapped to their depositors`);
+  }
+
+  return custody;
+}
+
+/**
+ * WALLET CLASSIFICATION
+ * Airdrops need to know which holders can receive tokens. Every EVM owner is
+ * classified from its code at the snapshot block: an EOA, an EOA delegated to
+ * a contract (EIP-7702), a Safe multisig, or some other contract. Solana
+ * owners are wallets when their key is on the ed25519 curve, and PDAs
+ * (program-owned addresses with no private key) when it is not.
+ */
+const safeInterface = new ethers.Interface([
+  "function masterCopy() view returns (address)",
+  "function getThreshold() view returns (uint256)",
+  "function VERSION() view returns (string)"
+]);
+// Runtime code of the Safe proxy (1.1.1 to 1.4.1) up to its compiler metadata:
+// it answers masterCopy() itself and delegates every other call to the singleton
+const SAFE_PROXY_CODE_PATTERN = new RegExp("^0x608060405273f{40}600054167fa619486e0{56}60003514156050578060005260206000f35b" +
+  "3660008037600080366000845af43d6000803e60008114156070573d6000fd5b3d6000f3fe", "i");
+// Safe singletons (L1 and L2 deployments of 1.1.1 to 1.4.1) that proxies with other code may delegate to
+const SAFE_SINGLETONS = new Set([
+  "0x34CfAC646f301356fAa8B21e94227e3583Fe3F5F", // 1.1.1
+  "0x6851D6fDFAfD08c0295C392436245E5bc78B0185", // 1.2.0
+  "0xd9Db270c1B5E3Bd161E8c8503c55cEABeE709552", // 1.3.0
+  "0x3E5c63644E683549055b9Be8653de26E0B4CD36E", // 1.3.0 L2
+  "0x69f4D1788e39c87893C980c06EdF4b7f686e2938", // 1.3.0 (EIP-155 deployment)
+  "0xfb1bffC9d739B8D520DaF37dF666da4C687191EA", // 1.3.0 L2 (EIP-155 deployment)
+  "0x41675C099F32341bf84BFc5382aF534df5C7461a", // 1.4.1
+  "0x29fcB43b46531BcA003ddC8FCB67FFE91900C762" // 1.4.1 L2
+].map(normalizeWallet));
+const EIP7702_DELEGATION_PREFIX = "0xef0100";
+const MINIMAL_PROXY_PATTERN = /^0x363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91602b57fd5bf3$/i;
+
+const ED25519_P = 2n ** 255n - 19n;
+const ED25519_D = 37095705934669439343138083508754565189542113879843219016388785533085940283555n;
+
+function modPow(base, exponent, modulus) {
+  let result = 1n;
+  base %= modulus;
+  while (exponent > 0n) {
+    if (exponent & 1n) result = (result * base) % modulus;
+    base = (base * base) % modulus;
+    exponent >>= 1n;
+  }
+  return result;
+}
+
+/**
+ * Whether 32 bytes decompress to an ed25519 point, as Solana checks when it
+ * derives program addresses: y is read little-endian without the sign bit,
+ * and the key is on the curve when x^2 = (y^2 - 1) / (d y^2 + 1) has a root.
+ */
+function isOnEd25519Curve(bytes) {
+  const p = ED25519_P;
+  let y = 0n;
+  for (let i = 31; i >= 0; i--) {
+    y = (y << 8n) | BigInt(bytes[i]);
+  }
+  y = (y & ((1n << 255n) - 1n)) % p;
+
+  const y2 = (y * y) % p;
+  const u = (y2 - 1n + p) % p;
+  const v = (ED25519_D * y2 + 1n) % p;
+  if (u === 0n) return true;
+
+  // Euler's criterion: x^2 = u / v has a root when (u v^(p-2))^((p-1)/2) is 1
+  const x2 = (u * modPow(v, p - 2n, p)) % p;
+  return modPow(x2, (p - 1n) / 2n, p) === 1n;
+}
+
+function classifySolanaWallet(address) {
+  try {
+    const bytes = ethers.getBytes(ethers.toBeHex(ethers.decodeBase58(address), 32));
+    return isOnEd25519Curve(bytes)
+      ? { type: "wallet", detail: "" }
+      : { type: "pda", detail: "off-curve key; owned by a program" };
+  } catch (err) {
+    return { type: "unknown", detail: "not a Solana address" };
+  }
+}
+
+/**
+ * Classify EVM addresses on one chain at the snapshot block. Returns
+ * Map(lowercase address -> { type, detail }).
+ */
+async function classifyEvmWallets(chainName, chainConfig, addresses, blockTag) {
+  const provider = getProvider(chainName, chainConfig);
+  const classes = new Map();
+  const contracts = [];
+
+  for (const batch of chunk(addresses, MAX_CONCURRENT)) {
+    await Promise.all(batch.map(async address => {
+      let code;
+      try {
+        code = await provider.getCode(address, blockTag);
+      } catch (err) {
+        classes.set(address.toLowerCase(), { type: "unknown", detail: `getCode failed: ${err.shortMessage || err.message}` });
+        return;
+      }
+
+      if (code === "0x") {
+        classes.set(address.toLowerCase(), { type: "eoa", detail: "" });
+      } else if (code.startsWith(EIP7702_DELEGATION_PREFIX) && code.length === 48) {
+        classes.set(address.toLowerCase(), { type: "delegated-eoa", detail: `delegates to ${ethers.getAddress(`0x${code.slice(8)}`)}` });
+      } else {
+        contracts.push({ address, code });
+      }
+    }));
+  }
+
+  // A Safe is a Safe proxy: recognised by its code, or by the singleton its masterCopy() names
+  const masterCopies = await readContractCalls(chainName, chainConfig,
+    contracts.map(({ address }) => ({ target: address, args: [] })), safeInterface, "masterCopy", blockTag);
+  const safes = contracts.filter(({ code }, index) =>
+    SAFE_PROXY_CODE_PATTERN.test(code) || (masterCopies[index] && SAFE_SINGLETONS.has(normalizeWallet(masterCopies[index]))));
+  const safeCalls = safes.map(({ address }) => ({ target: address, args: [] }));
+  const thresholds = await readContractCalls(chainName, chainConfig, safeCalls, safeInterface, "getThreshold", blockTag);
+  const versions = await readContractCalls(chainName, chainConfig, safeCalls, safeInterface, "VERSION", blockTag);
+  const safeDetails = new Map(safes.map(({ address }, index) => [address, {
+    version: versions[index],
+    threshold: thresholds[index]
+  }]));
+
+  contracts.forEach(({ address, code }) => {
+    const safe = safeDetails.get(address);
+    if (safe) {
+      const threshold = safe.threshold ? `, threshold ${safe.threshold}` : "";
+      classes.set(address.toLowerCase(), { type: "multisig", detail: `Safe${safe.version ? ` ${safe.version}` : ""}${threshold}` });
+      return;
+    }
+    const minimalProxy = code.match(MINIMAL_PROXY_PATTERN);
+    classes.set(address.toLowerCase(), {
+      type: "contract",
+      detail: minimalProxy ? `minimal proxy to ${ethers.getAddress(`0x${minimalProxy[1]}`)}` : ""
+    });
+  });
+
+  return classes;
+}
+
+function walletClassKey(chain, owner) {
+  return `${chain}:${normalizeWallet(owner)}`;
+}
+
+/**
+ * Classify every distinct owner in [{ chain, owner }] (chain "solana" for
+ * Solana owners). EVM owners are classified at their chain's snapshot block
+ * in runChains. Returns Map(walletClassKey -> { type, detail }), or null when
+ * CLASSIFY_WALLETS is off.
+ */
+async function classifyWallets(holdings, runChains) {
+  if (!CLASSIFY_WALLETS) return null;
+
+  const byChain = {};
+  holdings.forEach(({ chain, owner }) => {
+    if (!owner) return;
+    (byChain[chain] = byChain[chain] || new Map()).set(walletClassKey(chain, owner), owner);
+  });
+
+  const classes = new Map();
+  for (const [chainName, owners] of Object.entries(byChain)) {
+    if (chainName === "solana") {
+      owners.forEach((owner, key) => classes.set(key, classifySolanaWallet(owner)));
+      continue;
+    }
+
+    const config = runChains[chainName];
+    console.log(`Chain: ${chainName} | Classifying ${owners.size} wallets at block ${config.snapshotBlock}...`);
+    const chainClasses = await classifyEvmWallets(chainName, config, [...owners.values()], config.snapshotBlock);
+    chainClasses.forEach((walletClass, address) => classes.set(walletClassKey(chainName, address), walletClass));
+  }
+  return classes;
+}
+
+function printWalletTypes(walletTypes) {
+  if (!walletTypes || walletTypes.size === 0) return;
+
+  const counts = {};
+  walletTypes.forEach(({ type }) => {
+    counts[type] = (counts[type] || 0) + 1;
+  });
+  console.log("\nWallet Types:");
+  Object.entries(counts).sort((a, b) => b[1] - a[1]).forEach(([type, count]) => {
+    console.log(`- ${type}: ${count} wallets`);
+  });
+}
+
+let blockResolver = null;
+
+function getBlockResolver() {
+  if (!blockResolver) {
+    blockResolver = new BlockResolver();
+  }
+  return blockResolver;
+}
+
+/**
+ * FINALITY
+ * Snapshots taken "now" use the newest block the chain's finality policy
+ * treats as final instead of the tip, which a reorg can replace and which
+ * load-balanced RPCs may not all have yet. A policy is a block tag
+ * ("finalized" or "safe"), a number of confirmations, or "latest" for the tip.
+ * Chains take theirs from `finality` in the collections file, or SNAPSHOT_FINALITY.
+ */
+const FINALITY_TAGS = ["finalized", "safe"];
+// Solana reads only see rooted slots, which cannot be rolled back
+const SOLANA_COMMITMENT = "finalized";
+
+// A policy from the collections file or environment, or null if it is not one
+function parseFinality(value) {
+  if (Number.isInteger(value) && value >= 0) return value;
+  if (typeof value !== "string") return null;
+  if (/^\d+$/.test(value.trim())) return parseInt(value);
+  return [...FINALITY_TAGS, "latest"].includes(value.trim()) ? value.trim() : null;
+}
+
+function getFinality(chainConfig) {
+  return chainConfig.finality ?? parseFinality(SNAPSHOT_FINALITY);
+}
+
+function describeFinality(policy) {
+  return typeof policy === "number" ? `${policy} confirmations` : policy;
+}
+
+/**
+ * Newest block final under policy, as { blockNumber, finality } with the
+ * policy actually applied: an RPC that rejects the finalized/safe tag falls
+ * back to FINALITY_CONFIRMATIONS confirmations.
+ */
+async function getFinalBlock(chainName, provider, policy) {
+  if (FINALITY_TAGS.includes(policy)) {
+    try {
+      const block = await provider.getBlock(policy);
+      if (block) {
+        return { blockNumber: block.number, finality: policy };
+      }
+    } catch (err) {
+      // The scheduler already retried transport failures; an error here is the RPC's answer
+      if (getRetryKind(err)) throw err;
+    }
+    console.warn(`Warning: ${chainName} RPC does not support the "${policy}" block tag; using ${FINALITY_CONFIRMATIONS} confirmations`);
+    policy = FINALITY_CONFIRMATIONS;
+  }
+
+  const latest = await provider.getBlockNumber();
+  if (policy === "latest") {
+    return { blockNumber: latest, finality: "latest" };
+  }
+  return { blockNumber: Math.max(0, latest - policy), finality: describeFinality(policy) };
+}
+
+/**
+ * Choose the snapshot block for each chain and return the run's chain configs:
+ * a copy of each chain's config with the block, its timestamp, hash and the
+ * finality policy. The shared chain configs are never changed. A pinned block
+ * wins, then the --timestamp instant, then the newest final block. Pinned and
+ * timestamp blocks newer than that get a warning.
+ */
+async function resolveSnapshotBlocks(chainNames, options = {}) {
+  const targetSeconds = options.timestamp ? Math.floor(new Date(options.timestamp).getTime() / 1000) : null;
+  const runChains = { ...chains };
+
+  for (const chainName of chainNames) {
+    const config = chains[chainName];
+    if (!config.rpc) {
+      console.warn(`No RPC URL for ${chainName}, skipping...`);
+      continue;
+    }
+
+    const provider = getProvider(chainName, config);
+    let blockNumber;
+    let source;
+
+    if (options.blocks?.[chainName] !== undefined) {
+      blockNumber = options.blocks[chainName];
+      source = "pinned";
+    } else if (targetSeconds !== null) {
+      console.log(`Resolving ${chainName} block at ${options.timestamp}...`);
+      blockNumber = await getBlockResolver().resolve(chainName, config, targetSeconds);
+      source = "timestamp";
+    } else {
+      console.log(`Fetching ${describeFinality(getFinality(config))} block for ${chainName}...`);
+      source = "latest";
+    }
+
+    const finalBlock = await getFinalBlock(chainName, provider, getFinality(config));
+    let finality = finalBlock.finality;
+    if (source === "latest") {
+      blockNumber = finalBlock.blockNumber;
+    } else if (blockNumber > finalBlock.blockNumber && finality !== "latest") {
+      console.warn(`Warning: ${chainName} block ${blockNumber} is newer than the last ${finality} block ` +
+        `(${finalBlock.blockNumber}); a reorg could change it`);
+      finality = "not final";
+    }
+
+    const block = await provider.getBlock(blockNumber);
+    if (!block) {
+      throw new Error(`Block ${blockNumber} not found on ${chainName}`);
+    }
+
+    runChains[chainName] = {
+      ...config,
+      snapshotBlock: blockNumber,
+      snapshotTimestamp: block.timestamp,
+      snapshotSource: source,
+      snapshotHash: block.hash,
+      snapshotFinality: finality
+    };
+    console.log(`Chain: ${chainName} | Block: ${blockNumber} (${source}, ${finality}) | Hash: ${block.hash} | ` +
+      `Time: ${formatBlockTime(block.timestamp)}`);
+  }
+  return runChains;
+}
+
+/**
+ * Read each snapshot block's hash again at the end of a run. A different
+ * hash means the block was reorged out while the snapshot was being taken.
+ * A block recorded without its hash (checkpoints from earlier versions)
+ * cannot be checked and is reported as unverified.
+ * Returns { changed: [{ chain, block, expected, actual }], unverified: [chain] }.
+ */
+async function verifySnapshotBlocks(chainNames, runChains) {
+  const changed = [];
+  const unverified = [];
+  for (const chainName of chainNames) {
+    const config = runChains[chainName];
+    if (!config.rpc || !config.snapshotBlock) continue;
+    if (!config.snapshotHash) {
+      console.warn(`Warning: no hash recorded for ${chainName} block ${config.snapshotBlock}; it cannot be checked for a reorg`);
+      unverified.push(chainName);
+      continue;
+    }
+
+    try {
+      // Sent as a raw request: ethers briefly caches getBlock results
+      const block = await getProvider(chainName, config).send("eth_getBlockByNumber", [ethers.toQuantity(config.snapshotBlock), false]);
+      if (block?.hash !== config.snapshotHash) {
+        changed.push({ chain: chainName, block: config.snapshotBlock, expected: config.snapshotHash, actual: block?.hash || null });
+      }
+    } catch (err) {
+      console.warn(`Warning: could not re-read ${chainName} block ${config.snapshotBlock}: ${describeRpcError(err)}`);
+      unverified.push(chainName);
+    }
+  }
+  return { changed, unverified };
+}
+
+function printBlockCheck(blockCheck) {
+  if (blockCheck.changed.length === 0) {
+    const note = blockCheck.unverified.length > 0 ? ` (not checked: ${blockCheck.unverified.join(", ")})` : "";
+    console.log(`- Block hashes unchanged at end of run${note}`);
+    return;
+  }
+  blockCheck.changed.forEach(({ chain, block, expected, actual }) => {
+    console.warn(`⚠️  ${chain} block ${block} was reorged during the run (hash ${expected} is now ${actual || "missing"}); ` +
+      "take the snapshot again");
+  });
+}
+
+function formatBlockTime(timestamp) {
+  return timestamp ? new Date(timestamp * 1000).toISOString() : "unknown";
+}
+
+/**
+ * Snapshot block details for the given chains, as returned in run results.
+ */
+function getSnapshotBlocks(chainNames, runChains) {
+  const blocks = {};
+  chainNames.forEach(chainName => {
+    const config = runChains[chainName];
+    if (config.snapshotBlock) {
+      blocks[chainName] = {
+        block: config.snapshotBlock,
+        timestamp: config.snapshotTimestamp || null,
+        source: config.snapshotSource || null,
+        hash: config.snapshotHash || null,
+        finality: config.snapshotFinality || null
+      };
+    }
+  });
+  return blocks;
+}
+
+function printSnapshotBlocks(chainNames, runChains) {
+  console.log("\nSnapshot Blocks:");
+  Object.entries(getSnapshotBlocks(chainNames, runChains)).forEach(([chainName, { block, timestamp, source, hash, finality }]) => {
+    const details = [source, finality].filter(Boolean).join(", ");
+    console.log(`- ${chainName}: block ${block} at ${formatBlockTime(timestamp)}${details ? ` (${details})` : ""}${hash ? ` ${hash}` : ""}`);
+  });
+}
+
+const OUTPUT_FORMATS = ["csv", "json"];
+
+/**
+ * Build the list of token IDs in an inclusive { start, end } range.
+ */
+function buildTokenIds(idRange) {
+  const { start, end } = idRange;
+  const tokenIds = [];
+  for (let tokenId = start; tokenId <= end; tokenId++) {
+    tokenIds.push(tokenId);
+  }
+  return tokenIds;
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Parse a retention policy: "all", the number of snapshots to keep per
+ * collection ("10"), or a maximum age in days ("30d").
+ */
+function parseRetention(value) {
+  const policy = String(value).trim().toLowerCase();
+  if (policy === 'all') {
+    return { type: 'all' };
+  }
+  if (/^\d+$/.test(policy) && parseInt(policy) >= 1) {
+    return { type: 'count', count: parseInt(policy) };
+  }
+  if (/^\d+d$/.test(policy)) {
+    return { type: 'age', days: parseInt(policy) };
+  }
+  throw new Error(`Invalid retention policy: ${value} (expected "all", a count like "10" or an age like "30d")`);
+}
+
+function describeRetention(retention) {
+  if (retention.type === 'count') return `keep newest ${retention.count}`;
+  if (retention.type === 'age') return `keep ${retention.days} days`;
+  return 'keep all';
+}
+
+/**
+ * Build the output path for a snapshot file, named after the collection, the
+ * UTC run time and the snapshot block or slot, and create the output directory.
+ */
+function prepareOutputFile(prefix, blockLabel, options = {}) {
+  const outDir = options.outDir || OUTPUT_DIR;
+  const format = options.format || 'csv';
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const runTime = new Date().toISOString().replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+  return path.join(outDir, `${prefix} ${runTime}${blockLabel ? ` ${blockLabel}` : ''}.${format}`);
+}
+
+/**
+ * Whether a file is a snapshot of the collection: "<prefix> 6.27.csv" (legacy)
+ * or "<prefix> 2025-06-27T00-00-00Z block-123.csv". Diffs and reports are not.
+ */
+function isSnapshotFileName(file, prefix) {
+  const ext = path.extname(file).slice(1);
+  if (!file.startsWith(`${prefix} `) || !OUTPUT_FORMATS.includes(ext)) {
+    return false;
+  }
+
+  const stem = file.slice(prefix.length + 1, -(ext.length + 1));
+  return /^\d{1,2}\.\d{1,2}$/.test(stem) ||
+    /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}Z( ([a-z]+-)?(block|slot)-\d+)?$/.test(stem);
+}
+
+// Reports written next to a snapshot (see getReportFile), removed along with it
+const SNAPSHOT_REPORT_KINDS = ["Failures", "Conflicts", "Disputes", "Manifest"];
+
+/**
+ * Apply the retention policy to earlier snapshots of the collection in the
+ * output directory, removing each expired snapshot with its reports. The file
+ * just written is always kept.
+ */
+function applyRetention(prefix, currentFile, options = {}) {
+  const retention = options.retention || SNAPSHOT_RETENTION;
+  if (retention.type === 'all') return;
+
+  const outDir = path.dirname(currentFile);
+  const previous = fs.readdirSync(outDir)
+    .filter(file => isSnapshotFileName(file, prefix) && file !== path.basename(currentFile))
+    .map(file => ({ file: path.join(outDir, file), mtimeMs: fs.statSync(path.join(outDir, file)).mtimeMs }))
+    .sort((a, b) => b.mtimeMs - a.mtimeMs);
+
+  let expired;
+  if (retention.type === 'count') {
+    expired = previous.slice(retention.count - 1);
+  } else {
+    const cutoff = Date.now() - retention.days * 24 * 60 * 60 * 1000;
+    expired = previous.filter(({ mtimeMs }) => mtimeMs < cutoff);
+  }
+
+  if (expired.length > 0) {
+    expired.forEach(({ file }) => {
+      fs.unlinkSync(file);
+      SNAPSHOT_REPORT_KINDS.forEach(kind => OUTPUT_FORMATS.forEach(format => {
+        fs.rmSync(getReportFile(file, kind, { format }), { force: true });
+      }));
+    });
+    console.log(`Cleaned up ${expired.length} old snapshot file(s) and their reports (${describeRetention(retention)})`);
+  }
+}
+
+function readCsvFile(inputFile) {
+  return new Promise((resolve, reject) => {
+    const results = [];
+    
+    if (!fs.existsSync(inputFile)) {
+      reject(new Error(`Input file not found: ${inputFile}`));
+      return;
+    }
+    
+    fs.createReadStream(inputFile)
+      .pipe(csv())
+      .on('data', (data) => {
+        results.push(data);
+      })
+      .on('end', () => {
+        resolve(results);
+      })
+      .on('error', (error) => {
+        reject(error);
+      });
+  });
+}
+
+/**
+ * Read the rows of a snapshot file written by writeSnapshotFile (CSV or JSON).
+ */
+async function readSnapshotFile(inputFile) {
+  if (path.extname(inputFile).toLowerCase() !== '.json') {
+    return await readCsvFile(inputFile);
+  }
+
+  if (!fs.existsSync(inputFile)) {
+    throw new Error(`Input file not found: ${inputFile}`);
+  }
+  const rows = JSON.parse(fs.readFileSync(inputFile, 'utf8'));
+  if (!Array.isArray(rows)) {
+    throw new Error(`Snapshot file ${inputFile} must contain a JSON array of rows`);
+  }
+  // Match csv-parser, which yields every value as a string
+  return rows.map(row => Object.fromEntries(
+    Object.entries(row).map(([key, value]) => [key, value === null || value === undefined ? '' : String(value)])
+  ));
+}
+
+async function writeSnapshotFile(outputFile, header, records, format = 'csv') {
+  if (format === 'json') {
+    fs.writeFileSync(outputFile, JSON.stringify(records, null, 2));
+    return;
+  }
+
+  const csvWriter = createCsvWriter({
+    path: outputFile,
+    header
+  });
+  await csvWriter.writeRecords(records);
+}
+
+// --resume without a checkpoint: the collection's last run finished, it never ran,
+// or its run failed before the checkpoint was written
+class CheckpointNotFoundError extends Error {
+  constructor(collection) {
+    super(`No ${collection} checkpoint found in ${CHECKPOINT_DIR}; run without --resume`);
+    this.name = "CheckpointNotFoundError";
+  }
+}
+
+/**
+ * SNAPSHOT JOURNAL CLASS
+ * On-disk checkpoint of a run in progress, keyed by collection and the
+ * snapshot blocks (or Solana slot). Snapshotters record finished tokens after
+ * every batch so `--resume` can pick up with the same blocks and only look up
+ * what is still missing. The journal is removed once every token is found.
+ */
+class SnapshotJournal {
+  constructor(filePath, data) {
+    this.filePath = filePath;
+    this.data = data;
+    SnapshotJournal.active.add(this);
+    installInterruptHandler();
+  }
+
+  static keyFor(blocks, slot) {
+    const pinned = slot !== undefined && slot !== null
+      ? { slot }
+      : Object.fromEntries(Object.entries(blocks).map(([chainName, { block }]) => [chainName, block]));
+    return crypto.createHash("sha256").update(JSON.stringify(pinned)).digest("hex").slice(0, 12);
+  }
+
+  static pathFor(collection, key) {
+    return path.join(CHECKPOINT_DIR, `${collection}-${key}.json`);
+  }
+
+  static read(filePath) {
+    try {
+      return new SnapshotJournal(filePath, JSON.parse(fs.readFileSync(filePath, "utf8")));
+    } catch (err) {
+      throw new Error(`Unreadable checkpoint ${filePath}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Most recently updated checkpoint for a collection, or null.
+   */
+  static findLatest(collection) {
+    if (!fs.existsSync(CHECKPOINT_DIR)) return null;
+
+    const candidates = fs.readdirSync(CHECKPOINT_DIR)
+      .filter(file => file.startsWith(`${collection}-`) && file.endsWith(".json"))
+      .map(file => path.join(CHECKPOINT_DIR, file))
+      .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+    return candidates.length > 0 ? SnapshotJournal.read(candidates[0]) : null;
+  }
+
+  /**
+   * Start a fresh journal, or with resume load the one for the same blocks.
+   */
+  static open(collection, { blocks = {}, slot = null, slotHash = null, tokenRange = null, resume = false }) {
+    const key = SnapshotJournal.keyFor(blocks, slot);
+    const filePath = SnapshotJournal.pathFor(collection, key);
+
+    if (resume) {
+      if (!fs.existsSync(filePath)) {
+        throw new Error(`No ${collection} checkpoint for these snapshot blocks; run without --resume`);
+      }
+      return SnapshotJournal.read(filePath);
+    }
+
+    const journal = new SnapshotJournal(filePath, {
+      collection,
+      key,
+      createdAt: new Date().toISOString(),
+      updatedAt: null,
+      blocks,
+      slot,
+      slotHash,
+      tokenRange,
+      completed: {}
+    });
+    journal.save();
+    return journal;
+  }
+
+  get completed() {
+    return this.data.completed;
+  }
+
+  get completedCount() {
+    return Object.keys(this.data.completed).length;
+  }
+
+  /**
+   * The run's chain configs at the journal's snapshot blocks (see resolveSnapshotBlocks).
+   */
+  restoreBlocks() {
+    const runChains = { ...chains };
+    Object.entries(this.data.blocks).forEach(([chainName, { block, timestamp, source, hash, finality }]) => {
+      if (!chains[chainName]) return;
+      runChains[chainName] = {
+        ...chains[chainName],
+        snapshotBlock: block,
+        snapshotTimestamp: timestamp,
+        snapshotSource: source,
+        snapshotHash: hash || null,
+        snapshotFinality: finality || null
+      };
+    });
+    return runChains;
+  }
+
+  save(completed = this.data.completed) {
+    this.data.completed = completed;
+    this.data.updatedAt = new Date().toISOString();
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.data));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * Finish the run: drop the checkpoint when nothing is missing, otherwise keep
+   * it so `--resume` retries only the missing tokens.
+   */
+  finish(missingCount) {
+    SnapshotJournal.active.delete(this);
+    if (missingCount === 0) {
+      fs.rmSync(this.filePath, { force: true });
+      return;
+    }
+    this.save();
+    console.log(`Checkpoint kept at ${this.filePath}; rerun with --resume to retry ${missingCount} missing token(s)`);
+  }
+}
+
+SnapshotJournal.active = new Set();
+
+let interruptHandlerInstalled = false;
+
+function installInterruptHandler() {
+  if (interruptHandlerInstalled) return;
+  interruptHandlerInstalled = true;
+
+  process.once("SIGINT", () => {
+    SnapshotJournal.active.forEach(journal => {
+      journal.save();
+      console.log(`\nProgress saved to ${journal.filePath} (${journal.completedCount} tokens); rerun with --resume to continue`);
+    });
+    closeReadline();
+    process.exit(130);
+  });
+}
+
+/**
+ * Output file label: the block of the collection's first chain, or of the
+ * first chain that has one.
+ */
+function getBlockLabel(chainNames, snapshotBlocks) {
+  const labelChain = chainNames.find(chainName => snapshotBlocks[chainName]);
+  if (!labelChain) return null;
+  return labelChain === chainNames[0]
+    ? `block-${snapshotBlocks[labelChain].block}`
+    : `${labelChain}-block-${snapshotBlocks[labelChain].block}`;
+}
+
+/**
+ * EVM SNAPSHOTTER CLASS
+ * Snapshots an ERC-721 collection from the registry. Each token is looked up
+ * on every chain the collection is deployed to and recorded on the first
+ * chain (in the collection's order) where it has an owner.
+ */
+class EvmSnapshotter {
+  constructor(collectionId) {
+    this.collection = getCollection(collectionId);
+    this.chainNames = this.collection.chains;
+    this.contracts = this.collection.contracts;
+    this.escrowAddresses = this.collection.escrowAddresses;
+    this.batchSize = USE_MULTICALL ? MULTICALL_BATCH_SIZE : BATCH_SIZE;
+  }
+
+  async resolveSnapshotBlocks(options = {}) {
+    return await resolveSnapshotBlocks(this.chainNames, options);
+  }
+
+  /**
+   * Owners of tokenIds on one chain. With a quorum above 1, several of the
+   * chain's endpoints are asked and their answers combined (see QUORUM READS).
+   */
+  async getTokenOwnerBatch(chainName, chainConfig, tokenIds, quorum = 1) {
+    const contractAddress = this.contracts[chainName];
+    if (quorum <= 1) {
+      return await getTokenOwners(chainName, chainConfig, contractAddress, tokenIds, chainConfig.snapshotBlock);
+    }
+
+    const answers = await collectQuorumAnswers(getChainEndpoints(chainName, chainConfig), tokenIds, quorum,
+      (endpoint, pending) => getTokenOwners(chainName, chainConfig, contractAddress, pending, chainConfig.snapshotBlock,
+        getEndpointProvider(chainName, chainConfig, endpoint)));
+    return answers.map(tokenAnswers => resolveQuorum(tokenAnswers, quorum));
+  }
+
+  // Fail before any lookup when a chain has fewer endpoints than the quorum needs
+  checkQuorum(quorum = 1) {
+    if (quorum <= 1) return;
+    for (const chainName of this.chainNames) {
+      const config = chains[chainName];
+      if (config.rpc && config.rpcs.length < quorum) {
+        throw new Error(`--quorum ${quorum} needs ${quorum} RPC endpoints per chain; ${config.rpcEnv} lists ${config.rpcs.length}`);
+      }
+    }
+  }
+
+  // Discovered once per run; enumerable and mint-event IDs depend on the snapshot blocks
+  async getTokenIds(tokenRange, runChains) {
+    if (!this.collectionTokenIds) {
+      this.collectionTokenIds = await discoverTokenIds(this.collection, runChains);
+    }
+    return filterTokenRange(this.collectionTokenIds, tokenRange);
+  }
+
+  // Owners of a token on each chain that answered, in the collection's chain order
+  getOwnerCandidates(chainResults, tokenId) {
+    const candidates = [];
+    for (const chainResult of chainResults) {
+      if (!chainResult) continue;
+
+      const { chainName, results } = chainResult;
+      const result = results?.find(r => r.tokenId === tokenId);
+      if (result?.owner && result.owner !== ethers.ZeroAddress) {
+        candidates.push({ chain: chainName, owner: result.owner, ...(result.dispute ? { dispute: result.dispute } : {}) });
+      }
+    }
+    return candidates;
+  }
+
+  // Why each chain that answered had no owner for a token ([{ chain, failure, detail }])
+  getLookupFailures(chainResults, tokenId) {
+    const failures = [];
+    for (const chainResult of chainResults) {
+      if (!chainResult) continue;
+
+      const result = chainResult.results.find(r => r.tokenId === tokenId);
+      if (result?.failure) {
+        failures.push({ chain: chainResult.chainName, failure: result.failure, detail: result.detail,
+          ...(result.dispute ? { dispute: result.dispute } : {}) });
+      }
+    }
+    return failures;
+  }
+
+  generateWalletSummary(foundTokens) {
+    const walletCounts = {};
+    Object.values(foundTokens).forEach(({ owner }) => {
+      walletCounts[owner] = (walletCounts[owner] || 0) + 1;
+    });
+    return walletCounts;
+  }
+
+  /**
+   * options.runChains are the run's chain configs from resolveSnapshotBlocks.
+   * Without them, the snapshot blocks are resolved first from options.blocks,
+   * options.timestamp or the newest final blocks.
+   */
+  async snapshotNFTs(options = {}) {
+    options = { ...options, runChains: options.runChains || await this.resolveSnapshotBlocks(options) };
+    const { journal, runChains } = options;
+    const finalSnapshot = journal ? { ...journal.completed } : {};
+    const startTime = Date.now();
+    const tokensToRecheck = new Set();
+    // Latest failed lookups of each token not found yet
+    const lookupFailures = {};
+    const chainStats = {};
+    const tokenIds = await this.getTokenIds(options.tokenRange, runChains);
+    const pendingTokenIds = tokenIds.filter(tokenId => !finalSnapshot[tokenId]);
+    const totalTokens = tokenIds.length;
+    let processedTokens = totalTokens - pendingTokenIds.length;
+    
+    this.chainNames.forEach(chain => {
+      chainStats[chain] = 0;
+    });
+    Object.values(finalSnapshot).forEach(({ chain }) => {
+      chainStats[chain]++;
+    });
+
+    if (options.engine === "events") {
+      return await this.snapshotFromEvents(tokenIds, startTime, options);
+    }
+    options = { ...options, quorum: options.quorum ?? RPC_QUORUM };
+    this.checkQuorum(options.quorum);
+
+    console.log(`Starting to process ${totalTokens} ${this.collection.name} tokens across ${this.chainNames.length} chain(s)...`);
+    if (processedTokens > 0) {
+      console.log(`Resuming from checkpoint: ${processedTokens} tokens already recorded, ${pendingTokenIds.length} remaining`);
+    }
+    
+    // Create batches
+    const batches = chunk(pendingTokenIds, this.batchSize);
+    
+    // Process each batch
+    for (const batch of batches) {
+      const batchStart = Math.min(...batch);
+      const batchEnd = Math.max(...batch);
+      console.log(`\nProcessing batch ${batchStart}-${batchEnd}...`);
+      
+      const chainPromises = this.chainNames.map(async chainName => {
+        const chainConfig = runChains[chainName];
+        if (!chainConfig.snapshotBlock || !chainConfig.rpc) return null;
+        const results = await this.getTokenOwnerBatch(chainName, chainConfig, batch, options.quorum);
+        return { chainName, results };
+      });
+      
+      const chainResults = await Promise.all(chainPromises);
+      
+            let batchFound = 0;
+      for (const tokenId of batch) {
+        const candidates = this.getOwnerCandidates(chainResults, tokenId);
+        
+        if (candidates.length > 0) {
+          finalSnapshot[tokenId] = pickTokenOwner(candidates, this.escrowAddresses, runChains);
+          chainStats[finalSnapshot[tokenId].chain]++;
+          batchFound++;
+        } else {
+          lookupFailures[tokenId] = this.getLookupFailures(chainResults, tokenId);
+          // Burned and never-minted tokens give the same answer on every pass
+          if (lookupFailures[tokenId].some(({ failure }) => isTransientFailure(failure))) {
+            tokensToRecheck.add(tokenId);
+          }
+        }
+      }
+      console.log(`   Found ${batchFound}/${batch.length} tokens in this batch`);
+      
+      processedTokens += batch.length;
+      const elapsedMinutes = ((Date.now() - startTime) / 1000 / 60).toFixed(2);
+      const progress = ((processedTokens / totalTokens) * 100).toFixed(2);
+      console.log(`Progress: ${progress}% (${processedTokens}/${totalTokens} tokens) | Time elapsed: ${elapsedMinutes} minutes`);
+      journal?.save(finalSnapshot);
+    }
+    
+    // Recheck tokens whose lookups still failed on a transient RPC error after the
+    // scheduler's own retries, in smaller batches so one oversized Multicall cannot sink them all
+    if (tokensToRecheck.size > 0) {
+      for (let pass = 1; pass <= 3; pass++) {
+        if (tokensToRecheck.size === 0) break;
+        
+        console.log(`\nPass ${pass}: Rechecking ${tokensToRecheck.size} tokens...`);
+        const tokensArray = Array.from(tokensToRecheck);
+        
+        const recheckBatches = [];
+        const batchSize = Math.max(5, Math.floor(this.batchSize / pass));
+        for (let i = 0; i < tokensArray.length; i += batchSize) {
+          recheckBatches.push(tokensArray.slice(i, i + batchSize));
+        }
+        
+        for (const batch of recheckBatches) {
+          const chainPromises = this.chainNames.map(async chainName => {
+            const chainConfig = runChains[chainName];
+            if (!chainConfig.snapshotBlock || !chainConfig.rpc) return null;
+            const results = await this.getTokenOwnerBatch(chainName, chainConfig, batch, options.quorum);
+            return { chainName, results };
+          });
+          
+          const chainResults = await Promise.all(chainPromises);
+          
+          for (const tokenId of batch) {
+            if (!tokensToRecheck.has(tokenId)) continue;
+            
+            const candidates = this.getOwnerCandidates(chainResults, tokenId);
+            if (candidates.length > 0) {
+              finalSnapshot[tokenId] = pickTokenOwner(candidates, this.escrowAddresses, runChains);
+              chainStats[finalSnapshot[tokenId].chain]++;
+              delete lookupFailures[tokenId];
+              tokensToRecheck.delete(tokenId);
+              continue;
+            }
+
+            lookupFailures[tokenId] = this.getLookupFailures(chainResults, tokenId);
+            if (!lookupFailures[tokenId].some(({ failure }) => isTransientFailure(failure))) {
+              tokensToRecheck.delete(tokenId);
+            }
+          }
+          journal?.save(finalSnapshot);
+        }
+        
+        if (pass < 3) {
+          const remainingTokens = tokensToRecheck.size;
+          console.log(`   Pass ${pass} completed: ${remainingTokens} tokens still need retry`);
+        }
+      }
+    }
+    
+    // Only tokens that may still exist are worth resuming
+    journal?.finish(tokensToRecheck.size);
+    return await this.generateOutput(finalSnapshot, chainStats, lookupFailures, totalTokens, startTime, options);
+  }
+
+  async snapshotFromEvents(tokenIds, startTime, options = {}) {
+    console.log(`Reconstructing ${tokenIds.length} ${this.collection.name} tokens from Transfer events across ${this.chainNames.length} chain(s)...`);
+    const { finalSnapshot, chainStats, chainOwners, skippedChains } = await snapshotFromTransferEvents(
+      this.contracts, this.collection.deployBlocks, tokenIds, this.escrowAddresses, options.runChains
+    );
+    if (skippedChains.length > 0) {
+      console.warn(`Warning: Event replay failed on ${skippedChains.join(", ")}; tokens held there are missing`);
+    }
+
+    const crossCheck = options.crossCheck
+      ? await crossCheckOwners(this.contracts, chainOwners, tokenIds, options.crossCheck, options.runChains)
+      : null;
+
+    // A token no replayed chain holds was burned or never minted there
+    const lookupFailures = {};
+    tokenIds.filter(tokenId => !finalSnapshot[tokenId]).forEach(tokenId => {
+      lookupFailures[tokenId] = [
+        ...Object.keys(chainOwners).map(chain => ({ chain, failure: "nonexistent", detail: "no holder in Transfer events" })),
+        ...skippedChains.map(chain => ({ chain, failure: "rpc-error", detail: "Transfer event replay failed" }))
+      ];
+    });
+
+    const result = await this.generateOutput(finalSnapshot, chainStats, lookupFailures, tokenIds.length, startTime, options);
+    result.crossCheck = crossCheck;
+    result.skippedChains = skippedChains;
+    return result;
+  }
+
+  async generateOutput(finalSnapshot, chainStats, lookupFailures, totalTokens, startTime, options = {}) {
+    const { runChains } = options;
+    const totalFound = Object.keys(finalSnapshot).length;
+
+    // Credit tokens held by a known custodian to their depositor. finalSnapshot
+    // is left as looked up: checkpoints must keep the on-chain owner.
+    const custody = await resolveCustodians(this.collection, Object.entries(finalSnapshot)
+      .map(([tokenId, { owner, chain }]) => ({ key: Number(tokenId), owner, chain })), { runChains });
+    const holders = {};
+    Object.entries(finalSnapshot).forEach(([tokenId, tokenData]) => {
+      const depositor = custody.get(Number(tokenId))?.depositor;
+      holders[tokenId] = { ...tokenData, owner: depositor || tokenData.owner };
+    });
+
+    const walletTypes = await classifyWallets(Object.values(holders), runChains);
+
+    const endTime = Date.now();
+    const totalRuntime = ((endTime - startTime) / 1000 / 60).toFixed(2);
+
+    const snapshotBlocks = getSnapshotBlocks(this.chainNames, runChains);
+    const blockCheck = await verifySnapshotBlocks(this.chainNames, runChains);
+    const blockLabel = getBlockLabel(this.chainNames, snapshotBlocks);
+    const { prefix } = this.collection.output;
+    const outputFile = prepareOutputFile(prefix, blockLabel, options);
+    const tracksCustody = this.collection.custodians.length > 0;
+
+    // Create CSV data
+    const csvData = [];
+    Object.entries(holders).forEach(([tokenId, tokenData]) => {
+      const row = {
+        TokenId: tokenId,
+        Owner: tokenData.owner,
+        Chain: tokenData.chain,
+        BlockNumber: tokenData.block
+      };
+      if (tracksCustody) {
+        const held = custody.get(Number(tokenId));
+        row.Custodian = held ? held.custodian.name : '';
+        row.CustodyStatus = !held ? '' : held.depositor ? 'resolved' : 'unresolved';
+      }
+      if (walletTypes) {
+        const walletClass = walletTypes.get(walletClassKey(tokenData.chain, tokenData.owner));
+        row.WalletType = walletClass.type;
+        row.WalletDetail = walletClass.detail;
+      }
+      csvData.push(row);
+    });
+    
+    csvData.sort((a, b) => parseInt(a.TokenId) - parseInt(b.TokenId));
+    
+    const walletCounts = this.generateWalletSummary(holders);
+    const sortedWallets = Object.entries(walletCounts).sort((a, b) => b[1] - a[1]);
+    
+    await writeSnapshotFile(outputFile, [
+      {id: 'TokenId', title: 'TokenId'},
+      {id: 'Owner', title: 'Owner'},
+      {id: 'Chain', title: 'Chain'},
+      {id: 'BlockNumber', title: 'BlockNumber'},
+      ...(tracksCustody ? [{id: 'Custodian', title: 'Custodian'}, {id: 'CustodyStatus', title: 'CustodyStatus'}] : []),
+      ...(walletTypes ? [{id: 'WalletType', title: 'WalletType'}, {id: 'WalletDetail', title: 'WalletDetail'}] : [])
+    ], csvData, options.format);
+    applyRetention(prefix, outputFile, options);
+    const conflicts = await writeConflictReport(finalSnapshot, outputFile, this.escrowAddresses, options);
+
+    const missingTokens = (await this.getTokenIds(options.tokenRange, runChains)).filter(tokenId => !finalSnapshot[tokenId]);
+    const failures = missingTokens.map(tokenId => {
+      const chainFailures = lookupFailures[tokenId] || [];
+      return { tokenId, reason: getPrimaryFailure(chainFailures), lookups: chainFailures };
+    });
+    const failureRows = [];
+    failures.forEach(({ tokenId, reason, lookups: chainFailures }) => {
+      if (chainFailures.length === 0) {
+        failureRows.push({ TokenId: tokenId, Chain: '', Reason: reason, Detail: '' });
+      }
+      chainFailures.forEach(({ chain, failure, detail }) => {
+        failureRows.push({ TokenId: tokenId, Chain: chain, Reason: failure, Detail: detail });
+      });
+    });
+    const failuresFile = await writeFailureReport(outputFile, ['TokenId', 'Chain'], failureRows, options);
+    const unresolved = failures.filter(({ reason }) => isTransientFailure(reason)).length;
+
+    const disputes = [];
+    Object.entries(finalSnapshot).forEach(([tokenId, { disputes: tokenDisputes = [] }]) => {
+      tokenDisputes.forEach(({ chain, ...dispute }) => disputes.push({ key: { TokenId: tokenId }, chain, dispute }));
+    });
+    failures.forEach(({ tokenId, lookups: chainFailures }) => {
+      chainFailures.filter(({ dispute }) => dispute)
+        .forEach(({ chain, dispute }) => disputes.push({ key: { TokenId: String(tokenId) }, chain, dispute }));
+    });
+    disputes.sort((a, b) => parseInt(a.key.TokenId) - parseInt(b.key.TokenId));
+    const disputesFile = await writeDisputeReport(outputFile, ['TokenId', 'Chain'], disputes, options);
+
+    const collectionSize = this.collectionTokenIds.length;
+    console.log(`\n=== ${this.collection.name} Snapshot Summary ===`);
+    console.log(`- Total Supply: ${collectionSize}`);
+    if (totalTokens !== collectionSize) {
+      console.log(`- Tokens Requested: ${totalTokens}`);
+    }
+    console.log(`- Tokens Found: ${totalFound}`);
+    console.log(`- Tokens Not Found: ${totalTokens - totalFound}${failures.length > 0 ? ` (${describeFailureCounts(failures.map(({ reason }) => reason))})` : ''}`);
+    console.log(`- Success Rate: ${((totalFound / totalTokens) * 100).toFixed(2)}%`);
+    console.log(`- Total unique wallets: ${sortedWallets.length}`);
+    if (custody.size > 0) {
+      const unresolved = [...custody.values()].filter(({ depositor }) => !depositor).length;
+      console.log(`- Custodial Tokens: ${custody.size} (${custody.size - unresolved} credited to depositors, ${unresolved} unresolved)`);
+    }
+    console.log(`- Total Runtime: ${totalRuntime} minutes`);
+
+    printSnapshotBlocks(this.chainNames, runChains);
+    printBlockCheck(blockCheck);
+
+    console.log("\nChain Distribution:");
+    Object.entries(chainStats).forEach(([chain, count]) => {
+      if (count > 0) {
+        console.log(`- ${chain}: ${count} tokens`);
+      }
+    });
+
+    printWalletTypes(walletTypes);
+
+    printDisputes(disputes, disputesFile);
+
+    if (conflicts) {
+      console.log(`\nMulti-Chain Tokens: ${conflicts.tokens} held on more than one chain`);
+      console.log(`- Resolved (escrow owner set aside, or same owner): ${conflicts.resolved}`);
+      console.log(`- Unresolved (first chain kept): ${conflicts.unresolved}`);
+      console.log(`- Report: ${conflicts.file}`);
+    }
+
+    console.log("\nTop 5 Holders:");
+    sortedWallets.slice(0, 5).forEach(([address, count], index) => {
+      console.log(`${index + 1}. ${address}: ${count} tokens`);
+    });
+
+    console.log(`\nCompleted! Results saved to ${outputFile}`);
+    if (failuresFile) {
+      console.log(`Failed lookups saved to ${failuresFile}`);
+    }
+    
+    return {
+      processedData: csvData,
+      missingTokens,
+      failures,
+      outputFile: outputFile,
+      failuresFile,
+      conflicts,
+      disputes: disputesFile ? { count: disputes.length, file: disputesFile } : null,
+      blocks: snapshotBlocks,
+      blockCheck,
+      stats: {
+        total: totalTokens,
+        found: totalFound,
+        missing: totalTokens - totalFound,
+        unresolved,
+        successRate: ((totalFound / totalTokens) * 100).toFixed(2),
+        runtime: totalRuntime,
+        uniqueWallets: sortedWallets.length
+      }
+    };
+  }
+}
+
+/**
+ * ERC-1155 SNAPSHOTTER CLASS
+ * ERC-1155 tokens have balances instead of a single owner. Candidate holders
+ * come from replaying TransferSingle/TransferBatch events; each holder's
+ * balance of each token ID is then read with balanceOf at the snapshot block.
+ */
+class Erc1155Snapshotter {
+  constructor(collectionId) {
+    this.collection = getCollection(collectionId);
+    this.chainNames = this.collection.chains;
+    this.contracts = this.collection.contracts;
+  }
+
+  async resolveSnapshotBlocks(options = {}) {
+    return await resolveSnapshotBlocks(this.chainNames, options);
+  }
+
+  /**
+   * options.runChains are the run's chain configs from resolveSnapshotBlocks.
+   * Without them, the snapshot blocks are resolved first from options.blocks,
+   * options.timestamp or the newest final blocks.
+   */
+  async snapshotNFTs(options = {}) {
+    options = { ...options, runChains: options.runChains || await this.resolveSnapshotBlocks(options) };
+    const { runChains } = options;
+    const startTime = Date.now();
+    const recipientsByChain = {};
+    const mintedIds = [];
+    const skippedChains = [];
+
+    console.log(`Replaying ${this.collection.name} transfers across ${this.chainNames.length} chain(s)...`);
+    for (const chainName of this.chainNames) {
+      const config = runChains[chainName];
+      if (!config.rpc || !config.snapshotBlock) continue;
+
+      try {
+        const deployBlock = await getDeployBlock(this.collection, chainName, runChains);
+        if (deployBlock === null) {
+          console.log(`Chain: ${chainName} | Contract not deployed at block ${config.snapshotBlock}, skipping`);
+          continue;
+        }
+        console.log(`Chain: ${chainName} | Replaying transfers from block ${deployBlock} to ${config.snapshotBlock}...`);
+        const { recipients, mintedIds: chainMints } = await getErc1155Recipients(
+          chainName, config, this.contracts[chainName], deployBlock, config.snapshotBlock
+        );
+        recipientsByChain[chainName] = recipients;
+        mintedIds.push(...chainMints);
+      } catch (error) {
+        console.error(`Chain: ${chainName} | Event replay failed: ${error.message}`);
+        skippedChains.push(chainName);
+      }
+    }
+    if (skippedChains.length > 0) {
+      console.warn(`Warning: Event replay failed on ${skippedChains.join(", ")}; balances held there are missing`);
+    }
+
+    // IDs stay BigInt: ERC-1155 IDs are often too large for a number, and there is no checkpoint keyed by them
+    this.collectionTokenIds = this.collection.tokenIds.method === "range"
+      ? buildTokenIds(this.collection.tokenIds).map(BigInt)
+      : [...new Set(mintedIds)].sort((a, b) => (a > b) - (a < b));
+    const tokenIds = filterTokenRange(this.collectionTokenIds, options.tokenRange);
+    const requested = new Set(tokenIds);
+
+    const holdings = [];
+    const failedTokens = new Set();
+    for (const [chainName, recipients] of Object.entries(recipientsByChain)) {
+      const config = runChains[chainName];
+      const lookups = [];
+      recipients.forEach((holders, tokenId) => {
+        if (!requested.has(tokenId)) return;
+        holders.forEach(holder => lookups.push({ tokenId, holder }));
+      });
+
+      console.log(`Chain: ${chainName} | Reading ${lookups.length} balances at block ${config.snapshotBlock}...`);
+      const balances = await readContractBatch(chainName, config, this.contracts[chainName], erc1155Interface, "balanceOf",
+        lookups.map(({ holder, tokenId }) => [holder, tokenId]), config.snapshotBlock);
+
+      lookups.forEach(({ tokenId, holder }, index) => {
+        if (balances[index] === null) {
+          failedTokens.add(tokenId);
+        } else if (balances[index] > 0n) {
+          holdings.push({ tokenId, owner: holder, quantity: balances[index], chain: chainName, block: config.snapshotBlock });
+        }
+      });
+    }
+
+    // With a chain skipped, any ID without holders may be held there
+    const heldIds = new Set(holdings.map(({ tokenId }) => tokenId));
+    const missingTokens = skippedChains.length > 0
+      ? tokenIds.filter(tokenId => !heldIds.has(tokenId))
+      : tokenIds.filter(tokenId => failedTokens.has(tokenId));
+
+    const result = await this.generateOutput(holdings, tokenIds, missingTokens, startTime, options);
+    result.skippedChains = skippedChains;
+    return result;
+  }
+
+  async generateOutput(holdings, tokenIds, missingTokens, startTime, options = {}) {
+    const { runChains } = options;
+    const walletTypes = await classifyWallets(holdings, runChains);
+    const totalRuntime = ((Date.now() - startTime) / 1000 / 60).toFixed(2);
+    const totalTokens = tokenIds.length;
+    const heldIds = new Set(holdings.map(({ tokenId }) => tokenId));
+
+    const snapshotBlocks = getSnapshotBlocks(this.chainNames, runChains);
+    const blockCheck = await verifySnapshotBlocks(this.chainNames, runChains);
+    const blockLabel = getBlockLabel(this.chainNames, snapshotBlocks);
+    const { prefix } = this.collection.output;
+    const outputFile = prepareOutputFile(prefix, blockLabel, options);
+
+    const csvData = holdings
+      .sort((a, b) => (a.tokenId > b.tokenId) - (a.tokenId < b.tokenId) || a.chain.localeCompare(b.chain) || a.owner.localeCompare(b.owner))
+      .map(holding => {
+        const row = {
+          TokenId: holding.tokenId.toString(),
+          Owner: holding.owner,
+          Quantity: holding.quantity.toString(),
+          Chain: holding.chain,
+          BlockNumber: holding.block
+        };
+        if (walletTypes) {
+          const walletClass = walletTypes.get(walletClassKey(holding.chain, holding.owner));
+          row.WalletType = walletClass.type;
+          row.WalletDetail = walletClass.detail;
+        }
+        return row;
+      });
+
+    const walletTotals = {};
+    const chainStats = {};
+    holdings.forEach(({ owner, quantity, chain }) => {
+      walletTotals[owner] = (walletTotals[owner] || 0n) + quantity;
+      chainStats[chain] = (chainStats[chain] || 0) + 1;
+    });
+    const sortedWallets = Object.entries(walletTotals).sort((a, b) => (b[1] > a[1]) - (b[1] < a[1]));
+
+    await writeSnapshotFile(outputFile, [
+      {id: 'TokenId', title: 'TokenId'},
+      {id: 'Owner', title: 'Owner'},
+      {id: 'Quantity', title: 'Quantity'},
+      {id: 'Chain', title: 'Chain'},
+      {id: 'BlockNumber', title: 'BlockNumber'},
+      ...(walletTypes ? [{id: 'WalletType', title: 'WalletType'}, {id: 'WalletDetail', title: 'WalletDetail'}] : [])
+    ], csvData, options.format);
+    applyRetention(prefix, outputFile, options);
+
+    const successRate = totalTokens > 0 ? (((totalTokens - missingTokens.length) / totalTokens) * 100).toFixed(2) : "100.00";
+    console.log(`\n=== ${this.collection.name} Snapshot Summary ===`);
+    console.log(`- Token IDs: ${this.collectionTokenIds.length}`);
+    if (totalTokens !== this.collectionTokenIds.length) {
+      console.log(`- Token IDs Requested: ${totalTokens}`);
+    }
+    console.log(`- Token IDs Held: ${heldIds.size}`);
+    console.log(`- Token IDs Not Checked: ${missingTokens.length}`);
+    console.log(`- Holdings: ${csvData.length}`);
+    console.log(`- Success Rate: ${successRate}%`);
+    console.log(`- Total unique wallets: ${sortedWallets.length}`);
+    console.log(`- Total Runtime: ${totalRuntime} minutes`);
+
+    printSnapshotBlocks(this.chainNames, runChains);
+    printBlockCheck(blockCheck);
+
+    console.log("\nChain Distribution:");
+    Object.entries(chainStats).forEach(([chain, count]) => {
+      console.log(`- ${chain}: ${count} holdings`);
+    });
+
+    printWalletTypes(walletTypes);
+
+    console.log("\nTop 5 Holders:");
+    sortedWallets.slice(0, 5).forEach(([address, quantity], index) => {
+      console.log(`${index + 1}. ${address}: ${quantity} tokens`);
+    });
+
+    console.log(`\nCompleted! Results saved to ${outputFile}`);
+
+    return {
+      processedData: csvData,
+      missingTokens,
+      outputFile: outputFile,
+      blocks: snapshotBlocks,
+      blockCheck,
+      stats: {
+        total: totalTokens,
+        found: heldIds.size,
+        missing: missingTokens.length,
+        successRate,
+        runtime: totalRuntime,
+        uniqueWallets: sortedWallets.length
+      }
+    };
+  }
+}
+
+// Per-collection classes kept for scripts written before the collections file
+class InfinitySnapshotter extends EvmSnapshotter {
+  constructor() {
+    super("infinity");
+  }
+
+  // Kept for callers of the old snapshotNFTs(snapshotBlock, options) signature
+  async snapshotNFTs(snapshotBlock, options = {}) {
+    if (typeof snapshotBlock === "object" && snapshotBlock !== null) {
+      return await super.snapshotNFTs(snapshotBlock);
+    }
+    return await super.snapshotNFTs({ ...options, blocks: { ...options.blocks, ethereum: snapshotBlock } });
+  }
+}
+
+class PandaSnapshotter extends EvmSnapshotter {
+  constructor() {
+    super("panda");
+  }
+}
+
+/**
+ * SOLANA COLLECTION DISCOVERY
+ * Enumerates a Solana collection's mints on-chain instead of trusting the
+ * mint list CSV: by verified collection key or update authority, through the
+ * DAS API (getAssetsByGroup / getAssetsByAuthority) or plain RPC
+ * (getProgramAccounts over Token Metadata accounts). TokenIds come from the
+ * NFT names ("Kanpai Panda #1234" by default).
+ */
+const DISCOVERY_METHODS = ["das", "rpc"];
+const TOKEN_METADATA_PROGRAM_ID = "metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s";
+const DAS_PAGE_SIZE = 1000;
+const DEFAULT_TOKEN_ID_PATTERN = "#(\\d+)\\s*$";
+
+/**
+ * Decode the fields discovery needs from a Token Metadata account:
+ * { updateAuthority, mint, name, collection: { key, verified } | null }, or
+ * null when the data is not a complete metadata account.
+ */
+function parseTokenMetadata(data) {
+  try {
+    let offset = 0;
+    const readU8 = () => data.readUInt8(offset++);
+    const readKey = () => {
+      const key = ethers.encodeBase58(data.subarray(offset, offset + 32));
+      offset += 32;
+      return key;
+    };
+    const readString = () => {
+      const length = data.readUInt32LE(offset);
+      const value = data.subarray(offset + 4, offset + 4 + length).toString("utf8").replace(/\0/g, "");
+      offset += 4 + length;
+      return value;
+    };
+
+    if (readU8() !== 4) return null; // Key::MetadataV1
+    const updateAuthority = readKey();
+    const mint = readKey();
+    const name = readString();
+    readString(); // symbol
+    readString(); // uri
+    offset += 2; // seller fee basis points
+    if (readU8() === 1) {
+      offset += data.readUInt32LE(offset) * 34 + 4; // creators: address, verified, share
+    }
+    offset += 2; // primary sale happened, is mutable
+    if (readU8() === 1) offset += 1; // edition nonce
+    if (readU8() === 1) offset += 1; // token standard
+    let collection = null;
+    if (readU8() === 1) {
+      const verified = readU8() === 1;
+      collection = { verified, key: readKey() };
+    }
+    return { updateAuthority, mint, name: name.trim(), collection };
+  } catch (err) {
+    // RangeError: truncated or older layout
+    return null;
+  }
+}
+
+// Helius serves the DAS API; other endpoints may only speak standard RPC
+function getDefaultDiscoveryMethod() {
+  return SOLANA_RPC_URLS[0]?.startsWith(HELIUS_RPC_URL) ? "das" : "rpc";
+}
+
+function parseNameTokenId(name, pattern) {
+  const match = new RegExp(pattern).exec(name || "");
+  return match ? String(parseInt(match[1])) : null;
+}
+
+/**
+ * Compare the mint list rows with the mints found on-chain. Returns
+ * [{ Issue, SolanaTokenId, TokenId, OnChainTokenId, Detail }]; assets are
+ * { mint, tokenId, name, burnt }.
+ */
+function reconcileMintList(rows, assets) {
+  const issues = [];
+  const onChain = new Map(assets.map(asset => [asset.mint, asset]));
+  const issue = (Issue, row, asset, Detail) => issues.push({
+    Issue,
+    SolanaTokenId: row?.SolanaTokenId || asset?.mint || "",
+    TokenId: row?.TokenId || "",
+    OnChainTokenId: asset?.tokenId || "",
+    Detail
+  });
+
+  const mintCounts = new Map();
+  const tokenIdCounts = new Map();
+  rows.forEach(row => {
+    mintCounts.set(row.SolanaTokenId, (mintCounts.get(row.SolanaTokenId) || 0) + 1);
+    if (row.TokenId) tokenIdCounts.set(row.TokenId, (tokenIdCounts.get(row.TokenId) || 0) + 1);
+  });
+
+  rows.forEach(row => {
+    const asset = onChain.get(row.SolanaTokenId);
+    if (!isSolanaAddress(row.SolanaTokenId)) {
+      issue("invalid-mint", row, null, "not a Solana address");
+    } else if (!asset) {
+      issue("foreign", row, null, "not in the collection on-chain");
+    } else if (asset.burnt) {
+      issue("burned", row, asset, "burned on-chain");
+    } else if (!asset.tokenId) {
+      issue("no-tokenid", row, asset, `no TokenId in on-chain name "${asset.name}"`);
+    } else if (row.TokenId !== asset.tokenId) {
+      issue("tokenid-mismatch", row, asset, `on-chain name is "${asset.name}"`);
+    }
+    if (isSolanaAddress(row.SolanaTokenId) && mintCounts.get(row.SolanaTokenId) > 1) {
+      issue("duplicate-mint", row, asset, `listed ${mintCounts.get(row.SolanaTokenId)} times`);
+    }
+    if (row.TokenId && tokenIdCounts.get(row.TokenId) > 1) {
+      issue("duplicate-tokenid", row, asset, `TokenId ${row.TokenId} is on ${tokenIdCounts.get(row.TokenId)} rows`);
+    }
+  });
+
+  assets.filter(asset => !asset.burnt && !mintCounts.has(asset.mint)).forEach(asset => {
+    issue("missing", null, asset, asset.tokenId ? `on-chain as "${asset.name}"` : `no TokenId in name "${asset.name}"`);
+  });
+  return issues;
+}
+
+/**
+ * Mint list rows for the collection's live assets, ordered by TokenId. Rank
+ * is not on-chain, so it is carried over from the current list.
+ */
+function buildMintListRows(assets, currentRows) {
+  const ranks = new Map(currentRows.filter(row => row.Rank).map(row => [row.SolanaTokenId, row.Rank]));
+  return assets.filter(asset => !asset.burnt)
+    .map(asset => ({ Rank: ranks.get(asset.mint) || "", SolanaTokenId: asset.mint, TokenId: asset.tokenId || "" }))
+    .sort((a, b) => (parseInt(a.TokenId) || Infinity) - (parseInt(b.TokenId) || Infinity) || a.SolanaTokenId.localeCompare(b.SolanaTokenId));
+}
+
+function printReconciliation(issues, assets, rows) {
+  const live = assets.filter(asset => !asset.burnt).length;
+  console.log(`\nMint list: ${rows.length} rows | On-chain: ${live} mints${assets.length > live ? ` (+${assets.length - live} burned)` : ""}`);
+  if (issues.length === 0) {
+    console.log("✅ The mint list matches the collection on-chain");
+    return;
+  }
+
+  const counts = {};
+  issues.forEach(({ Issue }) => {
+    counts[Issue] = (counts[Issue] || 0) + 1;
+  });
+  Object.entries(counts).forEach(([kind, count]) => console.log(`- ${kind}: ${count}`));
+  issues.slice(0, 10).forEach(({ Issue, SolanaTokenId, TokenId, Detail }) => {
+    console.log(`   ❌ ${Issue} ${SolanaTokenId}${TokenId ? ` (TokenId ${TokenId})` : ""}: ${Detail}`);
+  });
+  if (issues.length > 10) {
+    console.log(`   ... and ${issues.length - 10} more`);
+  }
+}
+
+// Most accounts getMultipleAccounts takes in one request
+const SOLANA_ACCOUNTS_PER_REQUEST = 100;
+
+/**
+ * SOLANA SNAPSHOTTER CLASS
+ * Snapshots a Solana collection from the registry by looking up the owner of
+ * every mint in its mint list CSV (SolanaTokenId column, optional TokenId).
+ */
+class SolanaSnapshotter {
+  constructor(collectionId) {
+    this.collection = getCollection(collectionId);
+    this.headers = {
+      "Content-Type": "application/json",
+      "User-Agent": "SolanaPandaOwnershipBot/1.0"
+    };
+    this.endpoints = SOLANA_RPC_URLS.map(url => getScheduler(url,
+      url.startsWith(HELIUS_RPC_URL) ? "Helius" : `Solana (${describeEndpoint(url)})`,
+      { rate: SOLANA_RATE_LIMIT, maxConcurrent: SOLANA_MAX_CONCURRENT }));
+  }
+
+  /**
+   * Send one JSON-RPC request and return the response body ({ result } or
+   * { error }), failing over between the Solana endpoints unless
+   * options.endpoint pins one. Rate-limit errors are retried.
+   */
+  async rpcRequest(method, params, options = {}) {
+    const endpoints = options.endpoint ? [options.endpoint] : this.endpoints;
+    return await sendWithFailover(endpoints, async (endpoint) => {
+      const response = await axios.post(endpoint.url, { jsonrpc: "2.0", id: 1, method, params }, {
+        headers: this.headers,
+        timeout: options.timeout || 60000
+      });
+      const rpcError = response.data?.error;
+      if (rpcError && classifyRpcError({ error: rpcError }) === "rate-limit") {
+        throw requestError(rpcError.message, "rate-limit");
+      }
+      return response.data;
+    });
+  }
+
+  async getCurrentSlot() {
+    const response = await this.rpcRequest("getSlot", [{ commitment: SOLANA_COMMITMENT }]);
+    
+    if (response?.result === undefined) {
+      throw new Error(`Failed to fetch current Solana slot: ${JSON.stringify(response?.error || response)}`);
+    }
+    return response.result;
+  }
+
+  async getSlotHash(slot) {
+    const response = await this.rpcRequest("getBlock", [slot, {
+      commitment: SOLANA_COMMITMENT,
+      transactionDetails: "none",
+      rewards: false,
+      maxSupportedTransactionVersion: 0
+    }]);
+    if (!response?.result?.blockhash) {
+      throw new Error(`Failed to fetch Solana block at slot ${slot}: ${JSON.stringify(response?.error || response)}`);
+    }
+    return response.result.blockhash;
+  }
+
+  /**
+   * Read the snapshot slot's block hash again at the end of a run, like
+   * verifySnapshotBlocks does for EVM chains.
+   */
+  async verifySlot(slot, slotHash) {
+    const blockCheck = { changed: [], unverified: [] };
+    if (!slot) return blockCheck;
+    if (!slotHash) {
+      console.warn(`Warning: no hash recorded for Solana slot ${slot}; it cannot be checked for a rollback`);
+      blockCheck.unverified.push("solana");
+      return blockCheck;
+    }
+
+    try {
+      const actual = await this.getSlotHash(slot);
+      if (actual !== slotHash) {
+        blockCheck.changed.push({ chain: "solana", block: slot, expected: slotHash, actual });
+      }
+    } catch (err) {
+      console.warn(`Warning: could not re-read Solana slot ${slot}: ${err.message}`);
+      blockCheck.unverified.push("solana");
+    }
+    return blockCheck;
+  }
+
+  async getNFTOwner(mintAddress) {
+    return (await this.lookupNFTOwner(mintAddress)).owner;
+  }
+
+  /**
+   * Owner of a mint as { owner }, or { owner: null, failure, detail } with the
+   * reason the lookup failed (see FAILURE_REASONS). Transient failures have
+   * already been retried by the endpoint schedulers. endpoint pins the
+   * requests to one endpoint.
+   */
+  async lookupNFTOwner(mintAddress, endpoint) {
+    const { tokenAccount, failure, detail } = await this.findHoldingAccount(mintAddress, endpoint);
+    if (failure) {
+      return { owner: null, failure, detail };
+    }
+
+    try {
+      const accountInfo = await this.rpcRequest("getAccountInfo", [tokenAccount, { encoding: "jsonParsed", commitment: SOLANA_COMMITMENT }], { endpoint });
+      if (accountInfo?.error) {
+        return { owner: null, ...classifySolanaRpcError(accountInfo.error) };
+      }
+
+      const parsed = accountInfo?.result?.value?.data?.parsed;
+      if (!parsed) {
+        // The token account moved or closed between the two requests
+        return { owner: null, failure: "rpc-error", detail: `token account ${tokenAccount} not found` };
+      }
+      return { owner: parsed.info.owner };
+    } catch (error) {
+      return { owner: null, failure: classifyRpcError(error), detail: describeRpcError(error) };
+    }
+  }
+
+  /**
+   * The token account holding a mint as { tokenAccount }, or { failure, detail }
+   * when there is none or the lookup failed.
+   */
+  async findHoldingAccount(mintAddress, endpoint) {
+    if (!mintAddress || mintAddress.trim() === '') {
+      return { failure: "nonexistent", detail: "empty mint address" };
+    }
+
+    try {
+      const largest = await this.rpcRequest("getTokenLargestAccounts", [mintAddress, { commitment: SOLANA_COMMITMENT }], { endpoint });
+      if (largest?.error) {
+        return classifySolanaRpcError(largest.error);
+      }
+      if (!largest?.result) {
+        return { failure: "rpc-error", detail: "empty getTokenLargestAccounts response" };
+      }
+
+      // Burned: the mint exists but no token account holds it
+      const activeAccounts = largest.result.value.filter(acc => parseInt(acc.amount) > 0);
+      if (activeAccounts.length === 0) {
+        return { failure: "nonexistent", detail: "no token account holds this mint" };
+      }
+      return { tokenAccount: activeAccounts[0].address };
+    } catch (error) {
+      return { failure: classifyRpcError(error), detail: describeRpcError(error) };
+    }
+  }
+
+  /**
+   * lookupNFTOwner for many mints at once: the holding token account of each
+   * mint, then the owners of up to SOLANA_ACCOUNTS_PER_REQUEST token accounts
+   * per getMultipleAccounts request. Mints whose owner the batch did not
+   * return (the request failed, or the account moved or closed in between)
+   * go through lookupNFTOwner one by one. Results are in input order.
+   */
+  async lookupNFTOwners(mintAddresses) {
+    const holdings = await Promise.all(mintAddresses.map(mint => this.findHoldingAccount(mint)));
+    const results = holdings.map(({ failure, detail }) => (failure ? { owner: null, failure, detail } : null));
+
+    const held = holdings.map(({ tokenAccount }, index) => ({ tokenAccount, index })).filter(({ tokenAccount }) => tokenAccount);
+    await Promise.all(chunk(held, SOLANA_ACCOUNTS_PER_REQUEST).map(async (batch) => {
+      try {
+        const response = await this.rpcRequest("getMultipleAccounts", [batch.map(({ tokenAccount }) => tokenAccount),
+          { encoding: "jsonParsed", commitment: SOLANA_COMMITMENT }]);
+        if (response?.error) {
+          console.warn(`   getMultipleAccounts failed for ${batch.length} token accounts: ${response.error.message}`);
+        }
+        const accounts = response?.result?.value || [];
+        batch.forEach(({ index }, position) => {
+          const owner = accounts[position]?.data?.parsed?.info?.owner;
+          if (owner) {
+            results[index] = { owner };
+          }
+        });
+      } catch (error) {
+        console.warn(`   getMultipleAccounts failed for ${batch.length} token accounts: ${describeRpcError(error)}`);
+      }
+    }));
+
+    const stragglers = held.filter(({ index }) => !results[index]);
+    if (stragglers.length > 0) {
+      console.log(`   Looking up ${stragglers.length} remaining mints one by one`);
+      await Promise.all(stragglers.map(async ({ index }) => {
+        results[index] = await this.lookupNFTOwner(mintAddresses[index]);
+      }));
+    }
+    return results;
+  }
+
+  // lookupNFTOwner, asking several endpoints when quorum is above 1 (see QUORUM READS)
+  async lookupNFTOwnerQuorum(mintAddress, quorum = 1) {
+    if (quorum <= 1) {
+      return await this.lookupNFTOwner(mintAddress);
+    }
+    const [answers] = await collectQuorumAnswers(this.endpoints, [mintAddress], quorum,
+      async (endpoint, [mint]) => [await this.lookupNFTOwner(mint, endpoint)]);
+    return resolveQuorum(answers, quorum);
+  }
+
+  async readCSV(inputFile) {
+    return await readCsvFile(inputFile);
+  }
+
+  /**
+   * Enumerate the collection's mints on-chain (see SOLANA COLLECTION
+   * DISCOVERY). Returns [{ mint, tokenId, name, burnt }]; compressed NFTs
+   * have no mint account to look up and are left out.
+   */
+  async discoverMints(method = getDefaultDiscoveryMethod()) {
+    const { discovery } = this.collection;
+    if (!discovery) {
+      throw new Error(`${this.collection.name} has no discovery settings in ${COLLECTIONS_FILE}`);
+    }
+
+    const by = discovery.collection ? `collection ${discovery.collection}` : `update authority ${discovery.updateAuthority}`;
+    console.log(`Discovering ${this.collection.name} mints by ${by} (${method === "das" ? "DAS API" : "getProgramAccounts"})...`);
+    const assets = method === "das" ? await this.discoverWithDas(discovery) : await this.discoverWithRpc(discovery);
+    const pattern = discovery.tokenIdPattern || DEFAULT_TOKEN_ID_PATTERN;
+    assets.forEach(asset => {
+      asset.tokenId = parseNameTokenId(asset.name, pattern);
+    });
+    console.log(`Found ${assets.length} mints on-chain`);
+    return assets;
+  }
+
+  async discoverWithDas(discovery) {
+    const [method, params] = discovery.collection
+      ? ["getAssetsByGroup", { groupKey: "collection", groupValue: discovery.collection }]
+      : ["getAssetsByAuthority", { authorityAddress: discovery.updateAuthority }];
+
+    const assets = [];
+    let compressed = 0;
+    for (let page = 1; ; page++) {
+      const response = await this.rpcRequest(method, { ...params, page, limit: DAS_PAGE_SIZE }, { timeout: 120000 });
+      const items = response?.result?.items;
+      if (!Array.isArray(items)) {
+        throw new Error(`${method} failed: ${JSON.stringify(response?.error || response)}`);
+      }
+      items.forEach(item => {
+        if (item.compression?.compressed) {
+          compressed++;
+          return;
+        }
+        assets.push({ mint: item.id, name: item.content?.metadata?.name || "", burnt: item.burnt === true });
+      });
+      if (items.length < DAS_PAGE_SIZE) break;
+    }
+    if (compressed > 0) {
+      console.log(`Skipped ${compressed} compressed NFTs (no mint account to look up)`);
+    }
+    return assets;
+  }
+
+  // Token Metadata accounts filtered by update authority, then by verified collection
+  async discoverWithRpc(discovery) {
+    if (!discovery.updateAuthority) {
+      throw new Error("Discovery over standard RPC needs discovery.updateAuthority; use the DAS API for a collection key");
+    }
+    const response = await this.rpcRequest("getProgramAccounts", [TOKEN_METADATA_PROGRAM_ID, {
+      encoding: "base64",
+      commitment: SOLANA_COMMITMENT,
+      filters: [{ memcmp: { offset: 1, bytes: discovery.updateAuthority } }]
+    }], { timeout: 120000 });
+    if (!Array.isArray(response?.result)) {
+      throw new Error(`getProgramAccounts failed: ${JSON.stringify(response?.error || response)}`);
+    }
+
+    return response.result
+      .map(({ account }) => parseTokenMetadata(Buffer.from(account.data[0], "base64")))
+      .filter(metadata => metadata && (!discovery.collection ||
+        (metadata.collection?.verified && metadata.collection.key === discovery.collection)))
+      .map(({ mint, name }) => ({ mint, name, burnt: false }));
+  }
+
+  async processIDMappingCSV(inputFile = this.collection.mintList, options = {}) {
+    try {
+      const quorum = options.quorum ?? RPC_QUORUM;
+      if (quorum > this.endpoints.length) {
+        throw new Error(`--quorum ${quorum} needs ${quorum} Solana RPC endpoints; ${this.endpoints.length} configured`);
+      }
+
+      let data;
+      if (options.discover) {
+        data = (await this.discoverMints(options.discover)).filter(asset => !asset.burnt)
+          .map(asset => ({ SolanaTokenId: asset.mint, TokenId: asset.tokenId || '' }));
+        if (data.length === 0) {
+          throw new Error("Discovery found no mints");
+        }
+      } else {
+        console.log(`Reading CSV file: ${inputFile}`);
+        data = await this.readCSV(inputFile);
+      }
+      
+      if (data.length === 0) {
+        throw new Error("CSV file is empty");
+      }
+      
+      const requiredColumns = ['SolanaTokenId'];
+      const firstRow = data[0];
+      const missingColumns = requiredColumns.filter(col => !(col in firstRow));
+      
+      if (missingColumns.length > 0) {
+        throw new Error(`Missing required columns: ${missingColumns.join(', ')}`);
+      }
+      
+      let validData = data.filter(row => row.SolanaTokenId && row.SolanaTokenId.trim() !== '');
+      
+      if (options.tokenRange) {
+        const { start = 1, end = Infinity } = options.tokenRange;
+        validData = validData.filter(row => {
+          const tokenId = parseInt(row.TokenId);
+          return tokenId >= start && tokenId <= end;
+        });
+        if (validData.length === 0) {
+          throw new Error(`No ${this.collection.name} NFTs with TokenId in range ${start}-${end}`);
+        }
+      }
+      
+      console.log(`Processing ${validData.length} ${this.collection.name} NFTs with valid token IDs`);
+      
+      const { journal } = options;
+      validData.forEach(row => {
+        row.OwnerWallet = journal?.completed[row.SolanaTokenId] || null;
+      });
+      
+      const pendingData = validData.filter(row => !row.OwnerWallet);
+      if (pendingData.length < validData.length) {
+        console.log(`Resuming from checkpoint: ${validData.length - pendingData.length} owners already recorded, ${pendingData.length} remaining`);
+      }
+      
+      const startTime = Date.now();
+      // Why each mint without an owner failed, by SolanaTokenId
+      const failures = new Map();
+      // Lookups the quorum endpoints disagreed on, by SolanaTokenId
+      const disputes = new Map();
+      
+      // Quorum reads compare endpoints per mint, so they skip the batched path
+      const batchLookups = SOLANA_BATCH_LOOKUPS && quorum <= 1;
+      // Per-mint lookups go in smaller batches for Solana to avoid rate limits
+      const solanaBatchSize = batchLookups ? SOLANA_ACCOUNTS_PER_REQUEST : Math.min(BATCH_SIZE, 15);
+      for (let startIdx = 0; startIdx < pendingData.length; startIdx += solanaBatchSize) {
+        const endIdx = Math.min(startIdx + solanaBatchSize, pendingData.length);
+        const batch = pendingData.slice(startIdx, endIdx);
+        
+        console.log(`\nProcessing batch ${startIdx + 1}-${endIdx}...`);
+        
+        const outcomes = batchLookups
+          ? await this.lookupNFTOwners(batch.map(row => row.SolanaTokenId))
+          : await Promise.all(batch.map(row => this.lookupNFTOwnerQuorum(row.SolanaTokenId, quorum)));
+        batch.forEach((row, index) => {
+          const { owner, failure, detail, dispute } = outcomes[index];
+          row.OwnerWallet = owner;
+          if (failure) {
+            failures.set(row.SolanaTokenId, { failure, detail });
+          }
+          if (dispute) {
+            disputes.set(row.SolanaTokenId, dispute);
+          }
+        });
         
-        const tokenAccount = activeAccounts[0].address;
-        await sleep(200);
-        
-        const ownerPayload = {
-          jsonrpc: "2.0",
-          id: 1,
-          method: "getAccountInfo",
-          params: [tokenAccount, { encoding: "jsonParsed" }]
-        };
-        
-        const ownerResponse = await axios.post(this.heliusRpc, ownerPayload, {
-          headers: this.headers,
-          timeout: 60000
+        const batchFound = batch.filter(row => row.OwnerWallet).length;
+        console.log(`   Batch ${startIdx + 1}-${endIdx}: Found ${batchFound}/${batch.length} owners | Progress: ${endIdx}/${pendingData.length} NFTs`);
+        if (journal) {
+          batch.filter(row => row.OwnerWallet).forEach(row => {
+            journal.completed[row.SolanaTokenId] = row.OwnerWallet;
+          });
+          journal.save();
+        }
+      }
+      
+      // Only mints that may still have an owner are worth resuming
+      journal?.finish([...failures.values()].filter(({ failure }) => isTransientFailure(failure)).length);
+      await this.resolveCustody(validData, options);
+      await this.classifyOwners(validData);
+      return await this.generateOutput(validData, failures, disputes, startTime, options);
+      
+    } catch (error) {
+      console.error(`Error processing CSV: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Credit mints held by one of the collection's custodians to their depositor
+   * and tag them with the custodian, as the EVM snapshotter does.
+   */
+  async resolveCustody(validData, options = {}) {
+    if (this.collection.custodians.length === 0) return;
+
+    const custody = await resolveCustodians(this.collection, validData
+      .filter(row => row.OwnerWallet)
+      .map(row => ({ key: row.SolanaTokenId, owner: row.OwnerWallet, chain: "solana" })), { snapshotter: this, slot: options.slot });
+
+    validData.forEach(row => {
+      const held = custody.get(row.SolanaTokenId);
+      if (held?.depositor) {
+        row.OwnerWallet = held.depositor;
+      }
+      row.Custodian = held ? held.custodian.name : '';
+      row.CustodyStatus = !held ? '' : held.depositor ? 'resolved' : 'unresolved';
+    });
+  }
+
+  async classifyOwners(validData) {
+    // Solana keys are classified offline, so no chain configs are needed
+    const walletTypes = await classifyWallets(validData.map(row => ({ chain: "solana", owner: row.OwnerWallet })), {});
+    if (!walletTypes) return;
+
+    validData.forEach(row => {
+      const walletClass = row.OwnerWallet ? walletTypes.get(walletClassKey("solana", row.OwnerWallet)) : null;
+      row.WalletType = walletClass ? walletClass.type : '';
+      row.WalletDetail = walletClass ? walletClass.detail : '';
+    });
+    this.walletTypes = walletTypes;
+  }
+
+  async generateOutput(validData, failures, disputes, startTime, options = {}) {
+    const { prefix } = this.collection.output;
+    const outputFile = prepareOutputFile(prefix, options.slot ? `slot-${options.slot}` : null, options);
+    
+    const headers = Object.keys(validData[0]).map(key => ({
+      id: key,
+      title: key
+    }));
+    
+    await writeSnapshotFile(outputFile, headers, validData, options.format);
+    applyRetention(prefix, outputFile, options);
+
+    const failureRows = validData
+      .filter(row => failures.has(row.SolanaTokenId))
+      .map(row => ({
+        SolanaTokenId: row.SolanaTokenId,
+        TokenId: row.TokenId,
+        Reason: failures.get(row.SolanaTokenId).failure,
+        Detail: failures.get(row.SolanaTokenId).detail
+      }));
+    const failuresFile = await writeFailureReport(outputFile, ['SolanaTokenId', 'TokenId'], failureRows, options);
+    const unresolved = failureRows.filter(row => isTransientFailure(row.Reason)).length;
+
+    const disputeRows = validData
+      .filter(row => disputes.has(row.SolanaTokenId))
+      .map(row => ({ key: { SolanaTokenId: row.SolanaTokenId, TokenId: row.TokenId }, dispute: disputes.get(row.SolanaTokenId) }));
+    const disputesFile = await writeDisputeReport(outputFile, ['SolanaTokenId', 'TokenId'], disputeRows, options);
+    
+    const blockCheck = await this.verifySlot(options.slot, options.slotHash);
+    const endTime = Date.now();
+    const totalRuntime = ((endTime - startTime) / 1000 / 60).toFixed(2);
+    
+    const foundOwners = validData.filter(row => row.OwnerWallet).length;
+    const missingOwners = validData.length - foundOwners;
+    
+    console.log(`\n=== ${this.collection.name} Snapshot Summary ===`);
+    console.log(`- Total NFTs Processed: ${validData.length}`);
+    console.log(`- Owners Found: ${foundOwners}`);
+    console.log(`- Owners Not Found: ${missingOwners}${failureRows.length > 0 ? ` (${describeFailureCounts(failureRows.map(row => row.Reason))})` : ''}`);
+    console.log(`- Success Rate: ${((foundOwners / validData.length) * 100).toFixed(2)}%`);
+    const custodial = validData.filter(row => row.CustodyStatus);
+    if (custodial.length > 0) {
+      const unresolved = custodial.filter(row => row.CustodyStatus === 'unresolved').length;
+      console.log(`- Custodial NFTs: ${custodial.length} (${custodial.length - unresolved} credited to depositors, ${unresolved} unresolved)`);
+    }
+    console.log(`- Total Runtime: ${totalRuntime} minutes`);
+    if (options.slot) {
+      console.log(`- Snapshot Slot: ${options.slot} (${SOLANA_COMMITMENT})${options.slotHash ? ` ${options.slotHash}` : ""}`);
+      printBlockCheck(blockCheck);
+    }
+    printWalletTypes(this.walletTypes);
+    printDisputes(disputeRows, disputesFile);
+    console.log(`\nCompleted! Results saved to ${outputFile}`);
+    if (failuresFile) {
+      console.log(`Failed lookups saved to ${failuresFile}`);
+    }
+    
+    return {
+      processedData: validData,
+      failures,
+      outputFile: outputFile,
+      failuresFile,
+      disputes: disputesFile ? { count: disputeRows.length, file: disputesFile } : null,
+      slot: options.slot || null,
+      slotHash: options.slotHash || null,
+      blockCheck,
+      stats: {
+        total: validData.length,
+        found: foundOwners,
+        missing: missingOwners,
+        unresolved,
+        successRate: ((foundOwners / validData.length) * 100).toFixed(2),
+        runtime: totalRuntime
+      }
+    };
+  }
+}
+
+class SolanaPandaSnapshotter extends SolanaSnapshotter {
+  constructor() {
+    super("solana");
+  }
+}
+
+/**
+ * SNAPSHOT DIFF CLASS
+ * Compares two holder snapshots of the same collection: EVM files
+ * (TokenId,Owner,Chain,BlockNumber), ERC-1155 files (TokenId,Owner,Quantity,Chain,BlockNumber)
+ * or Solana files (SolanaTokenId,TokenId,OwnerWallet).
+ */
+class SnapshotDiffer {
+  async loadSnapshot(inputFile) {
+    const rows = await readSnapshotFile(inputFile);
+    if (rows.length === 0) {
+      throw new Error(`Snapshot file is empty: ${inputFile}`);
+    }
+
+    const columns = Object.keys(rows[0]);
+    let shape;
+    if (['TokenId', 'Owner', 'Quantity', 'Chain'].every(col => columns.includes(col))) {
+      shape = 'erc1155';
+    } else if (['TokenId', 'Owner', 'Chain'].every(col => columns.includes(col))) {
+      shape = 'evm';
+    } else if (['SolanaTokenId', 'OwnerWallet'].every(col => columns.includes(col))) {
+      shape = 'solana';
+    } else {
+      throw new Error(`Unrecognized snapshot columns in ${inputFile}: ${columns.join(', ')}`);
+    }
+
+    // Solana rows are keyed by mint, EVM rows by token ID and ERC-1155 rows by
+    // chain, token ID and holder (a token can have many holders)
+    const tokens = new Map();
+    rows.forEach(row => {
+      const owner = shape === 'solana' ? row.OwnerWallet : row.Owner;
+      const key = shape === 'erc1155' ? row.TokenId && owner && `${row.Chain}:${row.TokenId}:${normalizeWallet(owner)}`
+        : shape === 'evm' ? row.TokenId : row.SolanaTokenId;
+      if (!key || !owner) return;
+      tokens.set(key, {
+        tokenId: row.TokenId || '',
+        mint: shape === 'solana' ? row.SolanaTokenId : null,
+        owner,
+        chain: shape === 'solana' ? 'solana' : row.Chain,
+        quantity: shape === 'erc1155' ? BigInt(row.Quantity) : 1n
+      });
+    });
+
+    return { file: inputFile, shape, tokens };
+  }
+
+  // Balances are summed as BigInt: ERC-1155 quantities can exceed Number precision
+  countWallets(snapshot) {
+    const counts = new Map();
+    snapshot.tokens.forEach(({ owner, quantity }) => {
+      const key = normalizeWallet(owner);
+      const entry = counts.get(key) || { wallet: owner, count: 0n };
+      entry.count += quantity;
+      counts.set(key, entry);
+    });
+    return counts;
+  }
+
+  diff(oldSnapshot, newSnapshot) {
+    if (oldSnapshot.shape !== newSnapshot.shape) {
+      throw new Error(`Cannot compare ${oldSnapshot.shape} and ${newSnapshot.shape} snapshots; both files must come from the same collection`);
+    }
+
+    const shape = newSnapshot.shape;
+    const tokenChanges = [];
+    const keys = new Set([...oldSnapshot.tokens.keys(), ...newSnapshot.tokens.keys()]);
+
+    keys.forEach(key => {
+      const before = oldSnapshot.tokens.get(key);
+      const after = newSnapshot.tokens.get(key);
+      let change = null;
+
+      if (!before) {
+        change = 'added';
+      } else if (!after) {
+        change = 'removed';
+      } else if (shape === 'erc1155') {
+        if (before.quantity !== after.quantity) change = 'quantity';
+      } else {
+        const ownerChanged = normalizeWallet(before.owner) !== normalizeWallet(after.owner);
+        const chainChanged = before.chain !== after.chain;
+        if (ownerChanged && chainChanged) change = 'owner+chain';
+        else if (ownerChanged) change = 'owner';
+        else if (chainChanged) change = 'chain';
+      }
+
+      if (change) {
+        const token = after || before;
+        const row = {
+          TokenId: token.tokenId,
+          Mint: token.mint || '',
+          Change: change,
+          OldOwner: before?.owner || '',
+          NewOwner: after?.owner || '',
+          OldChain: before?.chain || '',
+          NewChain: after?.chain || ''
+        };
+        if (shape === 'erc1155') {
+          row.OldQuantity = before ? before.quantity.toString() : '0';
+          row.NewQuantity = after ? after.quantity.toString() : '0';
+        }
+        tokenChanges.push(row);
+      }
+    });
+
+    tokenChanges.sort((a, b) => parseInt(a.TokenId) - parseInt(b.TokenId) || a.Mint.localeCompare(b.Mint) ||
+      (a.NewOwner || a.OldOwner).localeCompare(b.NewOwner || b.OldOwner));
+
+    const oldCounts = this.countWallets(oldSnapshot);
+    const newCounts = this.countWallets(newSnapshot);
+    const walletChanges = [];
+    const abs = value => (value < 0n ? -value : value);
+    const compare = (a, b) => (a > b) - (a < b);
+    // ERC-1155 balances are reported as strings; item counts stay numbers
+    const toOutput = value => (shape === 'erc1155' ? value.toString() : Number(value));
+    new Set([...oldCounts.keys(), ...newCounts.keys()]).forEach(key => {
+      const oldBalance = oldCounts.get(key)?.count || 0n;
+      const newBalance = newCounts.get(key)?.count || 0n;
+      if (oldBalance === newBalance) return;
+
+      walletChanges.push({
+        Wallet: (newCounts.get(key) || oldCounts.get(key)).wallet,
+        OldBalance: oldBalance,
+        NewBalance: newBalance,
+        Change: newBalance - oldBalance,
+        Status: oldBalance === 0n ? 'new' : newBalance === 0n ? 'departed' : 'changed'
+      });
+    });
+
+    walletChanges.sort((a, b) => compare(abs(b.Change), abs(a.Change)) || compare(b.Change, a.Change));
+    walletChanges.forEach(row => {
+      row.OldBalance = toOutput(row.OldBalance);
+      row.NewBalance = toOutput(row.NewBalance);
+      row.Change = toOutput(row.Change);
+    });
+
+    const countChanges = (...types) => tokenChanges.filter(row => types.includes(row.Change)).length;
+    return {
+      oldFile: oldSnapshot.file,
+      newFile: newSnapshot.file,
+      shape,
+      summary: {
+        oldTokens: oldSnapshot.tokens.size,
+        newTokens: newSnapshot.tokens.size,
+        changedOwner: countChanges('owner', 'owner+chain'),
+        movedChain: countChanges('chain', 'owner+chain'),
+        added: countChanges('added'),
+        removed: countChanges('removed'),
+        quantityChanged: countChanges('quantity'),
+        oldWallets: oldCounts.size,
+        newWallets: newCounts.size,
+        walletsJoined: walletChanges.filter(row => row.Status === 'new').length,
+        walletsDeparted: walletChanges.filter(row => row.Status === 'departed').length
+      },
+      tokenChanges,
+      walletChanges
+    };
+  }
+
+  printSummary(result, limit = 10) {
+    const { summary } = result;
+    const unit = result.shape === 'erc1155' ? 'holdings' : 'tokens';
+    console.log("\n=== Snapshot Diff Summary ===");
+    console.log(`- Old: ${result.oldFile} (${summary.oldTokens} ${unit}, ${summary.oldWallets} wallets)`);
+    console.log(`- New: ${result.newFile} (${summary.newTokens} ${unit}, ${summary.newWallets} wallets)`);
+    if (result.shape === 'erc1155') {
+      console.log(`- Holdings with a changed quantity: ${summary.quantityChanged}`);
+      console.log(`- Holdings only in new snapshot: ${summary.added}`);
+      console.log(`- Holdings only in old snapshot: ${summary.removed}`);
+    } else {
+      console.log(`- Tokens that changed owner: ${summary.changedOwner}`);
+      if (result.shape === 'evm') {
+        console.log(`- Tokens that moved chains: ${summary.movedChain}`);
+      }
+      console.log(`- Tokens only in new snapshot: ${summary.added}`);
+      console.log(`- Tokens only in old snapshot: ${summary.removed}`);
+    }
+    console.log(`- New wallets: ${summary.walletsJoined}`);
+    console.log(`- Departed wallets: ${summary.walletsDeparted}`);
+
+    if (result.walletChanges.length > 0) {
+      console.log(`\nLargest Balance Changes:`);
+      result.walletChanges.slice(0, limit).forEach(({ Wallet, OldBalance, NewBalance, Change, Status }, index) => {
+        const sign = String(Change).startsWith('-') ? '' : '+';
+        console.log(`${index + 1}. ${Wallet}: ${OldBalance} -> ${NewBalance} (${sign}${Change}, ${Status})`);
+      });
+    }
+  }
+
+  async generateOutput(result, options = {}) {
+    const outDir = options.outDir || OUTPUT_DIR;
+    const format = options.format || 'csv';
+    const baseName = `${path.parse(result.newFile).name} Diff`;
+    fs.mkdirSync(outDir, { recursive: true });
+
+    if (format === 'json') {
+      const outputFile = path.join(outDir, `${baseName}.json`);
+      await writeSnapshotFile(outputFile, null, result, 'json');
+      return [outputFile];
+    }
+
+    const tokensFile = path.join(outDir, `${baseName} Tokens.csv`);
+    const walletsFile = path.join(outDir, `${baseName} Wallets.csv`);
+    const tokenColumns = result.shape === 'erc1155'
+      ? ['TokenId', 'Change', 'OldOwner', 'NewOwner', 'OldChain', 'NewChain', 'OldQuantity', 'NewQuantity']
+      : ['TokenId', 'Mint', 'Change', 'OldOwner', 'NewOwner', 'OldChain', 'NewChain'];
+    await writeSnapshotFile(tokensFile, tokenColumns.map(id => ({ id, title: id })), result.tokenChanges);
+    await writeSnapshotFile(walletsFile, ['Wallet', 'OldBalance', 'NewBalance', 'Change', 'Status']
+      .map(id => ({ id, title: id })), result.walletChanges);
+    return [tokensFile, walletsFile];
+  }
+}
+
+/**
+ * SNAPSHOT VERIFIER CLASS
+ * Re-checks a finished run from its manifest: every output file against its
+ * recorded SHA-256, every snapshot block (or the Solana slot) against its
+ * recorded hash, and a random sample of rows against the chain at the
+ * recorded blocks.
+ */
+class SnapshotVerifier {
+  loadManifest(manifestFile) {
+    if (!fs.existsSync(manifestFile)) {
+      throw new Error(`Manifest not found: ${manifestFile}`);
+    }
+    const manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+    if (manifest.manifestVersion !== MANIFEST_VERSION) {
+      throw new Error(`Unsupported manifest version ${manifest.manifestVersion} in ${manifestFile} (expected ${MANIFEST_VERSION})`);
+    }
+    // Output files are recorded by name and looked up next to the manifest
+    return { ...manifest, file: manifestFile, dir: path.dirname(manifestFile) };
+  }
+
+  checkFiles(manifest) {
+    return [...manifest.inputs, ...manifest.files].map(({ kind, file, sha256 }) => {
+      const filePath = kind === 'mint-list' ? this.findInput(manifest, file) : path.join(manifest.dir, file);
+      const actual = filePath ? hashFile(filePath) : null;
+      return { kind, file, status: actual === null ? 'missing' : actual === sha256 ? 'ok' : 'changed' };
+    });
+  }
+
+  // Mint lists are inputs: look next to the manifest, then where the registry points
+  findInput(manifest, file) {
+    const candidates = [path.join(manifest.dir, file)];
+    const mintList = COLLECTIONS[manifest.collection.id]?.mintList;
+    if (mintList && path.basename(mintList) === file) {
+      candidates.push(mintList);
+    }
+    return candidates.find(candidate => fs.existsSync(candidate)) || null;
+  }
+
+  /**
+   * Chain configs at the manifest's recorded blocks, after checking the
+   * configured RPC serves the chain the manifest was taken on.
+   */
+  prepareChains(manifest) {
+    const runChains = { ...chains };
+    Object.keys(manifest.chains).forEach(chainName => {
+      const recorded = manifest.chains[chainName];
+      const config = chains[chainName];
+      if (!config) {
+        throw new Error(`Chain ${chainName} in the manifest is not in ${COLLECTIONS_FILE}`);
+      }
+      if (config.chainId !== recorded.chainId) {
+        throw new Error(`Chain ${chainName} has chain ID ${config.chainId} in ${COLLECTIONS_FILE} but ${recorded.chainId} in the manifest`);
+      }
+      if (!config.rpc) {
+        throw new Error(`${config.rpcEnv} is required to verify ${chainName}`);
+      }
+      runChains[chainName] = { ...config, snapshotBlock: recorded.block, snapshotHash: recorded.hash };
+    });
+    return runChains;
+  }
+
+  /**
+   * The wallet that holds a row's token on-chain: the owner, or the custodian
+   * contract for tokens credited to their depositor.
+   */
+  expectedHolder(manifest, row, owner) {
+    if (!row.Custodian) return owner;
+    const custodian = (manifest.config.settings.collection.custodians || []).find(({ name }) => name === row.Custodian);
+    return custodian ? custodian.address : owner;
+  }
+
+  /**
+   * Look up a random sample of the snapshot's rows again. Returns
+   * { checked, mismatches: [{ key, chain, expected, actual }], failed: [{ key, chain, reason }] }.
+   */
+  async checkRows(manifest, rows, sampleSize, solana) {
+    const { type } = manifest.collection;
+    const ownerColumn = type === 'solana-mint-list' ? 'OwnerWallet' : 'Owner';
+    const sample = sampleItems(rows.filter(row => row[ownerColumn]), sampleSize);
+    const mismatches = [];
+    const failed = [];
+    const compare = (key, chain, expected, { value, failure, detail }) => {
+      if (failure && isTransientFailure(failure)) {
+        failed.push({ key, chain, reason: detail || FAILURE_REASONS[failure] });
+      } else if (value !== expected) {
+        mismatches.push({ key, chain, expected, actual: value });
+      }
+    };
+
+    if (type === 'solana-mint-list') {
+      for (const row of sample) {
+        const { owner, failure, detail } = await solana.lookupNFTOwner(row.SolanaTokenId);
+        compare(row.SolanaTokenId, 'solana', this.expectedHolder(manifest, row, row.OwnerWallet), { value: owner, failure, detail });
+      }
+      return { checked: sample.length, mismatches, failed };
+    }
+
+    const byChain = {};
+    sample.forEach(row => (byChain[row.Chain] = byChain[row.Chain] || []).push(row));
+    for (const [chainName, chainRows] of Object.entries(byChain)) {
+      const recorded = manifest.chains[chainName];
+      if (!recorded) {
+        chainRows.forEach(row => failed.push({ key: row.TokenId, chain: chainName, reason: 'chain not in manifest' }));
+        continue;
+      }
+
+      const config = chains[chainName];
+      if (type === 'evm-erc1155') {
+        const outcomes = await readContractCallOutcomes(chainName, config,
+          chainRows.map(row => ({ target: recorded.contract, args: [row.Owner, row.TokenId] })), erc1155Interface, 'balanceOf', recorded.block);
+        chainRows.forEach((row, index) => {
+          const { value, failure, detail } = outcomes[index];
+          compare(`${row.TokenId}:${row.Owner}`, chainName, row.Quantity,
+            { value: failure ? null : value.toString(), failure, detail });
+        });
+      } else {
+        const owners = await getTokenOwners(chainName, config, recorded.contract, chainRows.map(row => row.TokenId), recorded.block);
+        chainRows.forEach((row, index) => {
+          const { owner, failure, detail } = owners[index];
+          compare(row.TokenId, chainName, normalizeWallet(this.expectedHolder(manifest, row, row.Owner)),
+            { value: owner && normalizeWallet(owner), failure, detail });
+        });
+      }
+    }
+    return { checked: sample.length, mismatches, failed };
+  }
+
+  async verify(manifestFile, { sampleSize = 25 } = {}) {
+    const manifest = this.loadManifest(manifestFile);
+    const isSolana = manifest.collection.type === 'solana-mint-list';
+    const files = this.checkFiles(manifest);
+
+    let blockCheck;
+    let solana = null;
+    if (isSolana) {
+      if (SOLANA_RPC_URLS.length === 0) {
+        throw new Error("HELIUS_API_KEY or SOLANA_RPC_URL is required to verify a Solana snapshot");
+      }
+      solana = new SolanaSnapshotter(manifest.collection.id);
+      blockCheck = await solana.verifySlot(manifest.solana.slot, manifest.solana.hash);
+    } else {
+      blockCheck = await verifySnapshotBlocks(Object.keys(manifest.chains), this.prepareChains(manifest));
+    }
+
+    const snapshot = manifest.files.find(({ kind }) => kind === 'snapshot');
+    const snapshotFile = snapshot && path.join(manifest.dir, snapshot.file);
+    const rows = snapshotFile && fs.existsSync(snapshotFile) ? await readSnapshotFile(snapshotFile) : [];
+    const rowCheck = await this.checkRows(manifest, rows, sampleSize, solana);
+
+    return { manifest, files, blockCheck, rowCheck };
+  }
+
+  printSummary({ manifest, files, blockCheck, rowCheck }) {
+    console.log("\n=== Snapshot Verification ===");
+    console.log(`- Manifest: ${manifest.file}`);
+    console.log(`- Collection: ${manifest.collection.name} (${manifest.tool.name} ${manifest.tool.version}, config ${manifest.config.hash.slice(0, 12)})`);
+    Object.entries(manifest.chains).forEach(([chainName, { block, hash }]) => {
+      console.log(`- ${chainName}: block ${block} ${hash || ""}`);
+    });
+    if (manifest.solana) {
+      console.log(`- solana: slot ${manifest.solana.slot} ${manifest.solana.hash || ""}`);
+    }
+
+    console.log("\nFiles:");
+    files.forEach(({ kind, file, status }) => {
+      console.log(`   ${status === 'ok' ? '✅' : '❌'} ${file} (${kind}): ${status === 'ok' ? 'unchanged' : status}`);
+    });
+
+    console.log("\nBlocks:");
+    if (blockCheck.changed.length === 0 && blockCheck.unverified.length === 0) {
+      console.log("   ✅ Every snapshot block still has its recorded hash");
+    }
+    blockCheck.changed.forEach(({ chain, block, expected, actual }) => {
+      console.log(`   ❌ ${chain} block ${block}: recorded ${expected}, now ${actual || "missing"}`);
+    });
+    blockCheck.unverified.forEach(chainName => console.log(`   ⚠️  ${chainName}: could not check the snapshot block hash`));
+
+    const { checked, mismatches, failed } = rowCheck;
+    console.log(`\nRows: ${checked - mismatches.length - failed.length}/${checked} sampled rows match the chain`);
+    if (manifest.solana) {
+      console.log("   Solana owners are read at the current slot, so a mismatch may be a transfer since the snapshot");
+    }
+    mismatches.forEach(({ key, chain, expected, actual }) => {
+      console.log(`   ❌ ${key} on ${chain}: snapshot ${expected}, chain ${actual || "none"}`);
+    });
+    failed.forEach(({ key, chain, reason }) => console.log(`   ⚠️  ${key} on ${chain}: lookup failed (${reason})`));
+  }
+}
+
+/**
+ * WALLET LINKS
+ * A holder proves that an EVM address and a Solana wallet are theirs by
+ * signing the same link message with both: EIP-191 (personal_sign) or
+ * EIP-712 typed data on the EVM side, ed25519 (signMessage) on the Solana
+ * side. Signatures are checked offline; verified links are kept in
+ * WALLET_LINKS_FILE and merge the two wallets into one identity in holder
+ * reports and allocations.
+ */
+const LINK_TYPED_DATA = {
+  domain: { name: "Kanpai Panda Wallet Link", version: "1" },
+  types: {
+    WalletLink: [
+      { name: "evm", type: "address" },
+      { name: "solana", type: "string" },
+      { name: "issuedAt", type: "string" }
+    ]
+  }
+};
+const LINK_SCHEMES = ["eip191", "eip712"];
+// Allowed clock skew for a link issued "in the future"
+const LINK_MAX_SKEW_MS = 10 * 60 * 1000;
+
+/**
+ * The text both wallets sign (the Solana wallet always signs this text; the
+ * EVM wallet signs it as-is with EIP-191 or the same fields with EIP-712).
+ */
+function buildLinkMessage(evm, solana, issuedAt) {
+  return [
+    "Kanpai Panda wallet link",
+    "",
+    "I control both wallets below and link them for Kanpai Panda snapshots and airdrops.",
+    "",
+    `EVM: ${ethers.getAddress(evm)}`,
+    `Solana: ${solana}`,
+    `Issued at: ${issuedAt}`
+  ].join("\n");
+}
+
+// Solana signatures come base58 (wallet adapters), base64 or 0x-hex encoded
+function decodeSolanaSignature(signature) {
+  if (/^0x[0-9a-fA-F]{128}$/.test(signature)) {
+    return Buffer.from(signature.slice(2), "hex");
+  }
+  if (/^[1-9A-HJ-NP-Za-km-z]{64,90}$/.test(signature)) {
+    const value = ethers.decodeBase58(signature);
+    return value < 1n << 512n ? Buffer.from(ethers.getBytes(ethers.toBeHex(value, 64))) : null;
+  }
+  const bytes = Buffer.from(signature, "base64");
+  return bytes.length === 64 ? bytes : null;
+}
+
+function verifyEd25519(message, publicKey, signature) {
+  const key = crypto.createPublicKey({
+    key: { kty: "OKP", crv: "Ed25519", x: Buffer.from(ethers.getBytes(ethers.toBeHex(ethers.decodeBase58(publicKey), 32))).toString("base64url") },
+    format: "jwk"
+  });
+  return crypto.verify(null, Buffer.from(message, "utf8"), key, signature);
+}
+
+/**
+ * Check a link { evm, solana, issuedAt, scheme, evmSignature, solanaSignature }
+ * offline. Returns null when both signatures are valid, otherwise the reason
+ * the link is rejected.
+ */
+function verifyWalletLink(link) {
+  const { evm, solana, issuedAt, scheme = "eip191", evmSignature, solanaSignature } = link || {};
+  if (typeof evm !== "string" || !ethers.isAddress(evm)) {
+    return `invalid EVM address: ${evm}`;
+  }
+  if (!isSolanaAddress(solana)) {
+    return `invalid Solana address: ${solana}`;
+  }
+  const issued = Date.parse(issuedAt);
+  if (typeof issuedAt !== "string" || Number.isNaN(issued)) {
+    return `invalid issuedAt: ${issuedAt} (expected an ISO 8601 time)`;
+  }
+  if (issued > Date.now() + LINK_MAX_SKEW_MS) {
+    return `issuedAt ${issuedAt} is in the future`;
+  }
+  if (!LINK_SCHEMES.includes(scheme)) {
+    return `unknown EVM signature scheme: ${scheme} (expected ${LINK_SCHEMES.join(" or ")})`;
+  }
+
+  const message = buildLinkMessage(evm, solana, issuedAt);
+  let signer;
+  try {
+    signer = scheme === "eip712"
+      ? ethers.verifyTypedData(LINK_TYPED_DATA.domain, LINK_TYPED_DATA.types, { evm, solana, issuedAt }, evmSignature)
+      : ethers.verifyMessage(message, evmSignature);
+  } catch (err) {
+    return `EVM signature is malformed: ${err.shortMessage || err.message}`;
+  }
+  if (normalizeWallet(signer) !== normalizeWallet(evm)) {
+    // Contract wallets sign through EIP-1271, which needs a chain to check
+    return `EVM signature was made by ${signer}, not ${ethers.getAddress(evm)} (contract wallets cannot be verified offline)`;
+  }
+
+  const publicKey = ethers.getBytes(ethers.toBeHex(ethers.decodeBase58(solana), 32));
+  if (!isOnEd25519Curve(publicKey)) {
+    return `${solana} is a program-derived address and cannot sign`;
+  }
+  const signature = typeof solanaSignature === "string" ? decodeSolanaSignature(solanaSignature) : null;
+  if (!signature) {
+    return "Solana signature must be 64 bytes, base58, base64 or 0x-hex encoded";
+  }
+  if (!verifyEd25519(message, solana, signature)) {
+    return `Solana signature is not valid for ${solana} and this link message`;
+  }
+  return null;
+}
+
+/**
+ * Verified links in WALLET_LINKS_FILE: { version, links: [link] }. Each
+ * wallet is in at most one link. Links are verified again when the file is
+ * loaded, so an edited file cannot smuggle in a link.
+ */
+class WalletLinkRegistry {
+  constructor(filePath, links = []) {
+    this.filePath = filePath;
+    this.links = links;
+  }
+
+  static load(filePath = WALLET_LINKS_FILE) {
+    if (!filePath || !fs.existsSync(filePath)) {
+      return new WalletLinkRegistry(filePath);
+    }
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (err) {
+      throw new Error(`Unreadable wallet links file ${filePath}: ${err.message}`);
+    }
+    const links = (data.links || []).filter(link => {
+      const reason = verifyWalletLink(link);
+      if (reason) {
+        console.warn(`Warning: ignoring wallet link ${link.evm} <-> ${link.solana} in ${filePath}: ${reason}`);
+      }
+      return !reason;
+    });
+    return new WalletLinkRegistry(filePath, links);
+  }
+
+  save() {
+    fs.writeFileSync(this.filePath, JSON.stringify({ version: 1, links: this.links }, null, 2));
+  }
+
+  find(wallet) {
+    const key = normalizeWallet(wallet);
+    return this.links.find(link => normalizeWallet(link.evm) === key || link.solana === key) || null;
+  }
+
+  /**
+   * Verify and add a link. Returns { status: "added" | "unchanged" } or
+   * { status: "rejected", reason }.
+   */
+  add(link) {
+    const reason = verifyWalletLink(link);
+    if (reason) {
+      return { status: "rejected", reason };
+    }
+
+    const evm = ethers.getAddress(link.evm);
+    const byEvm = this.find(evm);
+    const bySolana = this.find(link.solana);
+    if (byEvm && byEvm === bySolana) {
+      return { status: "unchanged" };
+    }
+    if (byEvm) {
+      return { status: "rejected", reason: `${evm} is already linked to ${byEvm.solana}; remove that link first` };
+    }
+    if (bySolana) {
+      return { status: "rejected", reason: `${link.solana} is already linked to ${bySolana.evm}; remove that link first` };
+    }
+
+    this.links.push({
+      evm,
+      solana: link.solana,
+      issuedAt: link.issuedAt,
+      scheme: link.scheme || "eip191",
+      evmSignature: link.evmSignature,
+      solanaSignature: link.solanaSignature,
+      verifiedAt: new Date().toISOString()
+    });
+    return { status: "added" };
+  }
+
+  remove(wallet) {
+    const link = this.find(wallet);
+    if (link) {
+      this.links = this.links.filter(other => other !== link);
+    }
+    return link;
+  }
+
+  /**
+   * The identity a wallet belongs to: { key, wallet, linkedWallet }. Linked
+   * wallets share the key and are shown under their EVM address.
+   */
+  identityOf(wallet) {
+    const link = this.find(wallet);
+    return link
+      ? { key: normalizeWallet(link.evm), wallet: link.evm, linkedWallet: link.solana }
+      : { key: normalizeWallet(wallet), wallet, linkedWallet: "" };
+  }
+}
+
+/**
+ * HOLDER REPORT CLASS
+ * One row per wallet across the latest snapshot of each collection: the
+ * tokens it holds in every collection (and per chain for multi-chain
+ * collections), its total and its rank by total. An EVM address and a
+ * Solana wallet are one row when they are linked (see WALLET LINKS).
+ */
+class HolderReport {
+  constructor(links = WalletLinkRegistry.load()) {
+    this.links = links;
+  }
+
+  // The registry collection a snapshot file belongs to, from its name
+  static collectionOf(file) {
+    return Object.values(COLLECTIONS).find(collection => isSnapshotFileName(path.basename(file), collection.output.prefix)) || null;
+  }
+
+  /**
+   * The newest snapshot of each collection in a directory, as { collectionId: file }.
+   */
+  static findLatestSnapshots(dir) {
+    const latest = {};
+    if (!fs.existsSync(dir)) return latest;
+    fs.readdirSync(dir).forEach(file => {
+      const collection = HolderReport.collectionOf(file);
+      if (!collection) return;
+      const filePath = path.join(dir, file);
+      const { mtimeMs } = fs.statSync(filePath);
+      if (!latest[collection.id] || mtimeMs > latest[collection.id].mtimeMs) {
+        latest[collection.id] = { file: filePath, mtimeMs };
+      }
+    });
+    return Object.fromEntries(Object.entries(latest).map(([id, { file }]) => [id, file]));
+  }
+
+  // Owned rows of a snapshot as { owner, chain, quantity, walletType }
+  static holdingsOf(collection, rows) {
+    const isSolana = collection.type === "solana-mint-list";
+    return rows
+      .map(row => ({
+        owner: isSolana ? row.OwnerWallet : row.Owner,
+        chain: isSolana ? "solana" : row.Chain,
+        quantity: row.Quantity ? BigInt(row.Quantity) : 1n,
+        walletType: row.WalletType || ""
+      }))
+      .filter(({ owner }) => owner);
+  }
+
+  // Snapshots in registry order, so columns do not depend on argument order
+  async load(files) {
+    const snapshots = [];
+    for (const collection of Object.values(COLLECTIONS).filter(({ id }) => files[id])) {
+      snapshots.push({ collection, file: files[collection.id], rows: await readSnapshotFile(files[collection.id]) });
+    }
+    return snapshots;
+  }
+
+  build(snapshots) {
+    const columns = [];
+    const wallets = new Map();
+    const collectionStats = [];
+
+    snapshots.forEach(({ collection, file, rows }) => {
+      const isSolana = collection.type === "solana-mint-list";
+      const holdings = HolderReport.holdingsOf(collection, rows);
+
+      // Multi-chain collections get a column per chain next to their total
+      const chainColumns = !isSolana && collection.chains.length > 1
+        ? collection.chains.filter(chainName => holdings.some(({ chain }) => chain === chainName))
+        : [];
+      columns.push(collection.name, ...chainColumns.map(chainName => `${collection.name} ${chainName}`));
+
+      const holders = new Set();
+      let tokens = 0n;
+      holdings.forEach(({ owner, chain, quantity }) => {
+        const { key, wallet, linkedWallet } = this.links.identityOf(owner);
+        if (!wallets.has(key)) {
+          wallets.set(key, { Wallet: wallet, LinkedWallet: linkedWallet, counts: {} });
+        }
+        const { counts } = wallets.get(key);
+        counts[collection.name] = (counts[collection.name] || 0n) + quantity;
+        if (chainColumns.includes(chain)) {
+          const column = `${collection.name} ${chain}`;
+          counts[column] = (counts[column] || 0n) + quantity;
+        }
+        holders.add(key);
+        tokens += quantity;
+      });
+      collectionStats.push({ name: collection.name, file, holders: holders.size, tokens });
+    });
+
+    const totalOf = ({ counts }) => snapshots.reduce((sum, { collection }) => sum + (counts[collection.name] || 0n), 0n);
+    const ranked = [...wallets.values()]
+      .map(wallet => ({ ...wallet, total: totalOf(wallet) }))
+      .sort((a, b) => (b.total > a.total) - (b.total < a.total) || a.Wallet.localeCompare(b.Wallet));
+
+    // Equal totals share a rank: 1, 2, 2, 4
+    let rank = 0;
+    return {
+      columns,
+      collections: collectionStats,
+      linked: ranked.filter(wallet => wallet.LinkedWallet).length,
+      wallets: ranked.map((wallet, index) => {
+        if (index === 0 || ranked[index - 1].total !== wallet.total) {
+          rank = index + 1;
+        }
+        return {
+          Rank: rank,
+          Wallet: wallet.Wallet,
+          ...(this.links.links.length > 0 ? { LinkedWallet: wallet.LinkedWallet } : {}),
+          ...Object.fromEntries(columns.map(column => [column, (wallet.counts[column] || 0n).toString()])),
+          Total: wallet.total.toString()
+        };
+      })
+    };
+  }
+
+  printSummary(report, limit = 10) {
+    console.log("\n=== Holder Report ===");
+    report.collections.forEach(({ name, file, holders, tokens }) => {
+      console.log(`- ${name}: ${tokens} tokens, ${holders} holders (${path.basename(file)})`);
+    });
+    console.log(`- Wallets across all collections: ${report.wallets.length}`);
+    if (report.linked > 0) {
+      console.log(`- Linked EVM + Solana wallets: ${report.linked}`);
+    }
+
+    if (report.wallets.length > 0) {
+      console.log(`\nTop ${Math.min(limit, report.wallets.length)} Holders:`);
+      report.wallets.slice(0, limit).forEach(row => {
+        const held = report.collections.filter(({ name }) => row[name] !== "0").map(({ name }) => `${name} ${row[name]}`).join(", ");
+        console.log(`${row.Rank}. ${row.Wallet}${row.LinkedWallet ? ` + ${row.LinkedWallet}` : ""}: ${row.Total} tokens (${held})`);
+      });
+    }
+  }
+
+  async generateOutput(report, options = {}) {
+    const outputFile = prepareOutputFile("Holder Report", null, options);
+    const linkColumns = this.links.links.length > 0 ? ["LinkedWallet"] : [];
+    await writeSnapshotFile(outputFile, ["Rank", "Wallet", ...linkColumns, ...report.columns, "Total"]
+      .map(id => ({ id, title: id })), report.wallets, options.format);
+    return outputFile;
+  }
+
+  /**
+   * Build, print and write the report for { collectionId: snapshotFile }.
+   * Returns the report file.
+   */
+  async run(files, options = {}) {
+    const report = this.build(await this.load(files));
+    this.printSummary(report);
+    const outputFile = await this.generateOutput(report, options);
+    console.log(`\nHolder report saved to ${outputFile}`);
+    return outputFile;
+  }
+}
+
+/**
+ * AIRDROP ALLOCATION
+ * Turns the latest snapshots into a per-wallet allocation under a rules file:
+ * weight per collection, multipliers per chain, minimum holdings, a cap per
+ * wallet, exclusions and rounding. Linked EVM and Solana wallets are one
+ * recipient. Amounts are exact fixed-point decimals (BigInt, 18 places).
+ */
+const ALLOCATION_DECIMALS = 18;
+const ALLOCATION_SCALE = 10n ** BigInt(ALLOCATION_DECIMALS);
+const ROUNDING_MODES = ["down", "nearest", "up"];
+
+// WalletType values written by the wallet classifiers
+const WALLET_TYPES = ["eoa", "delegated-eoa", "multisig", "contract", "wallet", "pda", "unknown"];
+
+/**
+ * A non-negative decimal (number or string, up to 18 places) as a BigInt
+ * scaled by 10^18, or null when it is not one.
+ */
+function parseDecimal(value) {
+  const text = typeof value === "number" ? String(value) : value;
+  if (typeof text !== "string" || !/^\d+(\.\d{1,18})?$/.test(text)) {
+    return null;
+  }
+  const [whole, fraction = ""] = text.split(".");
+  return BigInt(whole) * ALLOCATION_SCALE + BigInt(fraction.padEnd(ALLOCATION_DECIMALS, "0"));
+}
+
+// A scaled decimal as text without trailing zeros: 1500000000000000000n -> "1.5"
+function formatDecimal(value) {
+  const whole = value / ALLOCATION_SCALE;
+  const fraction = (value % ALLOCATION_SCALE).toString().padStart(ALLOCATION_DECIMALS, "0").replace(/0+$/, "");
+  return fraction ? `${whole}.${fraction}` : whole.toString();
+}
+
+// Round a scaled decimal to `decimals` places
+function roundDecimal(value, decimals, mode) {
+  const unit = 10n ** BigInt(ALLOCATION_DECIMALS - decimals);
+  const remainder = value % unit;
+  const down = value - remainder;
+  if (remainder === 0n || mode === "down") return down;
+  if (mode === "up" || remainder * 2n >= unit) return down + unit;
+  return down;
+}
+
+function validateAllocationRules(rules) {
+  const isObject = value => value !== null && typeof value === "object" && !Array.isArray(value);
+  if (!isObject(rules)) {
+    return ["expected a JSON object"];
+  }
+
+  const errors = [];
+  if (rules.name !== undefined && (typeof rules.name !== "string" || !rules.name.trim() || /[\\/]/.test(rules.name))) {
+    errors.push("name must be a non-empty string without path separators");
+  }
+  if ((rules.pool === undefined) === (rules.perPoint === undefined)) {
+    errors.push("set either pool (split by points) or perPoint (amount per point)");
+  }
+  ["pool", "perPoint", "cap", "minimum"].filter(key => rules[key] !== undefined && parseDecimal(rules[key]) === null)
+    .forEach(key => errors.push(`${key} must be a non-negative decimal number`));
+
+  if (!isObject(rules.collections) || Object.keys(rules.collections).length === 0) {
+    errors.push("collections must give a weight to at least one collection");
+  } else {
+    Object.entries(rules.collections).forEach(([id, rule]) => {
+      const where = `collections.${id}`;
+      const collection = COLLECTIONS[id];
+      if (!collection) {
+        errors.push(`${where}: unknown collection (expected one of: ${Object.keys(COLLECTIONS).join(", ")})`);
+        return;
+      }
+      if (!isObject(rule)) {
+        errors.push(`${where} must be an object`);
+        return;
+      }
+      if (parseDecimal(rule.weight) === null) {
+        errors.push(`${where}.weight must be a non-negative decimal number`);
+      }
+      if (rule.minimum !== undefined && parseDecimal(rule.minimum) === null) {
+        errors.push(`${where}.minimum must be a non-negative decimal number`);
+      }
+      if (rule.chains !== undefined) {
+        const collectionChains = collection.type === "solana-mint-list" ? ["solana"] : collection.chains;
+        if (!isObject(rule.chains)) {
+          errors.push(`${where}.chains must map chains to multipliers`);
+        } else {
+          Object.entries(rule.chains).forEach(([chainName, multiplier]) => {
+            if (!collectionChains.includes(chainName)) {
+              errors.push(`${where}.chains.${chainName}: not a chain of ${collection.name} (${collectionChains.join(", ")})`);
+            } else if (parseDecimal(multiplier) === null) {
+              errors.push(`${where}.chains.${chainName} must be a non-negative decimal number`);
+            }
+          });
+        }
+      }
+    });
+  }
+
+  if (rules.exclude !== undefined) {
+    if (!Array.isArray(rules.exclude)) {
+      errors.push("exclude must be a list of wallets");
+    } else {
+      rules.exclude.forEach((entry, index) => {
+        const wallet = isObject(entry) ? entry.wallet : entry;
+        if (typeof wallet !== "string" || !(ethers.isAddress(wallet) || isSolanaAddress(wallet))) {
+          errors.push(`exclude[${index}] must be an EVM or Solana address, or { "wallet", "reason" }`);
+        } else if (isObject(entry) && entry.reason !== undefined && typeof entry.reason !== "string") {
+          errors.push(`exclude[${index}].reason must be a string`);
+        }
+      });
+    }
+  }
+  if (rules.excludeWalletTypes !== undefined &&
+    (!Array.isArray(rules.excludeWalletTypes) || rules.excludeWalletTypes.some(type => !WALLET_TYPES.includes(type)))) {
+    errors.push(`excludeWalletTypes must be a list of: ${WALLET_TYPES.join(", ")}`);
+  }
+
+  if (rules.rounding !== undefined) {
+    if (!isObject(rules.rounding)) {
+      errors.push("rounding must be an object with decimals and mode");
+    } else {
+      const { decimals, mode } = rules.rounding;
+      if (decimals !== undefined && (!Number.isInteger(decimals) || decimals < 0 || decimals > ALLOCATION_DECIMALS)) {
+        errors.push(`rounding.decimals must be a whole number from 0 to ${ALLOCATION_DECIMALS}`);
+      }
+      if (mode !== undefined && !ROUNDING_MODES.includes(mode)) {
+        errors.push(`rounding.mode must be one of: ${ROUNDING_MODES.join(", ")}`);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Read and validate an allocation rules file. Every problem is reported at
+ * once; numbers come back as scaled BigInts.
+ */
+function loadAllocationRules(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Rules file not found: ${filePath}`);
+  }
+
+  let rules;
+  try {
+    rules = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    throw new Error(`Invalid JSON in rules file ${filePath}: ${err.message}`);
+  }
+
+  const errors = validateAllocationRules(rules);
+  if (errors.length > 0) {
+    throw new Error(`Invalid rules file ${filePath}:\n- ${errors.join("\n- ")}`);
+  }
+
+  const optional = value => value === undefined ? null : parseDecimal(value);
+  return {
+    file: filePath,
+    sha256: hashFile(filePath),
+    definition: rules,
+    name: rules.name || null,
+    pool: optional(rules.pool),
+    perPoint: optional(rules.perPoint),
+    cap: optional(rules.cap),
+    minimum: optional(rules.minimum),
+    collections: Object.fromEntries(Object.entries(rules.collections).map(([id, rule]) => [id, {
+      weight: parseDecimal(rule.weight),
+      minimum: optional(rule.minimum),
+      chains: Object.fromEntries(Object.entries(rule.chains || {}).map(([chainName, multiplier]) => [chainName, parseDecimal(multiplier)]))
+    }])),
+    exclude: (rules.exclude || []).map(entry => typeof entry === "string"
+      ? { wallet: entry, reason: "excluded by rules" }
+      : { wallet: entry.wallet, reason: entry.reason || "excluded by rules" }),
+    excludeWalletTypes: rules.excludeWalletTypes || [],
+    decimals: rules.rounding?.decimals ?? 0,
+    rounding: rules.rounding?.mode || "down"
+  };
+}
+
+/**
+ * AIRDROP ALLOCATION CLASS
+ * Points per wallet are the sum over its holdings of tokens x collection
+ * weight x chain multiplier. With a pool, each eligible wallet gets its share
+ * of the pool by points, and what a cap cuts off is shared again among the
+ * wallets under the cap; with perPoint, each gets points x perPoint up to the
+ * cap. Every step is recorded per wallet for the audit file.
+ */
+class AirdropAllocator {
+  constructor(rules, links = WalletLinkRegistry.load()) {
+    this.rules = rules;
+    this.links = links;
+  }
+
+  build(snapshots) {
+    const { rules } = this;
+    const recipients = new Map();
+    const walletTypesMissing = [];
+
+    snapshots.forEach(({ collection, rows }) => {
+      if (!rules.collections[collection.id]) return;
+      if (rules.excludeWalletTypes.length > 0 && rows.length > 0 && !("WalletType" in rows[0])) {
+        walletTypesMissing.push(collection.name);
+      }
+      HolderReport.holdingsOf(collection, rows).forEach(({ owner, chain, quantity, walletType }) => {
+        const { key, wallet, linkedWallet } = this.links.identityOf(owner);
+        if (!recipients.has(key)) {
+          recipients.set(key, { wallet, linkedWallet, holdings: {}, walletTypes: new Set(), steps: [] });
+        }
+        const recipient = recipients.get(key);
+        const holdingKey = `${collection.id}:${chain}`;
+        recipient.holdings[holdingKey] = (recipient.holdings[holdingKey] || 0n) + quantity;
+        if (walletType) recipient.walletTypes.add(walletType);
+      });
+    });
+
+    const excluded = new Map(rules.exclude.map(({ wallet, reason }) => [this.links.identityOf(wallet).key, reason]));
+    const collectionsById = Object.fromEntries(snapshots.map(({ collection }) => [collection.id, collection]));
+
+    recipients.forEach((recipient, key) => {
+      recipient.points = 0n;
+      let counted = 0n;
+      const underMinimum = [];
+      Object.entries(rules.collections).forEach(([id, rule]) => {
+        const held = Object.entries(recipient.holdings).filter(([holdingKey]) => holdingKey.startsWith(`${id}:`));
+        const tokens = held.reduce((sum, [, quantity]) => sum + quantity, 0n);
+        if (tokens === 0n) return;
+        const { name, type, chains: collectionChains } = collectionsById[id];
+        const multiChain = type !== "solana-mint-list" && collectionChains.length > 1;
+        if (rule.minimum !== null && tokens * ALLOCATION_SCALE < rule.minimum) {
+          recipient.steps.push(`${name} ${tokens} below the collection minimum of ${formatDecimal(rule.minimum)}: no points`);
+          underMinimum.push(name);
+          return;
+        }
+        counted += tokens;
+        held.forEach(([holdingKey, quantity]) => {
+          const chainName = holdingKey.slice(id.length + 1);
+          const multiplier = rule.chains[chainName] ?? ALLOCATION_SCALE;
+          const points = quantity * rule.weight * multiplier / ALLOCATION_SCALE;
+          recipient.points += points;
+          const label = multiChain ? `${name} ${chainName}` : name;
+          recipient.steps.push(`${label} ${quantity} x ${formatDecimal(rule.weight)}` +
+            `${multiplier !== ALLOCATION_SCALE ? ` x ${formatDecimal(multiplier)}` : ""} = ${formatDecimal(points)} point${points === ALLOCATION_SCALE ? "" : "s"}`);
         });
-        
-        if (ownerResponse.status === 429) {
-          this.releaseSlot();
-          const backoffDelay = retryDelay * Math.pow(2, attempt + 1); // Exponential backoff
-          await sleep(backoffDelay);
+      });
+
+      const excludedType = rules.excludeWalletTypes.find(type => recipient.walletTypes.has(type));
+      if (excluded.has(key)) {
+        Object.assign(recipient, { status: "excluded", reason: excluded.get(key) });
+      } else if (excludedType) {
+        Object.assign(recipient, { status: "excluded", reason: `wallet type ${excludedType}` });
+      } else if (rules.minimum !== null && counted * ALLOCATION_SCALE < rules.minimum) {
+        Object.assign(recipient, { status: "below-minimum", reason: `${counted} counted tokens, minimum ${formatDecimal(rules.minimum)}` });
+      } else if (recipient.points === 0n && underMinimum.length > 0) {
+        Object.assign(recipient, { status: "below-minimum", reason: `below the minimum for ${underMinimum.join(", ")}` });
+      } else if (recipient.points === 0n) {
+        Object.assign(recipient, { status: "no-points", reason: "only holds tokens weighted 0" });
+      } else {
+        Object.assign(recipient, { status: "eligible", reason: "" });
+      }
+    });
+
+    const eligible = [...recipients.values()].filter(({ status }) => status === "eligible");
+    eligible.forEach(recipient => { recipient.raw = 0n; });
+    if (rules.pool !== null) {
+      this.splitPool(eligible);
+    } else {
+      eligible.forEach(recipient => {
+        recipient.raw = recipient.points * rules.perPoint / ALLOCATION_SCALE;
+        recipient.steps.push(`${formatDecimal(recipient.points)} points x ${formatDecimal(rules.perPoint)} per point = ${formatDecimal(recipient.raw)}`);
+        if (rules.cap !== null && recipient.raw > rules.cap) {
+          recipient.raw = rules.cap;
+          recipient.steps.push(`capped at ${formatDecimal(rules.cap)}`);
+        }
+      });
+    }
+
+    eligible.forEach(recipient => {
+      let amount = roundDecimal(recipient.raw, rules.decimals, rules.rounding);
+      if (rules.cap !== null && amount > rules.cap) {
+        amount = roundDecimal(rules.cap, rules.decimals, "down");
+      }
+      if (amount !== recipient.raw) {
+        recipient.steps.push(`rounded ${rules.rounding} to ${rules.decimals} decimals = ${formatDecimal(amount)}`);
+      }
+      recipient.amount = amount;
+      if (amount === 0n) {
+        Object.assign(recipient, { status: "rounded-to-zero", reason: `${formatDecimal(recipient.raw)} rounds to 0` });
+      }
+    });
+
+    const all = [...recipients.values()]
+      .map(recipient => ({ ...recipient, amount: recipient.amount ?? 0n }))
+      .sort((a, b) => (b.amount > a.amount) - (b.amount < a.amount) ||
+        (b.points > a.points) - (b.points < a.points) || a.wallet.localeCompare(b.wallet));
+    const allocated = all.filter(({ status }) => status === "eligible");
+    return {
+      recipients: all,
+      allocated,
+      walletTypesMissing,
+      totals: {
+        points: allocated.reduce((sum, { points }) => sum + points, 0n),
+        amount: allocated.reduce((sum, { amount }) => sum + amount, 0n)
+      }
+    };
+  }
+
+  /**
+   * Share the pool by points. Wallets whose share is over the cap get the
+   * cap, and the rest of the pool is shared again among the others until no
+   * share is over it.
+   */
+  splitPool(eligible) {
+    const { pool, cap } = this.rules;
+    let remaining = pool;
+    let open = eligible;
+    while (open.length > 0) {
+      const totalPoints = open.reduce((sum, { points }) => sum + points, 0n);
+      const shareOf = ({ points }) => remaining * points / totalPoints;
+      const capped = cap === null ? [] : open.filter(recipient => shareOf(recipient) > cap);
+      if (capped.length === 0) {
+        open.forEach(recipient => {
+          recipient.raw = shareOf(recipient);
+          recipient.steps.push(`${formatDecimal(recipient.points)} of ${formatDecimal(totalPoints)} points x ${formatDecimal(remaining)} = ${formatDecimal(recipient.raw)}`);
+        });
+        return;
+      }
+      capped.forEach(recipient => {
+        recipient.raw = cap;
+        recipient.steps.push(`${formatDecimal(recipient.points)} of ${formatDecimal(totalPoints)} points x ${formatDecimal(remaining)} = ` +
+          `${formatDecimal(shareOf(recipient))}, capped at ${formatDecimal(cap)}`);
+      });
+      remaining -= cap * BigInt(capped.length);
+      open = open.filter(recipient => !capped.includes(recipient));
+    }
+  }
+
+  printSummary(allocation, snapshots, limit = 10) {
+    const { rules } = this;
+    console.log(`\n=== Allocation${rules.name ? `: ${rules.name}` : ""} ===`);
+    snapshots.filter(({ collection }) => rules.collections[collection.id]).forEach(({ collection, file }) => {
+      const rule = rules.collections[collection.id];
+      const multipliers = Object.entries(rule.chains).map(([chainName, multiplier]) => `, ${chainName} x ${formatDecimal(multiplier)}`).join("");
+      console.log(`- ${collection.name}: weight ${formatDecimal(rule.weight)}${multipliers} (${path.basename(file)})`);
+    });
+
+    const byStatus = {};
+    allocation.recipients.forEach(({ status }) => {
+      byStatus[status] = (byStatus[status] || 0) + 1;
+    });
+    console.log(`- Wallets: ${allocation.allocated.length} allocated` +
+      ["excluded", "below-minimum", "no-points", "rounded-to-zero"].filter(status => byStatus[status])
+        .map(status => `, ${byStatus[status]} ${status.replace(/-/g, " ")}`).join(""));
+    console.log(`- Points: ${formatDecimal(allocation.totals.points)}`);
+    if (rules.pool !== null) {
+      const left = rules.pool - allocation.totals.amount;
+      console.log(`- Allocated: ${formatDecimal(allocation.totals.amount)} of ${formatDecimal(rules.pool)}` +
+        (left > 0n ? ` (${formatDecimal(left)} left over by caps and rounding)` : left < 0n ? ` (${formatDecimal(-left)} over by rounding)` : ""));
+    } else {
+      console.log(`- Allocated: ${formatDecimal(allocation.totals.amount)}`);
+    }
+    allocation.walletTypesMissing.forEach(name => {
+      console.warn(`⚠️  ${name} snapshot has no WalletType column, so excludeWalletTypes was not applied to it`);
+    });
+
+    if (allocation.allocated.length > 0) {
+      console.log(`\nTop ${Math.min(limit, allocation.allocated.length)} Allocations:`);
+      allocation.allocated.slice(0, limit).forEach(({ wallet, linkedWallet, points, amount }, index) => {
+        console.log(`${index + 1}. ${wallet}${linkedWallet ? ` + ${linkedWallet}` : ""}: ${formatDecimal(amount)} (${formatDecimal(points)} points)`);
+      });
+    }
+  }
+
+  /**
+   * Write the allocation (wallets with an amount) and, next to it, an audit
+   * file with the rules, the input files and every wallet's calculation.
+   */
+  async generateOutput(allocation, snapshots, options = {}) {
+    const { rules } = this;
+    const outputFile = prepareOutputFile(rules.name ? `${rules.name} Allocation` : "Allocation", null, options);
+    const linkColumns = this.links.links.length > 0 ? ["LinkedWallet"] : [];
+    await writeSnapshotFile(outputFile, ["Wallet", ...linkColumns, "Points", "Amount", "Calculation"].map(id => ({ id, title: id })),
+      allocation.allocated.map(({ wallet, linkedWallet, points, amount, steps }) => ({
+        Wallet: wallet,
+        ...(linkColumns.length > 0 ? { LinkedWallet: linkedWallet } : {}),
+        Points: formatDecimal(points),
+        Amount: formatDecimal(amount),
+        Calculation: steps.join("; ")
+      })), options.format);
+
+    const audit = {
+      tool: { name: TOOL_NAME, version: TOOL_VERSION },
+      createdAt: new Date().toISOString(),
+      rules: { file: path.basename(rules.file), sha256: rules.sha256, definition: rules.definition },
+      inputs: snapshots.map(({ collection, file }) => ({
+        collection: collection.id, file: path.basename(file), sha256: hashFile(file)
+      })),
+      walletLinks: this.links.links.length > 0 ? { file: path.basename(this.links.filePath), count: this.links.links.length } : null,
+      totals: {
+        wallets: allocation.recipients.length,
+        allocated: allocation.allocated.length,
+        points: formatDecimal(allocation.totals.points),
+        amount: formatDecimal(allocation.totals.amount),
+        pool: rules.pool === null ? null : formatDecimal(rules.pool)
+      },
+      output: { file: path.basename(outputFile), sha256: hashFile(outputFile) },
+      wallets: allocation.recipients.map(({ wallet, linkedWallet, status, reason, holdings, walletTypes, points, amount, steps }) => ({
+        wallet,
+        linkedWallet: linkedWallet || null,
+        status,
+        reason: reason || null,
+        holdings: Object.fromEntries(Object.entries(holdings).map(([holdingKey, quantity]) => [holdingKey, quantity.toString()])),
+        walletTypes: [...walletTypes],
+        points: formatDecimal(points),
+        amount: formatDecimal(amount),
+        steps
+      }))
+    };
+    const auditFile = getReportFile(outputFile, "Audit", { format: "json" });
+    fs.writeFileSync(auditFile, JSON.stringify(audit, null, 2));
+    return { outputFile, auditFile };
+  }
+
+  /**
+   * Allocate from { collectionId: snapshotFile }, print the summary and write
+   * the allocation and audit files.
+   */
+  async run(files, options = {}) {
+    const missing = Object.keys(this.rules.collections).filter(id => !files[id]);
+    if (missing.length > 0) {
+      throw new Error(`No snapshot for ${missing.map(id => COLLECTIONS[id].name).join(", ")}, which the rules give a weight`);
+    }
+    const snapshots = await new HolderReport(this.links).load(
+      Object.fromEntries(Object.entries(files).filter(([id]) => this.rules.collections[id])));
+    const allocation = this.build(snapshots);
+    this.printSummary(allocation, snapshots);
+    const { outputFile, auditFile } = await this.generateOutput(allocation, snapshots, options);
+    console.log(`\nAllocation saved to ${outputFile}`);
+    console.log(`Audit trail saved to ${auditFile}`);
+    return { outputFile, auditFile, allocation };
+  }
+}
+
+/**
+ * MERKLE CLAIM TREES
+ * Merkle roots and proofs for on-chain claim contracts, built from an
+ * allocation or snapshot file. EVM wallets and Solana wallets get separate
+ * trees. EVM leaves match OpenZeppelin's StandardMerkleTree for
+ * ["address", "uint256"], so the dump loads with StandardMerkleTree.load()
+ * and proofs pass MerkleProof.verify(). Solana leaves hash the 32-byte public
+ * key and the amount as a little-endian u64 the same way, which a program
+ * can rebuild with solana_program::keccak::hashv.
+ */
+const MERKLE_LEAF_ENCODINGS = {
+  evm: "keccak256(keccak256(abi.encode(address account, uint256 amount)))",
+  solana: "keccak256(keccak256(publicKey[32] || amount as u64 little-endian))"
+};
+const U64_MAX = 2n ** 64n - 1n;
+
+/**
+ * Leaf hash of a claim: the EVM or Solana encoding, chosen by the wallet.
+ */
+function merkleLeaf(wallet, amount) {
+  if (ethers.isAddress(wallet)) {
+    if (amount < 0n || amount > ethers.MaxUint256) {
+      throw new Error(`Amount ${amount} for ${wallet} does not fit in a uint256`);
+    }
+    return ethers.keccak256(ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [wallet, amount])));
+  }
+  if (amount < 0n || amount > U64_MAX) {
+    throw new Error(`Amount ${amount} for ${wallet} does not fit in a u64`);
+  }
+  const publicKey = ethers.decodeBase58(wallet);
+  if (publicKey >= 2n ** 256n) {
+    throw new Error(`${wallet} is not a 32-byte Solana public key`);
+  }
+  const amountBytes = new Uint8Array(8);
+  new DataView(amountBytes.buffer).setBigUint64(0, amount, true);
+  return ethers.keccak256(ethers.keccak256(ethers.concat([ethers.toBeHex(publicKey, 32), amountBytes])));
+}
+
+// Parent of two nodes, hashed in sorted order like OpenZeppelin's MerkleProof
+function hashPair(a, b) {
+  return ethers.keccak256(ethers.concat(a < b ? [a, b] : [b, a]));
+}
+
+/**
+ * MERKLE TREE CLASS
+ * A complete binary tree stored as an array in StandardMerkleTree's layout:
+ * leaves sorted by hash and placed from the end, node i's children at 2i+1
+ * and 2i+2, the root at 0.
+ */
+class MerkleTree {
+  // claims: [{ wallet, amount }]
+  constructor(claims) {
+    this.values = claims.map(({ wallet, amount }) => ({ wallet, amount, leaf: merkleLeaf(wallet, amount) }))
+      .sort((a, b) => (a.leaf > b.leaf) - (a.leaf < b.leaf));
+    this.tree = new Array(2 * this.values.length - 1);
+    this.values.forEach((value, index) => {
+      value.treeIndex = this.tree.length - 1 - index;
+      this.tree[value.treeIndex] = value.leaf;
+    });
+    for (let i = this.tree.length - 1 - this.values.length; i >= 0; i--) {
+      this.tree[i] = hashPair(this.tree[2 * i + 1], this.tree[2 * i + 2]);
+    }
+  }
+
+  get root() {
+    return this.tree[0];
+  }
+
+  getProof(treeIndex) {
+    const proof = [];
+    for (let i = treeIndex; i > 0; i = Math.floor((i - 1) / 2)) {
+      proof.push(this.tree[i % 2 === 1 ? i + 1 : i - 1]);
+    }
+    return proof;
+  }
+
+  // StandardMerkleTree's JSON dump (EVM trees only)
+  dump() {
+    return {
+      format: "standard-v1",
+      leafEncoding: ["address", "uint256"],
+      tree: this.tree,
+      values: this.values.map(({ wallet, amount, treeIndex }) => ({ value: [wallet, amount.toString()], treeIndex }))
+    };
+  }
+
+  static verify(root, wallet, amount, proof) {
+    return proof.reduce(hashPair, merkleLeaf(wallet, amount)) === root.toLowerCase();
+  }
+}
+
+/**
+ * Claims from an allocation file (Wallet and Amount columns) or a snapshot
+ * (tokens held per wallet), with amounts scaled by 10^decimals to whole base
+ * units. Amounts of the same wallet are added up; zero amounts are left out.
+ */
+async function readMerkleClaims(file, decimals) {
+  const collection = HolderReport.collectionOf(file);
+  const rows = await readSnapshotFile(file);
+  if (!collection && rows.length > 0 && !("Wallet" in rows[0] && "Amount" in rows[0])) {
+    throw new Error(`${file} is neither a snapshot of a known collection nor an allocation file (Wallet and Amount columns)`);
+  }
+
+  const entries = collection
+    ? HolderReport.holdingsOf(collection, rows).map(({ owner, quantity }) => ({ wallet: owner, amount: quantity.toString() }))
+    : rows.map(({ Wallet, Amount }) => ({ wallet: Wallet, amount: Amount }));
+
+  const unit = 10n ** BigInt(ALLOCATION_DECIMALS - decimals);
+  const claims = new Map();
+  entries.forEach(({ wallet, amount }) => {
+    const isEvm = ethers.isAddress(wallet);
+    if (!isEvm && !isSolanaAddress(wallet)) {
+      throw new Error(`Invalid wallet in ${path.basename(file)}: ${wallet}`);
+    }
+    const value = parseDecimal(amount);
+    if (value === null || value % unit !== 0n) {
+      throw new Error(`Amount ${amount} for ${wallet} is not a whole number of base units with ${decimals} decimals (see --decimals)`);
+    }
+    const key = normalizeWallet(wallet);
+    const claim = claims.get(key) || { wallet: isEvm ? ethers.getAddress(wallet) : wallet, amount: 0n };
+    claim.amount += value / unit;
+    claims.set(key, claim);
+  });
+
+  return { kind: collection ? "snapshot" : "allocation", claims: [...claims.values()].filter(({ amount }) => amount > 0n) };
+}
+
+/**
+ * Build the EVM and Solana trees for a file and write "<file> Merkle.json"
+ * (roots, encodings, StandardMerkleTree dump) and "<file> Proofs.json"
+ * (amount, leaf and proof per address).
+ */
+async function buildMerkleTrees(file, options = {}) {
+  const decimals = options.decimals ?? 0;
+  const { kind, claims } = await readMerkleClaims(file, decimals);
+  if (claims.length === 0) {
+    throw new Error(`No wallets with an amount in ${file}`);
+  }
+
+  const trees = {};
+  ["evm", "solana"].forEach(chainType => {
+    const chainClaims = claims.filter(({ wallet }) => ethers.isAddress(wallet) === (chainType === "evm"));
+    if (chainClaims.length > 0) trees[chainType] = new MerkleTree(chainClaims);
+  });
+
+  const outDir = options.outDir || path.dirname(file);
+  fs.mkdirSync(outDir, { recursive: true });
+  const baseFile = path.join(outDir, path.basename(file));
+  const merkleFile = getReportFile(baseFile, "Merkle", { format: "json" });
+  const proofsFile = getReportFile(baseFile, "Proofs", { format: "json" });
+
+  fs.writeFileSync(merkleFile, JSON.stringify({
+    tool: { name: TOOL_NAME, version: TOOL_VERSION },
+    createdAt: new Date().toISOString(),
+    source: { file: path.basename(file), kind, sha256: hashFile(file), decimals },
+    trees: Object.fromEntries(Object.entries(trees).map(([chainType, tree]) => [chainType, {
+      root: tree.root,
+      leafEncoding: MERKLE_LEAF_ENCODINGS[chainType],
+      pairHashing: "keccak256 of the two child hashes in ascending order",
+      claims: tree.values.length,
+      total: tree.values.reduce((sum, { amount }) => sum + amount, 0n).toString(),
+      ...(chainType === "evm" ? { dump: tree.dump() } : {})
+    }]))
+  }, null, 2));
+
+  const proofs = {};
+  Object.values(trees).forEach(tree => {
+    tree.values.forEach(({ wallet, amount, leaf, treeIndex }) => {
+      proofs[wallet] = { amount: amount.toString(), leaf, proof: tree.getProof(treeIndex) };
+    });
+  });
+  fs.writeFileSync(proofsFile, JSON.stringify(proofs, null, 2));
+
+  console.log(`\n=== Merkle Trees (${path.basename(file)}) ===`);
+  Object.entries(trees).forEach(([chainType, tree]) => {
+    const total = tree.values.reduce((sum, { amount }) => sum + amount, 0n);
+    console.log(`- ${chainType === "evm" ? "EVM" : "Solana"}: ${tree.values.length} claims, total ${total}, root ${tree.root}`);
+  });
+  console.log(`\nMerkle trees saved to ${merkleFile}`);
+  console.log(`Proofs saved to ${proofsFile}`);
+  return { trees, merkleFile, proofsFile };
+}
+
+/**
+ * SNAPSHOT DATABASE CLASS
+ * Local SQLite history of every run: the snapshot block per chain, the owner
+ * of each token and the tokens that came back empty. Backed by sql.js, so the
+ * database is read into memory on open and written back after each run.
+ */
+const SNAPSHOT_DB_SCHEMA = `
+  CREATE TABLE IF NOT EXISTS runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    collection TEXT NOT NULL,
+    started_at TEXT NOT NULL,
+    finished_at TEXT NOT NULL,
+    engine TEXT,
+    snapshot_time TEXT,
+    token_range TEXT,
+    total_tokens INTEGER NOT NULL,
+    found_tokens INTEGER NOT NULL,
+    output_file TEXT
+  );
+  CREATE TABLE IF NOT EXISTS run_blocks (
+    run_id INTEGER NOT NULL REFERENCES runs (id),
+    chain TEXT NOT NULL,
+    block INTEGER NOT NULL,
+    block_time INTEGER,
+    source TEXT,
+    block_hash TEXT,
+    finality TEXT,
+    PRIMARY KEY (run_id, chain)
+  );
+  CREATE TABLE IF NOT EXISTS holdings (
+    run_id INTEGER NOT NULL REFERENCES runs (id),
+    token_id TEXT NOT NULL,
+    mint TEXT,
+    owner TEXT NOT NULL,
+    owner_key TEXT NOT NULL,
+    quantity TEXT NOT NULL DEFAULT '1',
+    chain TEXT NOT NULL,
+    block INTEGER,
+    PRIMARY KEY (run_id, chain, token_id, owner_key)
+  );
+  CREATE INDEX IF NOT EXISTS holdings_by_owner ON holdings (owner_key, run_id);
+  CREATE INDEX IF NOT EXISTS holdings_by_token ON holdings (token_id, run_id);
+  CREATE TABLE IF NOT EXISTS failures (
+    run_id INTEGER NOT NULL REFERENCES runs (id),
+    token_id TEXT NOT NULL,
+    mint TEXT,
+    chain TEXT,
+    reason TEXT NOT NULL,
+    PRIMARY KEY (run_id, token_id)
+  );
+`;
+
+// Upgrades for databases written by earlier versions, applied in order before
+// the schema above. PRAGMA user_version counts the migrations already applied.
+const SNAPSHOT_DB_MIGRATIONS = [
+  // 1: ERC-1155 holdings, several owners per token each with a quantity (kept as text: uint256)
+  `ALTER TABLE holdings RENAME TO holdings_v0;
+   DROP INDEX holdings_by_owner;
+   DROP INDEX holdings_by_token;
+   CREATE TABLE holdings (
+     run_id INTEGER NOT NULL REFERENCES runs (id),
+     token_id TEXT NOT NULL,
+     mint TEXT,
+     owner TEXT NOT NULL,
+     owner_key TEXT NOT NULL,
+     quantity TEXT NOT NULL DEFAULT '1',
+     chain TEXT NOT NULL,
+     block INTEGER,
+     PRIMARY KEY (run_id, chain, token_id, owner_key)
+   );
+   INSERT INTO holdings (run_id, token_id, mint, owner, owner_key, chain, block)
+     SELECT run_id, token_id, mint, owner, owner_key, chain, block FROM holdings_v0;
+   DROP TABLE holdings_v0;`,
+  // 2: block hash and finality policy of each snapshot block
+  `ALTER TABLE run_blocks ADD COLUMN block_hash TEXT;
+   ALTER TABLE run_blocks ADD COLUMN finality TEXT;`
+];
+
+class SnapshotDatabase {
+  constructor(db, filePath) {
+    this.db = db;
+    this.filePath = filePath;
+  }
+
+  static async open(filePath = SNAPSHOT_DB_FILE, { create = true } = {}) {
+    if (!create && !fs.existsSync(filePath)) {
+      throw new Error(`No snapshot database at ${filePath}; run a snapshot first`);
+    }
+
+    const SQL = await initSqlJs();
+    if (!fs.existsSync(filePath)) {
+      const db = new SQL.Database();
+      db.exec(SNAPSHOT_DB_SCHEMA);
+      db.exec(`PRAGMA user_version = ${SNAPSHOT_DB_MIGRATIONS.length}`);
+      return new SnapshotDatabase(db, filePath);
+    }
+
+    const db = new SQL.Database(fs.readFileSync(filePath));
+    try {
+      SnapshotDatabase.migrate(db, filePath);
+    } catch (error) {
+      db.close();
+      throw error;
+    }
+    db.exec(SNAPSHOT_DB_SCHEMA);
+    return new SnapshotDatabase(db, filePath);
+  }
+
+  /**
+   * Apply the migrations a database has not seen yet. The upgraded copy is
+   * written back with the next recorded run.
+   */
+  static migrate(db, filePath) {
+    const [[version]] = db.exec("PRAGMA user_version")[0].values;
+    if (version > SNAPSHOT_DB_MIGRATIONS.length) {
+      throw new Error(`${filePath} was written by a newer version of this tool (schema ${version})`);
+    }
+    if (version === SNAPSHOT_DB_MIGRATIONS.length) return;
+
+    db.exec("BEGIN");
+    try {
+      SNAPSHOT_DB_MIGRATIONS.slice(version).forEach(migration => db.exec(migration));
+      db.exec(`PRAGMA user_version = ${SNAPSHOT_DB_MIGRATIONS.length}`);
+      db.exec("COMMIT");
+    } catch (error) {
+      db.exec("ROLLBACK");
+      throw new Error(`Could not upgrade ${filePath}: ${error.message}`);
+    }
+  }
+
+  all(sql, params = []) {
+    const statement = this.db.prepare(sql);
+    try {
+      statement.bind(params);
+      const rows = [];
+      while (statement.step()) {
+        rows.push(statement.getAsObject());
+      }
+      return rows;
+    } finally {
+      statement.free();
+    }
+  }
+
+  insertAll(sql, rows) {
+    const statement = this.db.prepare(sql);
+    try {
+      rows.forEach(row => statement.run(row));
+    } finally {
+      statement.free();
+    }
+  }
+
+  /**
+   * Store a run and save the database. Returns the new run id.
+   */
+  recordRun(run) {
+    this.db.exec("BEGIN");
+    try {
+      this.db.run(
+        `INSERT INTO runs (collection, started_at, finished_at, engine, snapshot_time, token_range, total_tokens, found_tokens, output_file)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [run.collection, run.startedAt, run.finishedAt, run.engine || null, run.snapshotTime || null,
+          run.tokenRange ? `${run.tokenRange.start}-${run.tokenRange.end}` : null,
+          run.totalTokens, new Set(run.holdings.map(({ tokenId }) => String(tokenId))).size, run.outputFile || null]
+      );
+      const [{ id }] = this.all("SELECT last_insert_rowid() AS id");
+
+      this.insertAll("INSERT INTO run_blocks (run_id, chain, block, block_time, source, block_hash, finality) VALUES (?, ?, ?, ?, ?, ?, ?)",
+        Object.entries(run.blocks).map(([chainName, { block, timestamp, source, hash, finality }]) =>
+          [id, chainName, block, timestamp || null, source || null, hash || null, finality || null]));
+      this.insertAll("INSERT OR REPLACE INTO holdings (run_id, token_id, mint, owner, owner_key, quantity, chain, block) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+        run.holdings.map(({ tokenId, mint, owner, quantity, chain, block }) =>
+          [id, String(tokenId), mint || null, owner, normalizeWallet(owner), String(quantity || 1), chain, block || null]));
+      this.insertAll("INSERT OR REPLACE INTO failures (run_id, token_id, mint, chain, reason) VALUES (?, ?, ?, ?, ?)",
+        run.failures.map(({ tokenId, mint, chain, reason }) => [id, String(tokenId), mint || null, chain || null, reason]));
+
+      this.db.exec("COMMIT");
+      this.save();
+      return id;
+    } catch (error) {
+      this.db.exec("ROLLBACK");
+      throw error;
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(path.resolve(this.filePath)), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, Buffer.from(this.db.export()));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  /**
+   * Runs oldest first with their holder counts and blocks ("ethereum:123 polygon:456").
+   */
+  listRuns(collection = null) {
+    return this.all(
+      `SELECT r.id, r.collection, r.finished_at, r.engine, r.snapshot_time, r.token_range, r.total_tokens, r.found_tokens,
+         (SELECT COUNT(DISTINCT owner_key) FROM holdings WHERE run_id = r.id) AS holders,
+         (SELECT GROUP_CONCAT(chain || ':' || block, ' ') FROM run_blocks WHERE run_id = r.id) AS blocks
+       FROM runs r
+       WHERE ? IS NULL OR r.collection = ?
+       ORDER BY r.id`,
+      [collection, collection]
+    );
+  }
+
+  getRun(runId) {
+    return this.listRuns().find(run => run.id === runId) || null;
+  }
+
+  latestRuns() {
+    const latestIds = this.all("SELECT MAX(id) AS id FROM runs GROUP BY collection ORDER BY collection").map(({ id }) => id);
+    return latestIds.map(runId => this.getRun(runId));
+  }
+
+  walletTokens(runId, wallet) {
+    return this.all(
+      `SELECT token_id, mint, quantity, chain FROM holdings
+       WHERE run_id = ? AND owner_key = ?
+       ORDER BY chain, CAST(token_id AS INTEGER), token_id`,
+      [runId, normalizeWallet(wallet)]
+    );
+  }
+
+  /**
+   * Owners of a token (ID or Solana mint) in every run of a collection that
+   * covered it, oldest first; owner is null where the lookup came back empty,
+   * and reason then says why. ERC-1155 runs have one row per holder.
+   */
+  tokenHistory(collection, tokenId) {
+    return this.all(
+      `SELECT r.id AS run_id, r.finished_at, h.owner, h.owner_key, h.quantity, h.chain, h.block, NULL AS reason
+       FROM runs r JOIN holdings h ON h.run_id = r.id
+       WHERE r.collection = ? AND (h.token_id = ? OR h.mint = ?)
+       UNION ALL
+       SELECT r.id, r.finished_at, NULL, NULL, NULL, f.chain, NULL, f.reason
+       FROM runs r JOIN failures f ON f.run_id = r.id
+       WHERE r.collection = ? AND (f.token_id = ? OR f.mint = ?)
+       ORDER BY run_id, owner_key`,
+      [collection, tokenId, tokenId, collection, tokenId, tokenId]
+    );
+  }
+
+  collections() {
+    return this.all("SELECT DISTINCT collection FROM runs ORDER BY collection").map(({ collection }) => collection);
+  }
+}
+
+/**
+ * Normalize a snapshotter result into the rows SnapshotDatabase.recordRun stores.
+ */
+function buildRunRecord(collection, result, options, startedAt) {
+  const isSolana = getCollection(collection).type === "solana-mint-list";
+  const run = {
+    collection,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    engine: isSolana ? null : options.engine || "ownerof",
+    snapshotTime: options.timestamp || null,
+    tokenRange: options.tokenRange || null,
+    totalTokens: result.stats.total,
+    outputFile: result.outputFile,
+    blocks: result.blocks || {},
+    holdings: [],
+    failures: []
+  };
+
+  if (!isSolana) {
+    run.holdings = result.processedData.map(row => ({
+      tokenId: row.TokenId, owner: row.Owner, quantity: row.Quantity, chain: row.Chain, block: row.BlockNumber
+    }));
+    run.failures = result.failures
+      ? result.failures.map(({ tokenId, reason }) => ({ tokenId, reason }))
+      : result.missingTokens.map(tokenId => ({ tokenId, reason: "owner not found" }));
+  } else {
+    if (result.slot) {
+      run.blocks = { solana: { block: result.slot, timestamp: null, source: "latest", hash: result.slotHash, finality: SOLANA_COMMITMENT } };
+    }
+    result.processedData.forEach(row => {
+      const tokenId = row.TokenId || row.SolanaTokenId;
+      if (row.OwnerWallet) {
+        run.holdings.push({ tokenId, mint: row.SolanaTokenId, owner: row.OwnerWallet, chain: "solana", block: result.slot });
+      } else {
+        const failure = result.failures?.get(row.SolanaTokenId);
+        run.failures.push({ tokenId, mint: row.SolanaTokenId, chain: "solana", reason: failure ? failure.failure : "owner not found" });
+      }
+    });
+  }
+
+  return run;
+}
+
+/**
+ * RUN MANIFEST
+ * Every run writes "<snapshot> Manifest.json" next to its output: what was
+ * snapshotted, at which blocks (with their hashes) or slot, with which
+ * settings, what failed, and the SHA-256 of every file written, so a
+ * snapshot can be audited and re-checked later with the verify command.
+ */
+const MANIFEST_VERSION = 1;
+
+// JSON with object keys sorted, so equal settings always hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function hashFile(filePath) {
+  return crypto.createHash("sha256").update(fs.readFileSync(filePath)).digest("hex");
+}
+
+/**
+ * Settings that shape a run's results. RPC URLs are left out: they may hold
+ * API keys, and any endpoint should give the same answer.
+ */
+function getRunSettings(collection, options) {
+  const { id, mintList, ...definition } = getCollection(collection);
+  const isSolana = definition.type === "solana-mint-list";
+  const engine = isSolana ? null : definition.type === "evm-erc1155" ? "events" : options.engine || "ownerof";
+  return {
+    collection: { ...definition, ...(mintList ? { mintList: path.basename(mintList) } : {}) },
+    chains: isSolana ? { solana: { commitment: SOLANA_COMMITMENT, endpoints: SOLANA_RPC_URLS.length } }
+      : Object.fromEntries(definition.chains.map(chainName => [chainName, {
+        chainId: chains[chainName].chainId,
+        finality: describeFinality(getFinality(chains[chainName])),
+        endpoints: chains[chainName].rpcs.length
+      }])),
+    engine,
+    quorum: engine === "ownerof" || isSolana ? options.quorum ?? RPC_QUORUM : null,
+    crossCheck: options.crossCheck || null,
+    discover: options.discover || null,
+    tokenRange: options.tokenRange || null,
+    useMulticall: USE_MULTICALL,
+    multicallBatchSize: MULTICALL_BATCH_SIZE,
+    batchSize: BATCH_SIZE,
+    logsBlockRange: LOGS_BLOCK_RANGE,
+    finalityConfirmations: FINALITY_CONFIRMATIONS,
+    classifyWallets: CLASSIFY_WALLETS
+  };
+}
+
+/**
+ * Write the run manifest next to the snapshot and return its path.
+ */
+function writeRunManifest(collection, result, options, startedAt) {
+  const definition = getCollection(collection);
+  const run = buildRunRecord(collection, result, options, startedAt);
+  const settings = getRunSettings(collection, options);
+  const isSolana = definition.type === "solana-mint-list";
+
+  const failureCounts = {};
+  run.failures.forEach(({ reason }) => {
+    failureCounts[reason] = (failureCounts[reason] || 0) + 1;
+  });
+
+  const files = [
+    { kind: "snapshot", file: result.outputFile },
+    { kind: "failures", file: result.failuresFile },
+    { kind: "conflicts", file: result.conflicts?.file },
+    { kind: "disputes", file: result.disputes?.file }
+  ].filter(({ file }) => file && fs.existsSync(file));
+
+  const manifest = {
+    manifestVersion: MANIFEST_VERSION,
+    tool: { name: TOOL_NAME, version: TOOL_VERSION },
+    run: {
+      id: result.runId ?? null,
+      startedAt: run.startedAt,
+      finishedAt: run.finishedAt,
+      engine: settings.engine,
+      quorum: settings.quorum,
+      snapshotTime: run.snapshotTime,
+      tokenRange: run.tokenRange
+    },
+    collection: { id: definition.id, name: definition.name, type: definition.type },
+    chains: isSolana ? {} : Object.fromEntries(Object.entries(run.blocks).map(([chainName, block]) => [chainName, {
+      chainId: chains[chainName].chainId,
+      contract: definition.contracts[chainName],
+      ...block
+    }])),
+    skippedChains: isSolana ? [] : [
+      ...definition.chains.filter(chainName => !chains[chainName].rpc)
+        .map(chainName => ({ chain: chainName, reason: `no RPC URL (${chains[chainName].rpcEnv})` })),
+      ...(result.skippedChains || []).map(chainName => ({ chain: chainName, reason: "event replay failed" }))
+    ],
+    solana: isSolana ? { slot: result.slot, hash: result.slotHash, commitment: SOLANA_COMMITMENT } : null,
+    config: { hash: crypto.createHash("sha256").update(stableStringify(settings)).digest("hex"), settings },
+    counts: {
+      rows: result.processedData.length,
+      holders: new Set(run.holdings.map(({ owner }) => normalizeWallet(owner))).size,
+      tokens: result.stats.total,
+      found: result.stats.found,
+      missing: result.stats.missing,
+      unresolved: result.stats.unresolved ?? null,
+      failures: failureCounts
+    },
+    failures: run.failures,
+    blockCheck: result.blockCheck || null,
+    inputs: isSolana && !options.discover ? [{ kind: "mint-list", file: path.basename(definition.mintList), sha256: hashFile(definition.mintList) }] : [],
+    files: files.map(({ kind, file }) => ({ kind, file: path.basename(file), sha256: hashFile(file), bytes: fs.statSync(file).size }))
+  };
+
+  const manifestFile = getReportFile(result.outputFile, "Manifest", { format: "json" });
+  fs.writeFileSync(manifestFile, JSON.stringify(manifest, null, 2));
+  return manifestFile;
+}
+
+/**
+ * Menu and help lines describing a registry collection.
+ */
+function describeCollection(collection) {
+  const lines = collection.description ? [collection.description] : [];
+
+  if (collection.type === "solana-mint-list") {
+    lines.push(`Reads from ${path.basename(collection.mintList)}`);
+    lines.push("Uses Helius or the SOLANA_RPC_URL endpoints for Solana blockchain");
+    return lines;
+  }
+
+  lines.push(`Chains: ${collection.chains.join(", ")}`);
+  if (collection.type === "evm-erc1155") {
+    lines.push("ERC-1155 balances, holders found from transfer events");
+  }
+  if (collection.tokenIds.method !== "range") {
+    lines.push(`Token IDs: ${collection.tokenIds.method === "enumerable" ? "read with ERC721Enumerable" : "found from mint events"}`);
+  }
+  const addresses = [...new Set(Object.values(collection.contracts))];
+  if (addresses.length === 1) {
+    lines.push(`Contract: ${addresses[0]}`);
+  } else {
+    Object.entries(collection.contracts).forEach(([chainName, address]) => {
+      lines.push(`Contract (${chainName}): ${address}`);
+    });
+  }
+  return lines;
+}
+
+/**
+ * UNIFIED INTERFACE AND MENU SYSTEM
+ */
+class KanpaiSnapshotter {
+  async displayMenu() {
+    const collections = Object.values(COLLECTIONS);
+
+    console.log("\n" + "=".repeat(60));
+    console.log("🐼 KANPAI PANDA UNIFIED SNAPSHOTTER 🐼");
+    console.log("=".repeat(60));
+    console.log("Select a snapshotter to run:");
+    console.log("");
+    collections.forEach((collection, index) => {
+      console.log(`${index + 1}. ${collection.name} Snapshotter`);
+      describeCollection(collection).forEach(line => console.log(`   - ${line}`));
+      console.log("");
+    });
+    console.log(`${collections.length + 1}. Run All Snapshotters (Sequential)`);
+    console.log("");
+    console.log(`${collections.length + 2}. Exit`);
+    console.log("=".repeat(60));
+  }
+
+  /**
+   * Resolve snapshot blocks and open the run's checkpoint journal. With
+   * --resume and no explicit blocks, the latest checkpoint's blocks are reused.
+   */
+  async prepareEvmRun(collection, chainNames, options) {
+    if (options.engine === "events") {
+      return { ...options, runChains: await resolveSnapshotBlocks(chainNames, options) };
+    }
+
+    if (options.resume && !options.blocks && !options.timestamp) {
+      const journal = SnapshotJournal.findLatest(collection);
+      if (!journal) {
+        throw new CheckpointNotFoundError(collection);
+      }
+      const runChains = journal.restoreBlocks();
+      console.log(`Resuming from checkpoint ${journal.filePath}`);
+      printSnapshotBlocks(chainNames, runChains);
+      return { ...options, tokenRange: journal.data.tokenRange, journal, runChains };
+    }
+
+    const runChains = await resolveSnapshotBlocks(chainNames, options);
+    const journal = SnapshotJournal.open(collection, {
+      blocks: getSnapshotBlocks(chainNames, runChains),
+      tokenRange: options.tokenRange,
+      resume: options.resume
+    });
+    return { ...options, tokenRange: journal.data.tokenRange, journal, runChains };
+  }
+
+  /**
+   * Store a finished run in the snapshot database, then write its manifest.
+   * A database error is only reported: the output file has already been
+   * written by then.
+   */
+  async recordRun(collection, result, options, startedAt) {
+    if (USE_SNAPSHOT_DB) {
+      try {
+        const database = await SnapshotDatabase.open();
+        try {
+          result.runId = database.recordRun(buildRunRecord(collection, result, options, startedAt));
+        } finally {
+          database.close();
+        }
+        console.log(`Recorded as run #${result.runId} in ${SNAPSHOT_DB_FILE}`);
+      } catch (error) {
+        console.warn(`Warning: could not record run in ${SNAPSHOT_DB_FILE}: ${error.message}`);
+      }
+    }
+
+    result.manifestFile = writeRunManifest(collection, result, options, startedAt);
+    console.log(`Manifest saved to ${result.manifestFile}`);
+    return result;
+  }
+
+  /**
+   * Snapshot one collection from the registry, record it and return the result.
+   */
+  async runCollection(collectionId, options = {}) {
+    const collection = getCollection(collectionId);
+    resetRequestStats();
+    try {
+      console.log(`\n🚀 Starting ${collection.name} Snapshotter...`);
+      validateCustodians(collection);
+      const result = collection.type === "solana-mint-list"
+        ? await this.runSolanaCollection(collection, options)
+        : await this.runEvmCollection(collection, options);
+      result.requests = getRequestStats();
+      return result;
+    } catch (error) {
+      if (!(error instanceof CheckpointNotFoundError)) {
+        console.error(`Error in ${collection.name} snapshotter:`, error.message);
+      }
+      throw error;
+    } finally {
+      printRequestStats(getRequestStats());
+    }
+  }
+
+  async runEvmCollection(collection, options = {}) {
+    const startedAt = new Date().toISOString();
+
+    const missingRpcs = collection.chains.filter(chainName => !chains[chainName].rpc);
+    if (missingRpcs.length === collection.chains.length) {
+      throw new Error(`${missingRpcs.map(chainName => chains[chainName].rpcEnv).join(" or ")} is required for ${collection.name}`);
+    }
+    if (missingRpcs.length > 0) {
+      console.warn(`Warning: Missing RPC URLs for chains: ${missingRpcs.join(', ')}`);
+      console.log("These chains will be skipped during the snapshot process.");
+    }
+
+    if (collection.type === "evm-erc1155") {
+      // Balances are always rebuilt from events, so there is no engine choice or checkpoint
+      const runOptions = { ...options, engine: "events", crossCheck: undefined, resume: false, quorum: undefined };
+      runOptions.runChains = await resolveSnapshotBlocks(collection.chains, runOptions);
+      const result = await new Erc1155Snapshotter(collection.id).snapshotNFTs(runOptions);
+      return await this.recordRun(collection.id, result, runOptions, startedAt);
+    }
+
+    const runOptions = await this.prepareEvmRun(collection.id, collection.chains, options);
+    const result = await new EvmSnapshotter(collection.id).snapshotNFTs(runOptions);
+    return await this.recordRun(collection.id, result, runOptions, startedAt);
+  }
+
+  async runSolanaCollection(collection, options = {}) {
+    const startedAt = new Date().toISOString();
+
+    if (SOLANA_RPC_URLS.length === 0) {
+      throw new Error(`HELIUS_API_KEY or SOLANA_RPC_URL is required for ${collection.name}`);
+    }
+
+    if (!options.discover && !fs.existsSync(collection.mintList)) {
+      throw new Error(`Input file not found: ${collection.mintList}`);
+    }
+
+    if (options.timestamp) {
+      console.warn("Solana snapshots are always taken at the current slot; ignoring --timestamp");
+    }
+
+    const snapshotter = new SolanaSnapshotter(collection.id);
+    let journal;
+    if (options.resume) {
+      journal = SnapshotJournal.findLatest(collection.id);
+      if (!journal) {
+        throw new CheckpointNotFoundError(collection.id);
+      }
+      console.log(`Resuming from checkpoint ${journal.filePath}`);
+    } else {
+      const slot = await snapshotter.getCurrentSlot();
+      const slotHash = await snapshotter.getSlotHash(slot);
+      journal = SnapshotJournal.open(collection.id, { slot, slotHash, tokenRange: options.tokenRange });
+    }
+    console.log(`Using Solana slot ${journal.data.slot} (${SOLANA_COMMITMENT}) for snapshot`);
+
+    const runOptions = {
+      ...options,
+      tokenRange: journal.data.tokenRange,
+      slot: journal.data.slot,
+      slotHash: journal.data.slotHash || null,
+      journal
+    };
+    const result = await snapshotter.processIDMappingCSV(collection.mintList, runOptions);
+    return await this.recordRun(collection.id, result, runOptions, startedAt);
+  }
+
+  // Shortcuts for the bundled collections
+  async runInfinitySnapshotter(options = {}) {
+    return await this.runCollection("infinity", options);
+  }
+
+  async runPandaSnapshotter(options = {}) {
+    return await this.runCollection("panda", options);
+  }
+
+  async runSolanaSnapshotter(options = {}) {
+    return await this.runCollection("solana", options);
+  }
+
+  async runAllSnapshotters(options = {}) {
+    console.log("\n🚀 Running All Snapshotters Sequentially...");
+    const results = {};
+    const collections = Object.values(COLLECTIONS);
+    
+    for (const [index, collection] of collections.entries()) {
+      try {
+        console.log("\n" + "=".repeat(40));
+        console.log(`STEP ${index + 1}/${collections.length}: ${collection.name} Snapshotter`);
+        console.log("=".repeat(40));
+        results[collection.id] = await this.runCollection(collection.id, options);
+      } catch (error) {
+        // Finished runs delete their checkpoint, but so little else does that a
+        // collection is only skipped when its completed run can be found
+        if (options.resume && error instanceof CheckpointNotFoundError) {
+          const completedRun = await this.findCompletedRun(collection.id, options);
+          if (completedRun) {
+            console.log(`No ${collection.name} checkpoint left: its last run completed (${completedRun}), skipping`);
+            results[collection.id] = { skipped: `no checkpoint, last run completed (${completedRun})` };
+          } else {
+            console.error(`${collection.name} cannot be resumed: no checkpoint and no completed run found`);
+            results[collection.id] = { notResumable: "no checkpoint and no completed run; run without --resume" };
+          }
           continue;
         }
+        console.error(`${collection.name} snapshotter failed:`, error.message);
+        results[collection.id] = { error: error.message };
+      }
+    }
+    
+    console.log("\n" + "=".repeat(60));
+    console.log("🎉 ALL SNAPSHOTTERS COMPLETED");
+    console.log("=".repeat(60));
+    
+    Object.entries(results).forEach(([name, result]) => {
+      if (result.error) {
+        console.log(`❌ ${name.toUpperCase()}: FAILED - ${result.error}`);
+      } else if (result.notResumable) {
+        console.log(`⚠️  ${name.toUpperCase()}: NOT RESUMABLE - ${result.notResumable}`);
+      } else if (result.skipped) {
+        console.log(`⏭️  ${name.toUpperCase()}: SKIPPED - ${result.skipped}`);
+      } else {
+        console.log(`✅ ${name.toUpperCase()}: SUCCESS - ${result.outputFile}`);
+        if (result.stats) {
+          console.log(`   - Found: ${result.stats.found}/${result.stats.total} (${result.stats.successRate}%)`);
+          console.log(`   - Runtime: ${result.stats.runtime} minutes`);
+        }
+      }
+    });
+
+    // Collections skipped on resume are reported from their latest snapshot
+    const latest = Object.values(results).some(result => result.skipped)
+      ? HolderReport.findLatestSnapshots(options.outDir || OUTPUT_DIR) : {};
+    const files = Object.fromEntries(Object.entries(results)
+      .map(([collectionId, result]) => [collectionId, result.outputFile || (result.skipped && latest[collectionId])])
+      .filter(([, file]) => file));
+    if (Object.values(results).some(result => result.outputFile)) {
+      try {
+        await new HolderReport().run(files, options);
+      } catch (error) {
+        console.warn(`Warning: could not write the holder report: ${error.message}`);
+      }
+    }
+    
+    return results;
+  }
+
+  /**
+   * Evidence that a collection has completed a run: its newest snapshot file
+   * in the output directory, else its latest run in the snapshot database.
+   * Null when neither exists.
+   */
+  async findCompletedRun(collectionId, options = {}) {
+    const snapshotFile = HolderReport.findLatestSnapshots(options.outDir || OUTPUT_DIR)[collectionId];
+    if (snapshotFile) {
+      return snapshotFile;
+    }
+    if (!fs.existsSync(SNAPSHOT_DB_FILE)) {
+      return null;
+    }
+
+    const database = await SnapshotDatabase.open(SNAPSHOT_DB_FILE, { create: false });
+    try {
+      const runs = database.listRuns(collectionId);
+      return runs.length > 0 ? `run #${runs[runs.length - 1].id} in ${SNAPSHOT_DB_FILE}` : null;
+    } finally {
+      database.close();
+    }
+  }
+
+  async start() {
+    try {
+      validateEnvironment();
+      
+      while (true) {
+        await this.displayMenu();
+        const collections = Object.values(COLLECTIONS);
+        const choice = (await question(`\nEnter your choice (1-${collections.length + 2}): `)).trim();
+        const selected = /^\d+$/.test(choice) ? parseInt(choice) : 0;
         
-        if (!ownerResponse.data || !ownerResponse.data.result) {
-          this.releaseSlot();
-          await sleep(retryDelay * (attempt + 1));
+        if (selected >= 1 && selected <= collections.length) {
+          await this.runCollection(collections[selected - 1].id);
+        } else if (selected === collections.length + 1) {
+          await this.runAllSnapshotters();
+        } else if (selected === collections.length + 2) {
+          console.log("\n👋 Goodbye!");
+          closeReadline();
+          return;
+        } else {
+          console.log(`\n❌ Invalid choice. Please enter 1-${collections.length + 2}.`);
           continue;
         }
         
-        const accountData = ownerResponse.data.result.value;
-        if (accountData && accountData.data && accountData.data.parsed) {
-                  const owner = accountData.data.parsed.info.owner;
-        this.releaseSlot();
-        return owner;
+        const continueChoice = await question("\nWould you like to run another snapshotter? (y/n): ");
+        if (continueChoice.toLowerCase() !== 'y') {
+          console.log("\n👋 Goodbye!");
+          closeReadline();
+          return;
         }
-        
-        this.releaseSlot();
-        await sleep(retryDelay);
-        continue;
-        
-      } catch (error) {
-        this.releaseSlot();
-        
-        if (error.response && error.response.status === 429) {
-          const backoffDelay = retryDelay * Math.pow(2, attempt + 1); // Exponential backoff
-          // Only show rate limit message on first attempt and not too frequently
-          if (attempt === 0 && Math.random() < 0.1) { // Show ~10% of rate limit messages
-            console.log(`   Rate limited, backing off...`);
+      }
+    } catch (error) {
+      console.error("\n💥 Fatal error:", error.message);
+      closeReadline();
+      process.exit(EXIT_CODES.FAILURE);
+    }
+  }
+}
+
+/**
+ * COMMAND LINE INTERFACE
+ */
+const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1, // Fatal error, no usable output
+  USAGE: 2, // Unknown command or invalid flags
+  INCOMPLETE: 3 // Finished, but some lookups failed on RPC errors, a snapshot block was reorged or snapshotters came back empty; verify or discover found differences
+};
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+// Every flag the CLI understands; each command lists the ones it accepts.
+const CLI_FLAGS = {
+  help: { type: "boolean", short: "h", description: "Show help for a command" },
+  config: { type: "string", value: "<file>", description: "Load settings from a JSON or .env file (overrides .env)" },
+  "out-dir": { type: "string", value: "<dir>", description: "Directory for output files (default: OUTPUT_DIR or current directory)" },
+  keep: { type: "string", value: "<all|N|Nd>", description: "Snapshot retention: keep all, the newest N, or N days (default: SNAPSHOT_RETENTION or all)" },
+  format: { type: "string", value: "<csv|json>", description: "Output file format (default: csv)" },
+  block: { type: "string", multiple: true, value: "<[chain=]number>", description: "Pin a snapshot block per chain (repeatable; bare number = first chain)" },
+  timestamp: { type: "string", value: "<time>", description: "Snapshot as of a UTC time (ISO 8601 or Unix seconds)" },
+  tokens: { type: "string", value: "<from-to>", description: "Only snapshot token IDs in this inclusive range" },
+  engine: { type: "string", value: "<ownerof|events>", description: "EVM ownership engine: ownerOf calls or Transfer event replay (default: ownerof)" },
+  "cross-check": { type: "string", value: "<count>", description: "With --engine events, compare this many sampled tokens against ownerOf" },
+  resume: { type: "boolean", description: "Continue the last interrupted or incomplete run from its checkpoint" },
+  quorum: { type: "string", value: "<n>", description: "Ask n RPC endpoints for every owner and report disagreements (default: RPC_QUORUM or 1)" },
+  collection: { type: "string", value: "<id>", description: "Only query runs of this collection" },
+  run: { type: "string", value: "<id>", description: "Run to query (default: latest run of each collection)" },
+  sample: { type: "string", value: "<n>", description: "Number of rows to look up again on-chain (default: 25)" },
+  discover: { type: "boolean", description: "Solana: enumerate the collection's mints on-chain instead of reading the mint list" },
+  method: { type: "string", value: "<das|rpc>", description: "Solana discovery through the DAS API or getProgramAccounts (default: das with Helius, else rpc)" },
+  write: { type: "boolean", description: "Rewrite the mint list file from the mints found on-chain" },
+  decimals: { type: "string", value: "<n>", description: "Scale amounts to base units with this many decimals (default: 0)" }
+};
+
+const SNAPSHOT_ENGINES = ["ownerof", "events"];
+
+const HISTORY_QUERIES = ["runs", "holders", "wallet", "token"];
+
+const LINK_ACTIONS = ["message", "add", "remove", "list"];
+
+const MERKLE_ACTIONS = ["build", "verify"];
+
+const CLI_COMMANDS = {
+  snapshot: {
+    usage: "snapshot <collection|all>",
+    description: "Take a holder snapshot of one or all collections",
+    flags: ["config", "out-dir", "format", "keep", "block", "timestamp", "tokens", "engine", "cross-check", "resume", "quorum", "discover", "method"],
+    run: runSnapshotCommand
+  },
+  diff: {
+    usage: "diff <old-file> <new-file>",
+    description: "Compare two holder snapshots of the same collection",
+    flags: ["out-dir", "format"],
+    run: runDiffCommand
+  },
+  history: {
+    usage: "history <query> [arg]",
+    description: "Query past runs: runs, holders, wallet <address>, token <id>",
+    flags: ["config", "collection", "run"],
+    run: runHistoryCommand
+  },
+  report: {
+    usage: "report [snapshot-file...]",
+    description: "Tokens per wallet across collections, from the latest (or given) snapshot files",
+    flags: ["config", "out-dir", "format"],
+    run: runReportCommand
+  },
+  allocate: {
+    usage: "allocate <rules-file> [snapshot-file...]",
+    description: "Airdrop amounts per wallet from the latest (or given) snapshots and a rules file",
+    flags: ["config", "out-dir", "format"],
+    run: runAllocateCommand
+  },
+  merkle: {
+    usage: "merkle <action> [args]",
+    description: "Claim trees: build <allocation-or-snapshot-file>, verify <root> <wallet> <amount> [proof...]",
+    flags: ["config", "out-dir", "decimals"],
+    run: runMerkleCommand
+  },
+  link: {
+    usage: "link <action> [args]",
+    description: "Verified EVM-Solana wallet links: message <evm> <solana>, add <file>, remove <wallet>, list",
+    flags: ["config"],
+    run: runLinkCommand
+  },
+  discover: {
+    usage: "discover <collection>",
+    description: "Find a Solana collection's mints on-chain and reconcile them with its mint list",
+    flags: ["config", "out-dir", "method", "write"],
+    run: runDiscoverCommand
+  },
+  verify: {
+    usage: "verify <manifest>",
+    description: "Re-check a snapshot's files, blocks and a sample of rows from its manifest",
+    flags: ["config", "sample"],
+    run: runVerifyCommand
+  }
+};
+
+function toCamelCase(flagName) {
+  return flagName.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * Split argv into positionals and flags. Supports `--flag value`,
+ * `--flag=value` and the short aliases declared in CLI_FLAGS.
+ */
+function parseCliArgs(argv) {
+  const positionals = [];
+  const flags = {};
+  const seen = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === "--") {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (!arg.startsWith("-") || arg === "-") {
+      positionals.push(arg);
+      continue;
+    }
+
+    let name;
+    let value;
+    if (arg.startsWith("--")) {
+      const eqIndex = arg.indexOf("=");
+      name = eqIndex === -1 ? arg.slice(2) : arg.slice(2, eqIndex);
+      value = eqIndex === -1 ? undefined : arg.slice(eqIndex + 1);
+    } else {
+      name = Object.keys(CLI_FLAGS).find(key => CLI_FLAGS[key].short === arg.slice(1));
+    }
+
+    const spec = CLI_FLAGS[name];
+    if (!spec) {
+      throw new UsageError(`Unknown option: ${arg}`);
+    }
+
+    if (spec.type === "boolean") {
+      if (value !== undefined) {
+        throw new UsageError(`Option --${name} does not take a value`);
+      }
+      flags[toCamelCase(name)] = true;
+    } else {
+      if (value === undefined) {
+        value = argv[++i];
+        if (value === undefined || value.startsWith("--")) {
+          throw new UsageError(`Option --${name} requires a value`);
+        }
+      }
+      const key = toCamelCase(name);
+      flags[key] = spec.multiple ? [...(flags[key] || []), value] : value;
+    }
+    seen.push(name);
+  }
+
+  return { positionals, flags, seen };
+}
+
+function parseBlockNumber(value) {
+  if (!/^\d+$/.test(value)) {
+    throw new UsageError(`Invalid block number: ${value}`);
+  }
+  return parseInt(value);
+}
+
+/**
+ * Parse repeated --block values ("123" or "polygon=456") into a map of
+ * chain name to block number. A bare number pins the first
+ * allowed chain (the collection's first chain).
+ */
+function parseBlockPins(values, allowedChains) {
+  const blocks = {};
+  values.forEach(value => {
+    const [chainName, blockValue] = value.includes("=") ? value.split("=", 2) : [allowedChains[0], value];
+    if (!allowedChains.includes(chainName)) {
+      throw new UsageError(`Cannot pin a block for ${chainName} (expected one of: ${allowedChains.join(", ")})`);
+    }
+    if (blocks[chainName] !== undefined) {
+      throw new UsageError(`Block for ${chainName} given more than once`);
+    }
+    blocks[chainName] = parseBlockNumber(blockValue);
+  });
+  return blocks;
+}
+
+/**
+ * Parse a snapshot time into an ISO 8601 UTC string. Accepts Unix seconds or
+ * an ISO date/time; date-times without a zone designator are taken as UTC.
+ */
+function parseTimestamp(value) {
+  let date;
+  if (/^\d+$/.test(value)) {
+    date = new Date(parseInt(value) * 1000);
+  } else {
+    const hasZone = /(Z|[+-]\d{2}:?\d{2})$/i.test(value);
+    date = new Date(!hasZone && value.includes("T") ? `${value}Z` : value);
+  }
+
+  if (isNaN(date.getTime())) {
+    throw new UsageError(`Invalid timestamp: ${value}`);
+  }
+  if (date.getTime() > Date.now()) {
+    throw new UsageError(`Timestamp is in the future: ${date.toISOString()}`);
+  }
+  return date.toISOString();
+}
+
+function parseTokenRange(value) {
+  const match = /^(\d+)(?:-(\d+))?$/.exec(value);
+  if (!match) {
+    throw new UsageError(`Invalid token range: ${value} (expected <from>-<to> or a single ID)`);
+  }
+
+  const start = parseInt(match[1]);
+  const end = match[2] !== undefined ? parseInt(match[2]) : start;
+  if (start < 1 || end < start) {
+    throw new UsageError(`Invalid token range: ${value}`);
+  }
+  return { start, end };
+}
+
+/**
+ * EVM chains a snapshot target covers: the collection's chains, or for "all"
+ * every chain used by an EVM collection.
+ */
+function getTargetChains(target) {
+  const collections = target === "all" ? Object.values(COLLECTIONS) : [COLLECTIONS[target]];
+  return [...new Set(collections.flatMap(collection => collection.chains || []))];
+}
+
+function buildSnapshotOptions(target, flags) {
+  const options = {
+    outDir: flags.outDir || OUTPUT_DIR,
+    format: flags.format || "csv"
+  };
+
+  if (flags.keep !== undefined) {
+    try {
+      options.retention = parseRetention(flags.keep);
+    } catch (err) {
+      throw new UsageError(err.message);
+    }
+  }
+
+  if (!OUTPUT_FORMATS.includes(options.format)) {
+    throw new UsageError(`Invalid format: ${options.format} (expected ${OUTPUT_FORMATS.join(" or ")})`);
+  }
+
+  const isSolana = target !== "all" && COLLECTIONS[target].type === "solana-mint-list";
+  if (isSolana && (flags.block !== undefined || flags.timestamp !== undefined)) {
+    throw new UsageError("Solana snapshots are always taken at the current slot; --block and --timestamp are not supported");
+  }
+
+  if (flags.block !== undefined) {
+    options.blocks = parseBlockPins(flags.block, getTargetChains(target));
+  }
+
+  if (flags.timestamp !== undefined) {
+    options.timestamp = parseTimestamp(flags.timestamp);
+  }
+
+  if (flags.tokens !== undefined) {
+    options.tokenRange = parseTokenRange(flags.tokens);
+  }
+
+  options.engine = flags.engine || "ownerof";
+  if (!SNAPSHOT_ENGINES.includes(options.engine)) {
+    throw new UsageError(`Invalid engine: ${options.engine} (expected ${SNAPSHOT_ENGINES.join(" or ")})`);
+  }
+  if (isSolana && flags.engine !== undefined) {
+    throw new UsageError("--engine only applies to EVM snapshots");
+  }
+  const isErc1155 = target !== "all" && COLLECTIONS[target].type === "evm-erc1155";
+  const ownershipFlag = ["engine", "cross-check", "resume", "quorum"].find(name => flags[toCamelCase(name)] !== undefined);
+  if (isErc1155 && ownershipFlag) {
+    throw new UsageError(`--${ownershipFlag} does not apply to ERC-1155 snapshots, which always replay transfer events`);
+  }
+
+  if (flags.crossCheck !== undefined) {
+    if (options.engine !== "events") {
+      throw new UsageError("--cross-check requires --engine events");
+    }
+    if (!/^\d+$/.test(flags.crossCheck) || parseInt(flags.crossCheck) < 1) {
+      throw new UsageError(`Invalid cross-check sample size: ${flags.crossCheck}`);
+    }
+    options.crossCheck = parseInt(flags.crossCheck);
+  }
+
+  if (flags.quorum !== undefined) {
+    if (options.engine === "events") {
+      throw new UsageError("--quorum does not apply to --engine events");
+    }
+    if (!/^\d+$/.test(flags.quorum) || parseInt(flags.quorum) < 1) {
+      throw new UsageError(`Invalid quorum: ${flags.quorum}`);
+    }
+    options.quorum = parseInt(flags.quorum);
+  }
+
+  if (flags.discover || flags.method !== undefined) {
+    if (!isSolana || !COLLECTIONS[target].discovery) {
+      throw new UsageError(`--discover needs a Solana collection with discovery settings in ${COLLECTIONS_FILE}`);
+    }
+    if (!flags.discover) {
+      throw new UsageError("--method requires --discover");
+    }
+    options.discover = parseDiscoveryMethod(flags.method);
+  }
+
+  if (flags.resume) {
+    if (options.engine === "events") {
+      throw new UsageError("--resume is not supported with --engine events");
+    }
+    if (flags.tokens !== undefined) {
+      throw new UsageError("--resume reuses the checkpoint's token range; drop --tokens");
+    }
+    options.resume = true;
+  }
+
+  return options;
+}
+
+// Burned and never-minted tokens are an answer; only lookups that may still succeed leave a run incomplete
+function getResultExitCode(result) {
+  if ((result?.stats?.unresolved ?? result?.stats?.missing) > 0 || result?.crossCheck?.mismatches.length > 0 ||
+    result?.blockCheck?.changed.length > 0) {
+    return EXIT_CODES.INCOMPLETE;
+  }
+  return EXIT_CODES.SUCCESS;
+}
+
+async function runSnapshotCommand(args, flags) {
+  const [target] = args;
+  const snapshotTargets = [...Object.keys(COLLECTIONS), "all"];
+  if (!target) {
+    throw new UsageError(`Missing snapshot target (${snapshotTargets.join(", ")})`);
+  }
+  if (!snapshotTargets.includes(target)) {
+    throw new UsageError(`Unknown snapshot target: ${target} (expected ${snapshotTargets.join(", ")})`);
+  }
+  if (args.length > 1) {
+    throw new UsageError(`Unexpected argument: ${args[1]}`);
+  }
+
+  const options = buildSnapshotOptions(target, flags);
+  validateEnvironment();
+
+  const kanpaiSnapshotter = new KanpaiSnapshotter();
+  if (target !== "all") {
+    return getResultExitCode(await kanpaiSnapshotter.runCollection(target, options));
+  }
+
+  const results = Object.values(await kanpaiSnapshotter.runAllSnapshotters(options));
+  if (results.every(result => result.error)) {
+    return EXIT_CODES.FAILURE;
+  }
+  const incomplete = results.some(result => result.error || result.notResumable || getResultExitCode(result) !== EXIT_CODES.SUCCESS);
+  return incomplete ? EXIT_CODES.INCOMPLETE : EXIT_CODES.SUCCESS;
+}
+
+async function runDiffCommand(args, flags) {
+  if (args.length !== 2) {
+    throw new UsageError("diff needs exactly two snapshot files: <old-file> <new-file>");
+  }
+
+  const format = flags.format || "csv";
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new UsageError(`Invalid format: ${format} (expected ${OUTPUT_FORMATS.join(" or ")})`);
+  }
+
+  const differ = new SnapshotDiffer();
+  const [oldSnapshot, newSnapshot] = await Promise.all(args.map(file => differ.loadSnapshot(file)));
+  const result = differ.diff(oldSnapshot, newSnapshot);
+  differ.printSummary(result);
+
+  const outputFiles = await differ.generateOutput(result, { outDir: flags.outDir, format });
+  console.log(`\nDiff saved to ${outputFiles.join(", ")}`);
+  return EXIT_CODES.SUCCESS;
+}
+
+function parseRunId(value) {
+  if (!/^#?\d+$/.test(value)) {
+    throw new UsageError(`Invalid run id: ${value}`);
+  }
+  return parseInt(value.replace("#", ""));
+}
+
+function printRunTable(runs) {
+  console.log(`${"Run".padEnd(6)} ${"Collection".padEnd(10)} ${"Finished".padEnd(24)} ${"Tokens".padEnd(11)} ${"Holders".padEnd(7)} Blocks`);
+  runs.forEach(run => {
+    console.log(`${`#${run.id}`.padEnd(6)} ${run.collection.padEnd(10)} ${run.finished_at.padEnd(24)} ` +
+      `${`${run.found_tokens}/${run.total_tokens}`.padEnd(11)} ${String(run.holders).padEnd(7)} ${run.blocks || "-"}`);
+  });
+}
+
+function printHolderCounts(runs) {
+  const previousByCollection = {};
+  console.log(`${"Run".padEnd(6)} ${"Collection".padEnd(10)} ${"Finished".padEnd(24)} ${"Holders".padEnd(8)} Change`);
+  runs.forEach(run => {
+    const previous = previousByCollection[run.collection];
+    const change = previous === undefined ? "" : `${run.holders - previous >= 0 ? "+" : ""}${run.holders - previous}`;
+    console.log(`${`#${run.id}`.padEnd(6)} ${run.collection.padEnd(10)} ${run.finished_at.padEnd(24)} ${String(run.holders).padEnd(8)} ${change}`);
+    previousByCollection[run.collection] = run.holders;
+  });
+}
+
+function printWalletTokens(database, runs, wallet) {
+  runs.forEach(run => {
+    const tokens = database.walletTokens(run.id, wallet);
+    console.log(`\nRun #${run.id} (${run.collection}, ${run.finished_at}): ${tokens.length} token(s)`);
+
+    const byChain = {};
+    tokens.forEach(({ token_id, quantity, chain }) => {
+      (byChain[chain] = byChain[chain] || []).push(quantity === "1" ? token_id : `${token_id} (x${quantity})`);
+    });
+    Object.entries(byChain).forEach(([chainName, tokenIds]) => {
+      console.log(`- ${chainName}: ${tokenIds.join(", ")}`);
+    });
+  });
+}
+
+function printTokenHistory(collection, tokenId, rows) {
+  console.log(`\n${collection} token ${tokenId}:`);
+  rows.forEach(row => {
+    const quantity = row.quantity && row.quantity !== "1" ? ` x${row.quantity}` : "";
+    // Runs recorded before lookups were classified have no reason to show
+    const owner = row.owner ? `${row.owner}${quantity} (${row.chain})`
+      : FAILURE_REASONS[row.reason] ? `owner not found (${FAILURE_REASONS[row.reason]})`
+      : "owner not found";
+    console.log(`  #${String(row.run_id).padEnd(5)} ${row.finished_at.padEnd(24)} ${owner}`);
+  });
+
+  // ERC-1155 tokens can have several holders per run; compare the sets of holders
+  const runs = [];
+  rows.filter(row => row.owner).forEach(row => {
+    const run = runs[runs.length - 1];
+    if (run?.run_id === row.run_id) {
+      run.owners.push(row.owner);
+      run.ownerKeys.push(row.owner_key);
+    } else {
+      runs.push({ run_id: row.run_id, finished_at: row.finished_at, owners: [row.owner], ownerKeys: [row.owner_key] });
+    }
+  });
+
+  let previous = null;
+  let lastChange = null;
+  runs.forEach(run => {
+    if (previous && previous.ownerKeys.join() !== run.ownerKeys.join()) {
+      lastChange = { from: previous, to: run };
+    }
+    previous = run;
+  });
+
+  if (lastChange) {
+    console.log(`  Last changed hands between run #${lastChange.from.run_id} (${lastChange.from.finished_at}) ` +
+      `and run #${lastChange.to.run_id} (${lastChange.to.finished_at}): ` +
+      `${lastChange.from.owners.join(", ")} -> ${lastChange.to.owners.join(", ")}`);
+  } else if (previous) {
+    console.log(`  Same owner in every snapshot that found it`);
+  }
+}
+
+async function runHistoryCommand(args, flags) {
+  const [query, value, ...extra] = args;
+  if (!HISTORY_QUERIES.includes(query)) {
+    throw new UsageError(query
+      ? `Unknown history query: ${query} (expected ${HISTORY_QUERIES.join(", ")})`
+      : `Missing history query (${HISTORY_QUERIES.join(", ")})`);
+  }
+
+  const needsValue = query === "wallet" || query === "token";
+  if (needsValue && !value) {
+    throw new UsageError(query === "wallet" ? "history wallet needs a wallet address" : "history token needs a token ID or Solana mint");
+  }
+  const unexpected = needsValue ? extra[0] : value;
+  if (unexpected !== undefined) {
+    throw new UsageError(`Unexpected argument: ${unexpected}`);
+  }
+
+  if (flags.run !== undefined && query !== "wallet") {
+    throw new UsageError("--run only applies to history wallet");
+  }
+  const runId = flags.run !== undefined ? parseRunId(flags.run) : null;
+  const collection = flags.collection || null;
+
+  const database = await SnapshotDatabase.open(SNAPSHOT_DB_FILE, { create: false });
+  try {
+    switch (query) {
+      case "runs":
+        printRunTable(database.listRuns(collection));
+        break;
+      case "holders":
+        printHolderCounts(database.listRuns(collection));
+        break;
+      case "wallet": {
+        let runs;
+        if (runId !== null) {
+          const run = database.getRun(runId);
+          if (!run) {
+            throw new Error(`Run #${runId} not found in ${SNAPSHOT_DB_FILE}`);
           }
-          await sleep(backoffDelay);
-          continue;
-        }
-        
-        // Only log non-rate-limit errors
-        if (attempt === maxRetries - 1) { // Only log on final attempt
-          console.error(`Failed to process mint ${mintAddress}: ${error.message}`);
+          runs = [run];
+        } else {
+          runs = database.latestRuns().filter(run => !collection || run.collection === collection);
         }
-        
-        if (attempt < maxRetries - 1) {
-          await sleep(retryDelay * (attempt + 2));
-          continue;
+        printWalletTokens(database, runs, value);
+        break;
+      }
+      case "token": {
+        const histories = (collection ? [collection] : database.collections())
+          .map(name => [name, database.tokenHistory(name, value)])
+          .filter(([, rows]) => rows.length > 0);
+        if (histories.length === 0) {
+          console.log(`Token ${value} is not in any recorded run`);
         }
+        histories.forEach(([name, rows]) => printTokenHistory(name, value, rows));
+        break;
       }
     }
-    
-    // Only log final failure occasionally to avoid spam
-    if (Math.random() < 0.1) {
-      console.error(`❌ Failed to get owner for some mints after ${maxRetries} attempts`);
+  } finally {
+    database.close();
+  }
+  return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Snapshot files named on the command line as { collectionId: file }, or the
+ * newest snapshot of each collection in outDir when none are given.
+ */
+function resolveSnapshotFiles(args, outDir) {
+  if (args.length === 0) {
+    const files = HolderReport.findLatestSnapshots(outDir);
+    if (Object.keys(files).length === 0) {
+      throw new Error(`No snapshot files found in ${outDir}`);
     }
-    return null;
+    return files;
   }
 
-  async readCSV(inputFile) {
-    return new Promise((resolve, reject) => {
-      const results = [];
-      
-      if (!fs.existsSync(inputFile)) {
-        reject(new Error(`Input file not found: ${inputFile}`));
-        return;
-      }
-      
-      fs.createReadStream(inputFile)
-        .pipe(csv())
-        .on('data', (data) => {
-          results.push(data);
-        })
-        .on('end', () => {
-          resolve(results);
-        })
-        .on('error', (error) => {
-          reject(error);
-        });
-    });
+  const files = {};
+  args.forEach(file => {
+    const collection = HolderReport.collectionOf(file);
+    if (!collection) {
+      throw new UsageError(`Not a snapshot file of a known collection: ${file}`);
+    }
+    if (files[collection.id]) {
+      throw new UsageError(`Two ${collection.name} snapshots given: ${files[collection.id]} and ${file}`);
+    }
+    files[collection.id] = file;
+  });
+  return files;
+}
+
+async function runReportCommand(args, flags) {
+  const format = flags.format || "csv";
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new UsageError(`Invalid format: ${format} (expected ${OUTPUT_FORMATS.join(" or ")})`);
   }
+  const outDir = flags.outDir || OUTPUT_DIR;
 
-  async processIDMappingCSV(inputFile = CONTRACTS.solanaPanda.inputFile) {
-    try {
-      console.log(`Reading CSV file: ${inputFile}`);
-      const data = await this.readCSV(inputFile);
-      
-      if (data.length === 0) {
-        throw new Error("CSV file is empty");
+  await new HolderReport().run(resolveSnapshotFiles(args, outDir), { outDir, format });
+  return EXIT_CODES.SUCCESS;
+}
+
+async function runAllocateCommand(args, flags) {
+  const [rulesFile, ...snapshotFiles] = args;
+  if (!rulesFile) {
+    throw new UsageError("Missing rules file");
+  }
+  const format = flags.format || "csv";
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new UsageError(`Invalid format: ${format} (expected ${OUTPUT_FORMATS.join(" or ")})`);
+  }
+  const outDir = flags.outDir || OUTPUT_DIR;
+
+  const rules = loadAllocationRules(rulesFile);
+  await new AirdropAllocator(rules).run(resolveSnapshotFiles(snapshotFiles, outDir), { outDir, format });
+  return EXIT_CODES.SUCCESS;
+}
+
+function printLinkMessage(evm, solana) {
+  if (!ethers.isAddress(evm)) {
+    throw new UsageError(`Invalid EVM address: ${evm}`);
+  }
+  if (!isSolanaAddress(solana)) {
+    throw new UsageError(`Invalid Solana address: ${solana}`);
+  }
+  const issuedAt = new Date().toISOString();
+  const link = { evm: ethers.getAddress(evm), solana, issuedAt };
+
+  console.log("Sign this message with both wallets (Solana signMessage; EVM personal_sign):\n");
+  console.log(buildLinkMessage(evm, solana, issuedAt));
+  console.log("\nOr sign these EIP-712 typed data with the EVM wallet (primary type WalletLink):\n");
+  console.log(JSON.stringify({ ...LINK_TYPED_DATA, primaryType: "WalletLink", message: link }, null, 2));
+  console.log("\nThen fill in the signatures and pass the file to `link add`:\n");
+  console.log(JSON.stringify({ ...link, scheme: "eip191", evmSignature: "0x...", solanaSignature: "<base58>" }, null, 2));
+}
+
+async function runLinkCommand(args, flags) {
+  const [action, ...rest] = args;
+  if (!LINK_ACTIONS.includes(action)) {
+    throw new UsageError(action
+      ? `Unknown link action: ${action} (expected ${LINK_ACTIONS.join(", ")})`
+      : `Missing link action (${LINK_ACTIONS.join(", ")})`);
+  }
+  const expected = { message: 2, add: 1, remove: 1, list: 0 }[action];
+  if (rest.length !== expected) {
+    throw new UsageError({
+      message: "link message needs an EVM address and a Solana wallet",
+      add: "link add needs one JSON file of signed links",
+      remove: "link remove needs the EVM address or Solana wallet to unlink",
+      list: `Unexpected argument: ${rest[0]}`
+    }[action]);
+  }
+
+  if (action === "message") {
+    printLinkMessage(...rest);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  const registry = WalletLinkRegistry.load();
+  switch (action) {
+    case "list":
+      console.log(`${registry.links.length} wallet link(s) in ${registry.filePath}`);
+      registry.links.forEach(({ evm, solana, scheme, issuedAt }) => {
+        console.log(`- ${evm} <-> ${solana} (${scheme}, issued ${issuedAt})`);
+      });
+      return EXIT_CODES.SUCCESS;
+    case "remove": {
+      const link = registry.remove(rest[0]);
+      if (!link) {
+        throw new Error(`${rest[0]} is not linked in ${registry.filePath}`);
       }
-      
-      const requiredColumns = ['SolanaTokenId'];
-      const firstRow = data[0];
-      const missingColumns = requiredColumns.filter(col => !(col in firstRow));
-      
-      if (missingColumns.length > 0) {
-        throw new Error(`Missing required columns: ${missingColumns.join(', ')}`);
+      registry.save();
+      console.log(`Removed link ${link.evm} <-> ${link.solana}`);
+      return EXIT_CODES.SUCCESS;
+    }
+    case "add": {
+      if (!fs.existsSync(rest[0])) {
+        throw new Error(`Input file not found: ${rest[0]}`);
       }
-      
-      const validData = data.filter(row => row.SolanaTokenId && row.SolanaTokenId.trim() !== '');
-      
-      console.log(`Processing ${validData.length} Solana Panda NFTs with valid token IDs`);
-      
-      validData.forEach(row => {
-        row.OwnerWallet = null;
+      const data = JSON.parse(fs.readFileSync(rest[0], "utf8"));
+      const links = Array.isArray(data) ? data : data.links || [data];
+      const outcomes = links.map(link => ({ link, ...registry.add(link) }));
+      outcomes.forEach(({ link, status, reason }) => {
+        const label = `${link?.evm} <-> ${link?.solana}`;
+        console.log(status === "rejected" ? `❌ ${label}: ${reason}` : `✅ ${label}: ${status === "added" ? "linked" : "already linked"}`);
       });
-      
-      const startTime = Date.now();
-      
-              // Process in smaller batches for Solana to avoid rate limits
-        const solanaBatchSize = Math.min(BATCH_SIZE, 15); // Max 15 at a time for Solana
-      for (let startIdx = 0; startIdx < validData.length; startIdx += solanaBatchSize) {
-        const endIdx = Math.min(startIdx + solanaBatchSize, validData.length);
-        const batch = validData.slice(startIdx, endIdx);
-        
-        console.log(`\nProcessing batch ${startIdx + 1}-${endIdx}...`);
-        
-        const batchPromises = batch.map(async (row, batchIdx) => {
-          if (!row.SolanaTokenId) {
-            return;
-          }
-          
-          const owner = await this.getNFTOwner(row.SolanaTokenId);
-          row.OwnerWallet = owner;
-        });
-        
-        await Promise.all(batchPromises);
-        
-        const batchFound = batch.filter(row => row.OwnerWallet).length;
-        console.log(`   Batch ${startIdx + 1}-${endIdx}: Found ${batchFound}/${batch.length} owners | Progress: ${endIdx}/${validData.length} NFTs`);
-                  await sleep(200); // Balanced delay between batches for Solana
+      if (outcomes.some(({ status }) => status === "added")) {
+        registry.save();
       }
-      
-      return await this.generateOutput(validData, startTime);
-      
-    } catch (error) {
-      console.error(`Error processing CSV: ${error.message}`);
-      throw error;
+      const rejected = outcomes.filter(({ status }) => status === "rejected").length;
+      console.log(`\n${outcomes.length - rejected}/${outcomes.length} link(s) verified; ${registry.links.length} in ${registry.filePath}`);
+      return rejected > 0 ? EXIT_CODES.INCOMPLETE : EXIT_CODES.SUCCESS;
     }
   }
+}
+
+async function runMerkleCommand(args, flags) {
+  const [action, ...rest] = args;
+  if (!MERKLE_ACTIONS.includes(action)) {
+    throw new UsageError(action
+      ? `Unknown merkle action: ${action} (expected ${MERKLE_ACTIONS.join(", ")})`
+      : `Missing merkle action (${MERKLE_ACTIONS.join(", ")})`);
+  }
 
-  async generateOutput(validData, startTime) {
-    // Clean up old files
-    const files = fs.readdirSync('.');
-    const oldFiles = files.filter(file => file.startsWith('Solana Panda Holders') && file.endsWith('.csv'));
-    if (oldFiles.length > 0) {
-      oldFiles.forEach(file => fs.unlinkSync(file));
-      console.log(`Cleaned up ${oldFiles.length} old snapshot file(s)`);
+  if (action === "build") {
+    if (rest.length !== 1) {
+      throw new UsageError("merkle build needs one allocation or snapshot file");
     }
-    
-    const now = new Date();
-    const month = now.getMonth() + 1;
-    const day = now.getDate();
-    const dateString = `${month}.${day}`;
-    const outputFile = `Solana Panda Holders ${dateString}.csv`;
-    
-    const headers = Object.keys(validData[0]).map(key => ({
-      id: key,
-      title: key
-    }));
-    
-    const csvWriter = createCsvWriter({
-      path: outputFile,
-      header: headers
-    });
-    
-    await csvWriter.writeRecords(validData);
-    
-    const endTime = Date.now();
-    const totalRuntime = ((endTime - startTime) / 1000 / 60).toFixed(2);
-    
-    const foundOwners = validData.filter(row => row.OwnerWallet).length;
-    const missingOwners = validData.length - foundOwners;
-    
-    console.log("\n=== Solana Panda Snapshot Summary ===");
-    console.log(`- Total NFTs Processed: ${validData.length}`);
-    console.log(`- Owners Found: ${foundOwners}`);
-    console.log(`- Owners Not Found: ${missingOwners}`);
-    console.log(`- Success Rate: ${((foundOwners / validData.length) * 100).toFixed(2)}%`);
-    console.log(`- Total Runtime: ${totalRuntime} minutes`);
-    console.log(`\nCompleted! Results saved to ${outputFile}`);
-    
-    return {
-      processedData: validData,
-      outputFile: outputFile,
-      stats: {
-        total: validData.length,
-        found: foundOwners,
-        missing: missingOwners,
-        successRate: ((foundOwners / validData.length) * 100).toFixed(2),
-        runtime: totalRuntime
-      }
-    };
+    const decimals = flags.decimals ?? "0";
+    if (!/^\d+$/.test(decimals) || parseInt(decimals) > ALLOCATION_DECIMALS) {
+      throw new UsageError(`Invalid decimals: ${decimals} (expected 0 to ${ALLOCATION_DECIMALS})`);
+    }
+    await buildMerkleTrees(rest[0], { outDir: flags.outDir, decimals: parseInt(decimals) });
+    return EXIT_CODES.SUCCESS;
+  }
+
+  if (flags.decimals !== undefined) {
+    throw new UsageError("merkle verify takes the amount in base units; --decimals only applies to build");
+  }
+  const [root, wallet, amount, ...proofArgs] = rest;
+  if (amount === undefined) {
+    throw new UsageError("merkle verify needs a root, a wallet, an amount in base units and the proof hashes");
   }
+  if (!ethers.isHexString(root, 32)) {
+    throw new UsageError(`Invalid root: ${root} (expected a 32-byte hex hash)`);
+  }
+  if (!ethers.isAddress(wallet) && !isSolanaAddress(wallet)) {
+    throw new UsageError(`Invalid wallet: ${wallet}`);
+  }
+  if (!/^\d+$/.test(amount)) {
+    throw new UsageError(`Invalid amount: ${amount} (expected a whole number of base units)`);
+  }
+  // Proof hashes as separate arguments or comma-separated, as copied from a proofs file
+  const proof = proofArgs.flatMap(arg => arg.split(/[\s,\[\]"]+/)).filter(Boolean).map(hash => hash.toLowerCase());
+  const invalid = proof.find(hash => !ethers.isHexString(hash, 32));
+  if (invalid) {
+    throw new UsageError(`Invalid proof hash: ${invalid}`);
+  }
+
+  if (MerkleTree.verify(root, wallet, BigInt(amount), proof)) {
+    console.log(`✅ Valid: ${wallet} can claim ${amount} under root ${root}`);
+    return EXIT_CODES.SUCCESS;
+  }
+  console.log(`❌ Invalid: the proof for ${wallet} and ${amount} does not lead to root ${root}`);
+  return EXIT_CODES.INCOMPLETE;
 }
 
-/**
- * UNIFIED INTERFACE AND MENU SYSTEM
- */
-class KanpaiSnapshotter {
-  constructor() {
-    this.infinitySnapshotter = new InfinitySnapshotter();
-    this.pandaSnapshotter = new PandaSnapshotter();
-    this.solanaPandaSnapshotter = new SolanaPandaSnapshotter();
+function parseDiscoveryMethod(value = getDefaultDiscoveryMethod()) {
+  if (!DISCOVERY_METHODS.includes(value)) {
+    throw new UsageError(`Invalid discovery method: ${value} (expected ${DISCOVERY_METHODS.join(" or ")})`);
   }
+  return value;
+}
 
-  async displayMenu() {
-    console.log("\n" + "=".repeat(60));
-    console.log("🐼 KANPAI PANDA UNIFIED SNAPSHOTTER 🐼");
-    console.log("=".repeat(60));
-    console.log("Select a snapshotter to run:");
-    console.log("");
-    console.log("1. Infinity NFT Snapshotter (Ethereum Only)");
-    console.log("   - 250 NFTs on Ethereum");
-    console.log("   - Contract: 0x7Db7A0f8971C5d57F1ee44657B447D5D053B6bAE");
-    console.log("");
-    console.log("2. Panda Multi-Chain Snapshotter");
-    console.log("   - 9,000 NFTs across 7 chains");
-    console.log("   - Ethereum, Arbitrum, Optimism, BSC, Polygon, Fantom, Avalanche");
-    console.log("   - Contract: 0xaCF63E56fd08970b43401492a02F6F38B6635C91");
-    console.log("");
-    console.log("3. Solana Panda Snapshotter");
-    console.log("   - Reads from Solana Panda IDs.csv");
-    console.log("   - Uses Helius API for Solana blockchain");
-    console.log("");
-    console.log("4. Run All Snapshotters (Sequential)");
-    console.log("");
-    console.log("5. Exit");
-    console.log("=".repeat(60));
+async function runDiscoverCommand(args, flags) {
+  const [target, extra] = args;
+  const solanaCollections = Object.values(COLLECTIONS).filter(collection => collection.type === "solana-mint-list");
+  if (!target) {
+    throw new UsageError(`Missing collection (${solanaCollections.map(({ id }) => id).join(", ")})`);
+  }
+  if (extra !== undefined) {
+    throw new UsageError(`Unexpected argument: ${extra}`);
   }
+  const collection = solanaCollections.find(({ id }) => id === target);
+  if (!collection?.discovery) {
+    throw new UsageError(`${target} is not a Solana collection with discovery settings in ${COLLECTIONS_FILE}`);
+  }
+  if (SOLANA_RPC_URLS.length === 0) {
+    throw new Error(`HELIUS_API_KEY or SOLANA_RPC_URL is required for ${collection.name}`);
+  }
+  const method = parseDiscoveryMethod(flags.method);
 
-  async runInfinitySnapshotter() {
-    try {
-      console.log("\n🚀 Starting Infinity NFT Snapshotter...");
-      
-      if (!chains.ethereum.rpc) {
-        throw new Error("ETH_RPC_URL is required for Infinity snapshotter");
-      }
-      
-      const provider = getProvider("ethereum", chains.ethereum);
-      const snapshotBlock = await provider.getBlockNumber();
-      console.log(`Using latest Ethereum block number ${snapshotBlock} for snapshot`);
-      
-      return await this.infinitySnapshotter.snapshotNFTs(snapshotBlock);
-    } catch (error) {
-      console.error("Error in Infinity snapshotter:", error.message);
-      throw error;
+  const assets = await new SolanaSnapshotter(collection.id).discoverMints(method);
+  const rows = fs.existsSync(collection.mintList) ? await readCsvFile(collection.mintList) : [];
+  let issues = reconcileMintList(rows, assets);
+  printReconciliation(issues, assets, rows);
+
+  if (issues.length > 0) {
+    const outDir = flags.outDir || OUTPUT_DIR;
+    fs.mkdirSync(outDir, { recursive: true });
+    const reportFile = path.join(outDir, `${path.parse(collection.mintList).name} Reconciliation.csv`);
+    await writeSnapshotFile(reportFile, ["Issue", "SolanaTokenId", "TokenId", "OnChainTokenId", "Detail"]
+      .map(id => ({ id, title: id })), issues);
+    console.log(`\nReconciliation saved to ${reportFile}`);
+  }
+
+  if (flags.write) {
+    const mintListRows = buildMintListRows(assets, rows);
+    const hasRank = rows.length === 0 || "Rank" in rows[0];
+    await writeSnapshotFile(collection.mintList, [...(hasRank ? ["Rank"] : []), "SolanaTokenId", "TokenId"]
+      .map(id => ({ id, title: id })), mintListRows);
+    console.log(`Mint list rewritten with ${mintListRows.length} mints: ${collection.mintList}`);
+    // What is left is on-chain: names without a TokenId, or TokenIds used twice
+    issues = reconcileMintList(mintListRows, assets);
+    if (issues.length > 0) {
+      console.warn(`⚠️  ${issues.length} issue(s) remain in the collection itself, e.g. ${issues[0].Issue}: ${issues[0].Detail}`);
     }
   }
 
-  async runPandaSnapshotter() {
-    try {
-      console.log("\n🚀 Starting Panda Multi-Chain Snapshotter...");
-      
-      const missingRpcs = Object.entries(chains)
-        .filter(([name, config]) => !config.rpc)
-        .map(([name]) => name);
-      
-      if (missingRpcs.length > 0) {
-        console.warn(`Warning: Missing RPC URLs for chains: ${missingRpcs.join(', ')}`);
-        console.log("These chains will be skipped during the snapshot process.");
-      }
-      
-      await this.pandaSnapshotter.getLatestBlocks();
-      return await this.pandaSnapshotter.snapshotNFTs();
-    } catch (error) {
-      console.error("Error in Panda snapshotter:", error.message);
-      throw error;
+  return issues.length > 0 ? EXIT_CODES.INCOMPLETE : EXIT_CODES.SUCCESS;
+}
+
+async function runVerifyCommand(args, flags) {
+  if (args.length !== 1) {
+    throw new UsageError("verify needs exactly one manifest file");
+  }
+  if (flags.sample !== undefined && !/^\d+$/.test(flags.sample)) {
+    throw new UsageError(`Invalid sample size: ${flags.sample}`);
+  }
+  const sampleSize = flags.sample !== undefined ? parseInt(flags.sample) : 25;
+
+  const verifier = new SnapshotVerifier();
+  const result = await verifier.verify(args[0], { sampleSize });
+  verifier.printSummary(result);
+
+  const { files, blockCheck, rowCheck } = result;
+  const verified = files.every(({ status }) => status === "ok") && blockCheck.changed.length === 0 &&
+    blockCheck.unverified.length === 0 && rowCheck.mismatches.length === 0 && rowCheck.failed.length === 0;
+  console.log(verified ? "\n✅ Snapshot verified" : "\n❌ Snapshot could not be fully verified");
+  return verified ? EXIT_CODES.SUCCESS : EXIT_CODES.INCOMPLETE;
+}
+
+function formatFlagHelp(flagName) {
+  const spec = CLI_FLAGS[flagName];
+  const short = spec.short ? `-${spec.short}, ` : "";
+  const label = `${short}--${flagName}${spec.value ? ` ${spec.value}` : ""}`;
+  return `  ${label.padEnd(30)} ${spec.description}`;
+}
+
+function printCollectionHelp() {
+  console.log("");
+  console.log(`Collections (${COLLECTIONS_FILE}):`);
+  Object.values(COLLECTIONS).forEach(collection => {
+    console.log(`  ${collection.id.padEnd(40)} ${collection.name}${collection.description ? ` - ${collection.description}` : ""}`);
+  });
+}
+
+function printHelp(commandName) {
+  const command = CLI_COMMANDS[commandName];
+
+  if (command) {
+    console.log(`Usage: kanpai-snapshotter ${command.usage} [options]`);
+    console.log("");
+    console.log(command.description);
+    console.log("");
+    console.log("Options:");
+    [...command.flags, "help"].forEach(flagName => console.log(formatFlagHelp(flagName)));
+    if (commandName === "snapshot") {
+      printCollectionHelp();
     }
+    return;
   }
 
-  async runSolanaSnapshotter() {
-    try {
-      console.log("\n🚀 Starting Solana Panda Snapshotter...");
-      
-      if (!HELIUS_API_KEY) {
-        throw new Error("HELIUS_API_KEY is required for Solana snapshotter");
-      }
-      
-      if (!fs.existsSync(CONTRACTS.solanaPanda.inputFile)) {
-        throw new Error(`Input file not found: ${CONTRACTS.solanaPanda.inputFile}`);
+  console.log("Usage: kanpai-snapshotter <command> [options]");
+  console.log("");
+  console.log("Run without a command to open the interactive menu.");
+  console.log("");
+  console.log("Commands:");
+  Object.values(CLI_COMMANDS).forEach(({ usage, description }) => {
+    console.log(`  ${usage.padEnd(40)} ${description}`);
+  });
+  console.log(`  ${"help [command]".padEnd(40)} Show help for a command`);
+  printCollectionHelp();
+  console.log("");
+  console.log("Exit codes:");
+  console.log(`  ${EXIT_CODES.SUCCESS}  Success`);
+  console.log(`  ${EXIT_CODES.FAILURE}  Fatal error`);
+  console.log(`  ${EXIT_CODES.USAGE}  Invalid command or options`);
+  console.log(`  ${EXIT_CODES.INCOMPLETE}  Completed with lookups that failed on RPC errors, cross-check mismatches, reorged snapshot blocks or failed snapshotters;`);
+  console.log(`     for verify: changed files or blocks, or sampled rows that do not match the chain; for discover: mint list differences`);
+}
+
+/**
+ * Run a CLI invocation and resolve to its exit code instead of exiting, so
+ * callers (and scripts using this module) decide what to do with it.
+ */
+async function runCli(argv) {
+  try {
+    const { positionals, flags, seen } = parseCliArgs(argv);
+    const [commandName = "help", ...args] = positionals;
+
+    if (commandName === "help") {
+      if (args[0] && !CLI_COMMANDS[args[0]]) {
+        throw new UsageError(`Unknown command: ${args[0]}`);
       }
-      
-      return await this.solanaPandaSnapshotter.processIDMappingCSV();
-    } catch (error) {
-      console.error("Error in Solana snapshotter:", error.message);
-      throw error;
+      printHelp(args[0]);
+      return EXIT_CODES.SUCCESS;
     }
-  }
 
-  async runAllSnapshotters() {
-    console.log("\n🚀 Running All Snapshotters Sequentially...");
-    const results = {};
-    
-    try {
-      console.log("\n" + "=".repeat(40));
-      console.log("STEP 1/3: Infinity NFT Snapshotter");
-      console.log("=".repeat(40));
-      results.infinity = await this.runInfinitySnapshotter();
-    } catch (error) {
-      console.error("Infinity snapshotter failed:", error.message);
-      results.infinity = { error: error.message };
+    const command = CLI_COMMANDS[commandName];
+    if (!command) {
+      throw new UsageError(`Unknown command: ${commandName}`);
     }
-    
-    try {
-      console.log("\n" + "=".repeat(40));
-      console.log("STEP 2/3: Panda Multi-Chain Snapshotter");
-      console.log("=".repeat(40));
-      results.panda = await this.runPandaSnapshotter();
-    } catch (error) {
-      console.error("Panda snapshotter failed:", error.message);
-      results.panda = { error: error.message };
+
+    if (flags.help) {
+      printHelp(commandName);
+      return EXIT_CODES.SUCCESS;
     }
-    
-    try {
-      console.log("\n" + "=".repeat(40));
-      console.log("STEP 3/3: Solana Panda Snapshotter");
-      console.log("=".repeat(40));
-      results.solana = await this.runSolanaSnapshotter();
-    } catch (error) {
-      console.error("Solana snapshotter failed:", error.message);
-      results.solana = { error: error.message };
+
+    const unsupported = seen.find(flagName => flagName !== "help" && !command.flags.includes(flagName));
+    if (unsupported) {
+      throw new UsageError(`Option --${unsupported} is not supported by the ${commandName} command`);
     }
-    
-    console.log("\n" + "=".repeat(60));
-    console.log("🎉 ALL SNAPSHOTTERS COMPLETED");
-    console.log("=".repeat(60));
-    
-    Object.entries(results).forEach(([name, result]) => {
-      if (result.error) {
-        console.log(`❌ ${name.toUpperCase()}: FAILED - ${result.error}`);
-      } else {
-        console.log(`✅ ${name.toUpperCase()}: SUCCESS - ${result.outputFile}`);
-        if (result.stats) {
-          console.log(`   - Found: ${result.stats.found}/${result.stats.total} (${result.stats.successRate}%)`);
-          console.log(`   - Runtime: ${result.stats.runtime} minutes`);
-        }
-      }
-    });
-    
-    return results;
-  }
 
-  async start() {
-    try {
-      validateEnvironment();
-      
-      while (true) {
-        await this.displayMenu();
-        const choice = await question("\nEnter your choice (1-5): ");
-        
-        switch (choice.trim()) {
-          case '1':
-            await this.runInfinitySnapshotter();
-            break;
-          case '2':
-            await this.runPandaSnapshotter();
-            break;
-          case '3':
-            await this.runSolanaSnapshotter();
-            break;
-          case '4':
-            await this.runAllSnapshotters();
-            break;
-          case '5':
-            console.log("\n👋 Goodbye!");
-            rl.close();
-            return;
-          default:
-            console.log("\n❌ Invalid choice. Please enter 1-5.");
-            continue;
-        }
-        
-        const continueChoice = await question("\nWould you like to run another snapshotter? (y/n): ");
-        if (continueChoice.toLowerCase() !== 'y') {
-          console.log("\n👋 Goodbye!");
-          rl.close();
-          return;
-        }
-      }
-    } catch (error) {
-      console.error("\n💥 Fatal error:", error.message);
-      rl.close();
-      process.exit(1);
+    if (flags.config) {
+      loadConfigFile(flags.config);
     }
+
+    return await command.run(args, flags);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`Error: ${error.message}`);
+      console.error("Run with --help for usage.");
+      return EXIT_CODES.USAGE;
+    }
+    console.error("\n💥 Fatal error:", error.message);
+    return EXIT_CODES.FAILURE;
+  } finally {
+    destroyProviders();
   }
 }
 
 /**
  * MAIN EXECUTION
  */
-async function main() {
+async function main(argv = process.argv.slice(2)) {
+  if (argv.length > 0) {
+    process.exitCode = await runCli(argv);
+    return;
+  }
+
   const kanpaiSnapshotter = new KanpaiSnapshotter();
   await kanpaiSnapshotter.start();
 }
@@ -1089,9 +7099,35 @@ async function main() {
 // Export classes and functions for potential module use
 module.exports = {
   KanpaiSnapshotter,
+  EvmSnapshotter,
+  Erc1155Snapshotter,
+  SolanaSnapshotter,
   InfinitySnapshotter,
   PandaSnapshotter,
   SolanaPandaSnapshotter,
+  SnapshotDiffer,
+  SnapshotVerifier,
+  HolderReport,
+  WalletLinkRegistry,
+  verifyWalletLink,
+  AirdropAllocator,
+  loadAllocationRules,
+  parseDecimal,
+  formatDecimal,
+  roundDecimal,
+  MerkleTree,
+  buildMerkleTrees,
+  SnapshotDatabase,
+  BlockResolver,
+  getLogsAdaptive,
+  replayTransferLogs,
+  crossCheckOwners,
+  parseRetention,
+  applyRetention,
+  classifyWallets,
+  registerCustodianResolver,
+  EXIT_CODES,
+  runCli,
   main
 };
 
@@ -0,0 +1,184 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const {
+  AirdropAllocator, HolderReport, WalletLinkRegistry, loadAllocationRules, parseDecimal, formatDecimal, roundDecimal
+} = require("../kanpai_snapshotter.js");
+
+const root = path.join(__dirname, "..");
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kanpai-allocation-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const noLinks = new WalletLinkRegistry(null);
+const collections = {
+  infinity: HolderReport.collectionOf("Infinity Holders 6.27.csv"),
+  panda: HolderReport.collectionOf("Panda Holders 6.27.csv"),
+  solana: HolderReport.collectionOf("Solana Panda Holders 6.27.csv")
+};
+
+// Rules go through the same file loader and validation as the allocate command
+let rulesCount = 0;
+function rules(definition) {
+  const file = path.join(dir, `rules-${++rulesCount}.json`);
+  fs.writeFileSync(file, JSON.stringify(definition));
+  return loadAllocationRules(file);
+}
+
+const wallet = n => ethers.getAddress(ethers.toBeHex(n, 20));
+const evmRows = holders => holders.flatMap(([owner, count, chain = "ethereum", walletType = "eoa"]) =>
+  Array.from({ length: count }, () => ({ Owner: owner, Chain: chain, WalletType: walletType })));
+
+test("roundDecimal rounds down, to nearest (half up) and up", () => {
+  const cases = [
+    ["1234.5", 0, { down: "1234", nearest: "1235", up: "1235" }],
+    ["1234.49", 0, { down: "1234", nearest: "1234", up: "1235" }],
+    ["0.125", 2, { down: "0.12", nearest: "0.13", up: "0.13" }],
+    ["7", 0, { down: "7", nearest: "7", up: "7" }],
+    ["0.000000000000000001", 0, { down: "0", nearest: "0", up: "1" }]
+  ];
+  cases.forEach(([value, decimals, expected]) => Object.entries(expected).forEach(([mode, result]) => {
+    assert.equal(formatDecimal(roundDecimal(parseDecimal(value), decimals, mode)), result, `${value} ${mode} to ${decimals}`);
+  }));
+});
+
+test("worked example: allocation-rules.example.json over the 6.27 snapshots", async () => {
+  const snapshots = await new HolderReport(noLinks).load({
+    infinity: path.join(root, "Infinity Holders 6.27.csv"),
+    panda: path.join(root, "Panda Holders 6.27.csv"),
+    solana: path.join(root, "Solana Panda Holders 6.27.csv")
+  });
+  const allocation = new AirdropAllocator(loadAllocationRules(path.join(root, "allocation-rules.example.json")), noLinks)
+    .build(snapshots);
+
+  // These snapshots predate the WalletType column
+  assert.deepEqual(allocation.walletTypesMissing, ["Infinity", "Panda", "Solana Panda"]);
+  assert.equal(allocation.recipients.length, 3516);
+  assert.equal(allocation.allocated.length, 1374);
+  assert.equal(allocation.recipients.filter(({ status }) => status === "below-minimum").length, 2142);
+  assert.equal(formatDecimal(allocation.totals.points), "10291.5");
+  // 596 of the pool is lost to rounding down 1373 uncapped amounts
+  assert.equal(formatDecimal(allocation.totals.amount), "999404");
+
+  const byWallet = Object.fromEntries(allocation.recipients.map(recipient => [recipient.wallet, recipient]));
+  const expected = {
+    // Over the cap: 25000 of the pool is set aside and the rest is shared by 9788.5 points
+    "0xf0638096047EF0183d0f3232e82205b118E100DD": ["25000", [
+      "Panda ethereum 503 x 1 = 503 points",
+      "503 of 10291.5 points x 1000000 = 48875.285429723558276247, capped at 25000"
+    ]],
+    "0x89Cff61026f6743b8d25ae9B253582083136B1C4": ["19224", [
+      "Infinity 11 x 10 = 110 points",
+      "Panda ethereum 83 x 1 = 83 points",
+      "193 of 9788.5 points x 975000 = 19224.089492772130561373",
+      "rounded down to 0 decimals = 19224"
+    ]],
+    "0xC031F1B5DA488c3f4d78F9Eb63b689B841D55B55": ["3237", [
+      "Infinity 2 x 10 = 20 points",
+      "Panda ethereum 11 x 1 = 11 points",
+      "Panda avalanche 1 x 1 = 1 point",
+      "Panda fantom 1 x 1 x 0.5 = 0.5 points",
+      "32.5 of 9788.5 points x 975000 = 3237.217142565255146345",
+      "rounded down to 0 decimals = 3237"
+    ]],
+    "DBzW5t8Dy4syHYxxkpFweFvPU1cd4p4Jv7qyRcCSbbhx": ["5079", [
+      "Solana Panda 51 x 1 = 51 points",
+      "51 of 9788.5 points x 975000 = 5079.940746794708075803",
+      "rounded down to 0 decimals = 5079"
+    ]],
+    "0x00445928E1dCE1996f5E3ef50f39640C57780A1E": ["0", [
+      "Panda 1 below the collection minimum of 2: no points"
+    ]]
+  };
+  Object.entries(expected).forEach(([address, [amount, steps]]) => {
+    assert.equal(formatDecimal(byWallet[address].amount), amount, address);
+    assert.deepEqual(byWallet[address].steps, steps, address);
+  });
+  assert.equal(byWallet["0x00445928E1dCE1996f5E3ef50f39640C57780A1E"].status, "below-minimum");
+});
+
+test("the pool is conserved up to rounding, and capped wallets stay at the cap", () => {
+  // Holdings from 1 to 40 tokens, a few of them large enough to hit the cap
+  const holders = Array.from({ length: 30 }, (_, i) => [wallet(i + 1), (i * 7) % 40 + 1]);
+  holders.push([wallet(100), 400], [wallet(101), 250]);
+  const snapshots = [{ collection: collections.infinity, rows: evmRows(holders) }];
+
+  for (const rounding of [{ decimals: 0, mode: "down" }, { decimals: 2, mode: "nearest" }, { decimals: 0, mode: "up" }]) {
+    for (const cap of [null, "5000.5", "10"]) {
+      const definition = { pool: "100000", collections: { infinity: { weight: 1 } }, rounding, ...(cap ? { cap } : {}) };
+      const { allocated, totals } = new AirdropAllocator(rules(definition), noLinks).build(snapshots);
+      const label = `${rounding.mode} to ${rounding.decimals} decimals, cap ${cap}`;
+      const pool = parseDecimal("100000");
+      const unit = 10n ** BigInt(18 - rounding.decimals);
+
+      assert.equal(allocated.length, holders.length, label);
+      if (cap) {
+        allocated.forEach(({ wallet: address, amount }) => assert.ok(amount <= parseDecimal(cap), `${label}: ${address}`));
+      }
+      if (cap === "10") {
+        // Everyone is capped: the cap, rounded down, is all that goes out
+        assert.equal(totals.amount, parseDecimal("10") * BigInt(holders.length), label);
+        continue;
+      }
+      // Each wallet's amount is at most one rounding unit (plus the 1e-18 lost to division) from its exact share
+      const drift = pool > totals.amount ? pool - totals.amount : totals.amount - pool;
+      assert.ok(drift <= BigInt(holders.length) * (unit + 1n), `${label}: ${formatDecimal(totals.amount)}`);
+      if (rounding.mode === "down") {
+        assert.ok(totals.amount <= pool, label);
+      }
+    }
+  }
+});
+
+test("capped wallets' excess is shared again without pushing others over the cap", () => {
+  const holders = [[wallet(1), 60], [wallet(2), 30], [wallet(3), 6], [wallet(4), 4]];
+  const { allocated } = new AirdropAllocator(rules({
+    pool: "1000", cap: "300", collections: { infinity: { weight: 1 } }
+  }), noLinks).build([{ collection: collections.infinity, rows: evmRows(holders) }]);
+
+  // 60% of 1000 is over the cap; 700 is shared 30:6:4, and 525 for wallet 2 is over it too;
+  // the last 400 is shared 6:4
+  assert.deepEqual(allocated.map(({ wallet: address, amount }) => [address, formatDecimal(amount)]), [
+    [wallet(1), "300"], [wallet(2), "300"], [wallet(3), "240"], [wallet(4), "160"]
+  ]);
+});
+
+test("exclude and excludeWalletTypes remove wallets before the pool is shared", () => {
+  const excludedWallet = wallet(2);
+  const solanaPda = "4jUpGtmRJgUHLkXVqNxvypjvFrXyZSAzCjbXk2mjBR9D";
+  const solanaWallet = "DBzW5t8Dy4syHYxxkpFweFvPU1cd4p4Jv7qyRcCSbbhx";
+  const snapshots = [
+    {
+      collection: collections.infinity,
+      rows: evmRows([[wallet(1), 3], [excludedWallet, 5], [wallet(3), 4, "ethereum", "contract"], [wallet(4), 1, "ethereum", "multisig"]])
+    },
+    {
+      collection: collections.solana,
+      rows: [
+        { OwnerWallet: solanaPda, WalletType: "pda" },
+        { OwnerWallet: solanaWallet, WalletType: "wallet" }
+      ]
+    }
+  ];
+  const allocation = new AirdropAllocator(rules({
+    pool: "500",
+    collections: { infinity: { weight: 1 }, solana: { weight: 1 } },
+    // Listed lowercase: EVM addresses match whatever their case
+    exclude: [{ wallet: excludedWallet.toLowerCase(), reason: "team treasury" }],
+    excludeWalletTypes: ["contract", "pda"]
+  }), noLinks).build(snapshots);
+
+  const byWallet = Object.fromEntries(allocation.recipients.map(recipient => [recipient.wallet, recipient]));
+  assert.deepEqual([byWallet[excludedWallet].status, byWallet[excludedWallet].reason], ["excluded", "team treasury"]);
+  assert.deepEqual([byWallet[wallet(3)].status, byWallet[wallet(3)].reason], ["excluded", "wallet type contract"]);
+  assert.deepEqual([byWallet[solanaPda].status, byWallet[solanaPda].reason], ["excluded", "wallet type pda"]);
+  [excludedWallet, wallet(3), solanaPda].forEach(address => assert.equal(byWallet[address].amount, 0n));
+
+  // The remaining 5 points (3 + 1 + 1) share the whole pool
+  assert.deepEqual(allocation.allocated.map(({ wallet: address, amount }) => [address, formatDecimal(amount)]), [
+    [wallet(1), "300"], [wallet(4), "100"], [solanaWallet, "100"]
+  ]);
+  assert.deepEqual(allocation.walletTypesMissing, []);
+});
@@ -0,0 +1,100 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const axios = require("axios");
+const { BlockResolver } = require("../kanpai_snapshotter.js");
+const { startMockRpc } = require("./helpers/mock-rpc");
+
+const CHAIN_ID = 1;
+const LATEST = 300;
+
+// Twelve-second blocks, except that every seventh block shares its parent's timestamp
+const timestamps = [1700000000];
+for (let n = 1; n <= LATEST; n++) {
+  timestamps.push(timestamps[n - 1] + (n % 7 === 0 ? 0 : 12));
+}
+const expectedBlock = target => timestamps.findLastIndex(timestamp => timestamp <= target);
+
+let node;
+let chainCount = 0;
+// Providers are cached per chain name, so every resolver gets its own
+const chainConfig = () => ({ rpc: node.url, chainId: CHAIN_ID, moralisChain: "eth", name: `mock-${++chainCount}` });
+const resolve = (resolver, config, target) => resolver.resolve(config.name, config, target);
+
+before(async () => {
+  node = await startMockRpc((method, params) => {
+    switch (method) {
+      case "eth_chainId": return `0x${CHAIN_ID.toString(16)}`;
+      case "eth_blockNumber": return `0x${LATEST.toString(16)}`;
+      case "eth_getBlockByNumber": {
+        const number = params[0] === "latest" ? LATEST : parseInt(params[0], 16);
+        return number > LATEST ? null : { number: `0x${number.toString(16)}`, timestamp: `0x${timestamps[number].toString(16)}` };
+      }
+      default: throw { code: -32601, message: `method not found: ${method}` };
+    }
+  });
+});
+
+after(() => node.close());
+
+const targets = [
+  timestamps[0],               // genesis
+  timestamps[0] + 5,           // between the first two blocks
+  timestamps[7],               // shared by blocks 6 and 7
+  timestamps[100] + 11,        // just before block 101
+  timestamps[150],
+  timestamps[LATEST - 1]       // the block before the tip
+];
+
+test("resolves the last block at or before the target without a hint", async () => {
+  const resolver = new BlockResolver({ cacheFile: null, useMoralis: false });
+  const config = chainConfig();
+  for (const target of targets) {
+    assert.equal(await resolve(resolver, config, target), expectedBlock(target), `target ${target}`);
+  }
+});
+
+test("uses a Moralis hint on either side of the target", async t => {
+  let hint;
+  const moralis = t.mock.method(axios, "get", async () => ({ data: { block: hint } }));
+  const target = timestamps[150] + 3;
+
+  for (hint of [40, 149, 150, 151, 290]) {
+    const resolver = new BlockResolver({ cacheFile: null, useMoralis: true });
+    assert.equal(await resolve(resolver, chainConfig(), target), 150, `hint ${hint}`);
+  }
+  assert.equal(moralis.mock.callCount(), 5);
+});
+
+test("returns the tip for a target at or past it without caching it", async () => {
+  const resolver = new BlockResolver({ cacheFile: null, useMoralis: false });
+  const config = chainConfig();
+  for (const target of [timestamps[LATEST], timestamps[LATEST] + 3600]) {
+    assert.equal(await resolve(resolver, config, target), LATEST);
+    assert.equal(resolver.resolved[`${CHAIN_ID}:${target}`], undefined);
+  }
+});
+
+test("rejects a target before the first block", async () => {
+  const resolver = new BlockResolver({ cacheFile: null, useMoralis: false });
+  await assert.rejects(resolve(resolver, chainConfig(), timestamps[0] - 1), /before the first block/);
+});
+
+test("round-trips resolved blocks through the cache file", async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kanpai-blocks-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const cacheFile = path.join(dir, "block-cache.json");
+  const target = timestamps[200] + 1;
+
+  const first = new BlockResolver({ cacheFile, useMoralis: false });
+  assert.equal(await resolve(first, chainConfig(), target), 200);
+  assert.equal(JSON.parse(fs.readFileSync(cacheFile, "utf8"))[`${CHAIN_ID}:${target}`], 200);
+
+  const second = new BlockResolver({ cacheFile, useMoralis: false });
+  const calls = node.calls.length;
+  assert.equal(await resolve(second, chainConfig(), target), 200);
+  assert.equal(second.rpcCalls, 0);
+  assert.equal(node.calls.length, calls);
+});
@@ -0,0 +1,124 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { startMockRpc, mockBlock } = require("./helpers/mock-rpc");
+
+const CONTRACT = "0x7Db7A0f8971C5d57F1ee44657B447D5D053B6bAE";
+const ALICE = ethers.getAddress("0x00000000000000000000000000000000000a11ce");
+const BOB = ethers.getAddress("0x0000000000000000000000000000000000000b0b");
+const erc1155 = new ethers.Interface([
+  "function balanceOf(address account, uint256 id) view returns (uint256)",
+  "event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)"
+]);
+
+const transferSingle = (block, from, to, id, value) => {
+  const { topics, data } = erc1155.encodeEventLog("TransferSingle", [from, from, to, id, value]);
+  return {
+    address: CONTRACT,
+    blockNumber: ethers.toQuantity(block),
+    blockHash: ethers.keccak256(ethers.toBeHex(block, 32)),
+    transactionHash: ethers.id(`tx-${block}-${id}`),
+    transactionIndex: "0x0",
+    logIndex: "0x0",
+    removed: false,
+    topics,
+    data
+  };
+};
+
+// An ID too large for a JavaScript number, as collections that derive IDs from hashes mint
+const LARGE_ID = 2n ** 200n + 1n;
+
+const history = [
+  { block: 10, from: ethers.ZeroAddress, to: ALICE, id: 1n, value: 5n },
+  { block: 60, from: ALICE, to: BOB, id: 1n, value: 2n },
+  { block: 70, from: ethers.ZeroAddress, to: BOB, id: LARGE_ID, value: 1n }
+];
+
+// Balance of one holder from the transfers up to a block
+function balanceAt(holder, id, block) {
+  return history.filter(transfer => transfer.block <= block && transfer.id === id).reduce((balance, { from, to, value }) =>
+    balance + (to === holder ? value : 0n) - (from === holder ? value : 0n), 0n);
+}
+
+// The newest block the node reports as finalized
+const FINALIZED = 100;
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kanpai-erc1155-"));
+let node;
+let Erc1155Snapshotter;
+
+before(async () => {
+  node = await startMockRpc((method, params) => {
+    switch (method) {
+      case "eth_chainId": return "0x1";
+      case "eth_getBlockByNumber": return mockBlock(params[0] === "finalized" ? FINALIZED : parseInt(params[0], 16));
+      case "eth_getLogs": {
+        const from = parseInt(params[0].fromBlock, 16);
+        const to = parseInt(params[0].toBlock, 16);
+        return history.filter(({ block }) => block >= from && block <= to)
+          .map(({ block, from: sender, to: recipient, id, value }) => transferSingle(block, sender, recipient, id, value));
+      }
+      case "eth_call": {
+        const [holder, id] = erc1155.decodeFunctionData("balanceOf", params[0].data);
+        return erc1155.encodeFunctionResult("balanceOf", [balanceAt(holder, id, parseInt(params[1], 16))]);
+      }
+      default: throw { code: -32601, message: `method not found: ${method}` };
+    }
+  });
+
+  fs.writeFileSync(path.join(dir, "collections.json"), JSON.stringify({
+    chains: { ethereum: { chainId: 1, rpcEnv: "ETH_RPC_URL" } },
+    collections: {
+      editions: {
+        name: "Editions",
+        type: "evm-erc1155",
+        contracts: { ethereum: CONTRACT },
+        tokenIds: { method: "mint-events" },
+        deployBlocks: { ethereum: 0 },
+        output: { prefix: "Editions Holders" }
+      }
+    }
+  }));
+
+  // Settings are read when the module loads, so the node has to be up first
+  Object.assign(process.env, {
+    ETH_RPC_URL: node.url,
+    COLLECTIONS_FILE: path.join(dir, "collections.json"),
+    OUTPUT_DIR: dir,
+    USE_MULTICALL: "false",
+    CLASSIFY_WALLETS: "false",
+    USE_SNAPSHOT_DB: "false"
+  });
+  ({ Erc1155Snapshotter } = require("../kanpai_snapshotter.js"));
+});
+
+after(async () => {
+  await node.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const rowsOf = result => result.processedData.map(({ TokenId, Owner, Quantity, BlockNumber }) => [TokenId, Owner, Quantity, BlockNumber]);
+
+test("reads balances at the blocks passed in options", async t => {
+  t.mock.method(console, "log", () => {});
+
+  const before = await new Erc1155Snapshotter("editions").snapshotNFTs({ blocks: { ethereum: 50 } });
+  assert.equal(before.blocks.ethereum.block, 50);
+  assert.deepEqual(rowsOf(before), [["1", ALICE, "5", 50]]);
+
+  const after = await new Erc1155Snapshotter("editions").snapshotNFTs({ blocks: { ethereum: 80 } });
+  assert.deepEqual(rowsOf(after), [["1", BOB, "2", 80], ["1", ALICE, "3", 80], [LARGE_ID.toString(), BOB, "1", 80]]);
+});
+
+test("keeps token IDs above Number.MAX_SAFE_INTEGER in full", async t => {
+  t.mock.method(console, "log", () => {});
+
+  const result = await new Erc1155Snapshotter("editions").snapshotNFTs({ blocks: { ethereum: 90 }, tokenRange: { start: 2, end: Infinity } });
+  assert.deepEqual(rowsOf(result), [[LARGE_ID.toString(), BOB, "1", 90]]);
+  assert.equal(result.stats.total, 1);
+  assert.match(fs.readFileSync(result.outputFile, "utf8"), new RegExp(`^${LARGE_ID},${BOB},1,ethereum,90$`, "m"));
+});
@@ -0,0 +1,61 @@
+const http = require("http");
+
+/**
+ * Start a local JSON-RPC node on a free port. handle(method, params) returns
+ * the result or throws { code, message } for a JSON-RPC error. Batched
+ * requests are answered in one response, like a real node.
+ */
+async function startMockRpc(handle) {
+  const calls = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      const payload = JSON.parse(body);
+      const answer = ({ id, method, params }) => {
+        calls.push({ method, params });
+        try {
+          return { jsonrpc: "2.0", id, result: handle(method, params) };
+        } catch (error) {
+          return { jsonrpc: "2.0", id, error: { code: error.code ?? -32603, message: error.message } };
+        }
+      };
+      res.setHeader("content-type", "application/json");
+      res.end(JSON.stringify(Array.isArray(payload) ? payload.map(answer) : answer(payload)));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    calls,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+/**
+ * A block as eth_getBlockByNumber returns it, with a hash derived from its
+ * number and twelve-second block times.
+ */
+function mockBlock(number) {
+  const quantity = value => `0x${value.toString(16)}`;
+  return {
+    number: quantity(number),
+    hash: `0x${number.toString(16).padStart(64, "0")}`,
+    parentHash: `0x${Math.max(0, number - 1).toString(16).padStart(64, "0")}`,
+    timestamp: quantity(1700000000 + number * 12),
+    nonce: "0x0000000000000000",
+    difficulty: "0x0",
+    gasLimit: quantity(30000000),
+    gasUsed: "0x0",
+    miner: `0x${"0".repeat(40)}`,
+    extraData: "0x",
+    baseFeePerGas: "0x1",
+    transactions: []
+  };
+}
+
+module.exports = { startMockRpc, mockBlock };
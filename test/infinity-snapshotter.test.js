@@ -0,0 +1,97 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { startMockRpc, mockBlock } = require("./helpers/mock-rpc");
+
+const CONTRACT = "0x7Db7A0f8971C5d57F1ee44657B447D5D053B6bAE";
+const TRANSFER_TOPIC = ethers.id("Transfer(address,address,uint256)");
+const ALICE = ethers.getAddress("0x00000000000000000000000000000000000a11ce");
+const BOB = ethers.getAddress("0x0000000000000000000000000000000000000b0b");
+
+const transfer = (block, from, to, tokenId) => ({
+  address: CONTRACT,
+  blockNumber: ethers.toQuantity(block),
+  blockHash: ethers.keccak256(ethers.toBeHex(block, 32)),
+  transactionHash: ethers.id(`tx-${block}-${tokenId}`),
+  transactionIndex: "0x0",
+  logIndex: "0x0",
+  removed: false,
+  topics: [TRANSFER_TOPIC, ethers.zeroPadValue(from, 32), ethers.zeroPadValue(to, 32), ethers.toBeHex(tokenId, 32)],
+  data: "0x"
+});
+
+const history = [
+  transfer(10, ethers.ZeroAddress, ALICE, 1),
+  transfer(10, ethers.ZeroAddress, ALICE, 2),
+  transfer(60, ALICE, BOB, 1)
+];
+
+// The newest block the node reports as finalized
+const FINALIZED = 100;
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kanpai-infinity-"));
+let node;
+let InfinitySnapshotter;
+
+before(async () => {
+  node = await startMockRpc((method, params) => {
+    switch (method) {
+      case "eth_chainId": return "0x1";
+      case "eth_getBlockByNumber": return mockBlock(params[0] === "finalized" ? FINALIZED : parseInt(params[0], 16));
+      case "eth_getLogs": {
+        const from = parseInt(params[0].fromBlock, 16);
+        const to = parseInt(params[0].toBlock, 16);
+        return history.filter(log => parseInt(log.blockNumber, 16) >= from && parseInt(log.blockNumber, 16) <= to);
+      }
+      default: throw { code: -32601, message: `method not found: ${method}` };
+    }
+  });
+
+  // Settings are read when the module loads, so the node has to be up first
+  Object.assign(process.env, {
+    ETH_RPC_URL: node.url,
+    INFINITY_DEPLOY_BLOCK: "0",
+    OUTPUT_DIR: dir,
+    CLASSIFY_WALLETS: "false",
+    USE_SNAPSHOT_DB: "false"
+  });
+  ({ InfinitySnapshotter } = require("../kanpai_snapshotter.js"));
+});
+
+after(async () => {
+  await node.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const options = { engine: "events", tokenRange: { start: 1, end: 2 } };
+
+test("snapshotNFTs(snapshotBlock, options) snapshots at that block without changing the chain config", async t => {
+  t.mock.method(console, "log", () => {});
+
+  const result = await new InfinitySnapshotter().snapshotNFTs(50, options);
+  assert.equal(result.blocks.ethereum.block, 50);
+  assert.equal(result.blocks.ethereum.source, "pinned");
+  // Pinned blocks are resolved like any other, so their hash is checked again at the end of the run
+  assert.equal(result.blocks.ethereum.hash, mockBlock(50).hash);
+  assert.deepEqual(result.blockCheck, { changed: [], unverified: [] });
+  assert.deepEqual(result.processedData.map(({ TokenId, Owner, BlockNumber }) => [TokenId, Owner, BlockNumber]),
+    [["1", ALICE, 50], ["2", ALICE, 50]]);
+
+  // The pin did not stick to the ethereum config: a run without one reads the finalized block
+  const unpinned = await new InfinitySnapshotter().snapshotNFTs(options);
+  assert.equal(unpinned.blocks.ethereum.block, FINALIZED);
+  assert.equal(unpinned.blocks.ethereum.source, "latest");
+  assert.deepEqual(unpinned.processedData.map(({ TokenId, Owner, BlockNumber }) => [TokenId, Owner, BlockNumber]),
+    [["1", BOB, FINALIZED], ["2", ALICE, FINALIZED]]);
+});
+
+test("the pinned block is passed through options like any other snapshotter", async t => {
+  t.mock.method(console, "log", () => {});
+
+  const result = await new InfinitySnapshotter().snapshotNFTs({ ...options, blocks: { ethereum: 80 } });
+  assert.equal(result.blocks.ethereum.block, 80);
+  assert.deepEqual(result.processedData.map(({ TokenId, Owner }) => [TokenId, Owner]), [["1", BOB], ["2", ALICE]]);
+});
@@ -0,0 +1,116 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { MerkleTree, buildMerkleTrees } = require("../kanpai_snapshotter.js");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kanpai-merkle-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Roots from @openzeppelin/merkle-tree 1.x: StandardMerkleTree.of(values, ["address", "uint256"]).root
+const EVM_GOLDEN = {
+  // The example in OpenZeppelin's README
+  readme: {
+    values: [
+      ["0x1111111111111111111111111111111111111111", "5000000000000000000"],
+      ["0x2222222222222222222222222222222222222222", "2500000000000000000"]
+    ],
+    root: "0xd4dee0beab2d53f2cc83e567171bd2820e49898130a22622b10ead383e90bd77",
+    firstProof: ["0xb92c48e9d7abe27fd8dfd6b5dfdbfb1c9a463f80c712b66f3a5180a090cccafc"]
+  },
+  // Not a power of two, with 1 and the largest uint256
+  five: {
+    values: [
+      ["0xAbE635A453Db40eB18c26b28C6AD624127745faD", "25000"],
+      ["0x428ED7c65Aa0deff25D8455899f585308dd43651", "19224"],
+      ["0xf0638096047EF0183d0f3232e82205b118E100DD", "3237"],
+      ["0x89Cff61026f6743b8d25ae9B253582083136B1C4", "1"],
+      ["0xC031F1B5DA488c3f4d78F9Eb63b689B841D55B55", "115792089237316195423570985008687907853269984665640564039457584007913129639935"]
+    ],
+    root: "0x8211891f9d34ef07a876ccf5555e9d502a473f121238f6a58c7e4c397537625a",
+    firstProof: [
+      "0x27849550dbb42c65640537aaf70b4980a20b3553ce435f4487e661971f9708d6",
+      "0xa77df7f5caf63868d41730ae6d6309222ac167aab7799ad4c435a3d2f8323c75"
+    ]
+  },
+  single: {
+    values: [["0x00445928E1dCE1996f5E3ef50f39640C57780A1E", "42"]],
+    root: "0x4fd3327f27ad91053bb0e989c6faaa053a0f0e3aba58edda9402faf69c576985",
+    firstProof: []
+  }
+};
+
+// Leaves hashed from the bytes written out below (32-byte key, then the u64
+// little-endian), and the root of SimpleMerkleTree.of(leaves) from the same package
+const SOLANA_GOLDEN = {
+  values: [
+    ["DBzW5t8Dy4syHYxxkpFweFvPU1cd4p4Jv7qyRcCSbbhx", "5079",
+      "0xb51d117c6fc26a9d4fefae84f1fac7aa9592cb0f991ca784f57e907aacc9d48fd713000000000000",
+      "0x703f3ea0c1254df17ea5c515c14005428168e3572bed8d5f7dc9aa7014e63082"],
+    ["2GKhxsLQE4DVP3DtFa8C9SyUxWH4djyHUMXgfSc8q8Gy", "18446744073709551615",
+      "0x12c88ce089cc79896d75df3392dd1ceb9c30bb71fccc07c76f11d821cf25bdaaffffffffffffffff",
+      "0x4465596fcb67c5d4d851914a5dcd0b8aa7344b27fbb4ce2aacc3f9cc1c90d786"],
+    ["AipHcqdo7jJkkRVwqh6h4XViR7b4QypkYcchiAbqdXnC", "1",
+      "0x906f7669364706df0152044c5fc6be9f1f907fa6957f381e4df4f6a2ef72a5150100000000000000",
+      "0x99bbedbca2ec2f488dacd198dbf490320e4c566392e43e306cc375192d9103df"],
+    // All-zero key: the leading zero bytes must survive base58 decoding
+    ["11111111111111111111111111111111", "258",
+      "0x00000000000000000000000000000000000000000000000000000000000000000201000000000000",
+      "0xf911d828e41257382936b4155e921781e94998885cd03f958d1ec63ad448bd47"]
+  ],
+  root: "0x384d511330188a93344b4f9fcfdb9c689180b1f5c73097e6a033126228b80dfb"
+};
+
+const claimsOf = values => values.map(([wallet, amount]) => ({ wallet, amount: BigInt(amount) }));
+
+for (const [name, { values, root, firstProof }] of Object.entries(EVM_GOLDEN)) {
+  test(`EVM tree "${name}" has StandardMerkleTree's root and proofs`, () => {
+    const tree = new MerkleTree(claimsOf(values));
+    assert.equal(tree.root, root);
+
+    const first = tree.values.find(({ wallet }) => wallet === values[0][0]);
+    assert.deepEqual(tree.getProof(first.treeIndex), firstProof);
+    tree.values.forEach(({ wallet, amount, treeIndex }) => {
+      assert.ok(MerkleTree.verify(root, wallet, amount, tree.getProof(treeIndex)), wallet);
+    });
+    // The proof is for the amount as well as the wallet
+    assert.equal(MerkleTree.verify(root, values[0][0], BigInt(values[0][1]) + 1n, firstProof), false);
+  });
+}
+
+test("Solana leaves hash the 32-byte key and a little-endian u64", () => {
+  const tree = new MerkleTree(claimsOf(SOLANA_GOLDEN.values));
+  SOLANA_GOLDEN.values.forEach(([wallet, , encoded, leaf]) => {
+    assert.equal(ethers.keccak256(ethers.keccak256(encoded)), leaf);
+    assert.equal(tree.values.find(value => value.wallet === wallet).leaf, leaf, wallet);
+  });
+  assert.equal(tree.root, SOLANA_GOLDEN.root);
+  tree.values.forEach(({ wallet, amount, treeIndex }) => {
+    assert.ok(MerkleTree.verify(SOLANA_GOLDEN.root, wallet, amount, tree.getProof(treeIndex)), wallet);
+  });
+
+  assert.throws(() => new MerkleTree([{ wallet: SOLANA_GOLDEN.values[0][0], amount: 2n ** 64n }]), /does not fit in a u64/);
+});
+
+test("merkle build writes the golden roots and proofs for a mixed allocation file", async t => {
+  t.mock.method(console, "log", () => {});
+  const file = path.join(dir, "Season 1 Allocation 2026-01-01T00-00-00Z.csv");
+  const rows = [...EVM_GOLDEN.five.values, ...SOLANA_GOLDEN.values].map(([wallet, amount]) => `${wallet},${amount}`);
+  fs.writeFileSync(file, ["Wallet,Amount", ...rows].join("\n"));
+
+  const { merkleFile, proofsFile } = await buildMerkleTrees(file);
+  const merkle = JSON.parse(fs.readFileSync(merkleFile, "utf8"));
+  assert.equal(merkle.trees.evm.root, EVM_GOLDEN.five.root);
+  assert.equal(merkle.trees.solana.root, SOLANA_GOLDEN.root);
+  assert.equal(merkle.trees.evm.dump.tree[0], EVM_GOLDEN.five.root);
+
+  const proofs = JSON.parse(fs.readFileSync(proofsFile, "utf8"));
+  const [wallet, amount] = EVM_GOLDEN.five.values[0];
+  assert.deepEqual(proofs[wallet], {
+    amount,
+    leaf: merkle.trees.evm.dump.tree[merkle.trees.evm.dump.values.find(({ value }) => value[0] === wallet).treeIndex],
+    proof: EVM_GOLDEN.five.firstProof
+  });
+});
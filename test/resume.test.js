@@ -0,0 +1,71 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Settings are read when the module loads; no request reaches these endpoints
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kanpai-resume-"));
+Object.assign(process.env, {
+  ETH_RPC_URL: "http://127.0.0.1:9",
+  SOLANA_RPC_URL: "http://127.0.0.1:9",
+  CHECKPOINT_DIR: path.join(dir, "checkpoints"),
+  OUTPUT_DIR: dir,
+  SNAPSHOT_DB_FILE: path.join(dir, "snapshots.db"),
+  USE_SNAPSHOT_DB: "false"
+});
+const { KanpaiSnapshotter, SnapshotDatabase, EXIT_CODES, runCli } = require("../kanpai_snapshotter.js");
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function quiet(t) {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "warn", () => {});
+  return t.mock.method(console, "error", () => {});
+}
+
+test("snapshot all --resume does not skip collections that never completed a run", async t => {
+  quiet(t);
+  const results = await new KanpaiSnapshotter().runAllSnapshotters({ resume: true });
+
+  assert.deepEqual(Object.keys(results), ["infinity", "panda", "solana"]);
+  Object.values(results).forEach(result => {
+    assert.equal(result.skipped, undefined);
+    assert.match(result.notResumable, /no checkpoint and no completed run/);
+  });
+  assert.equal(await runCli(["snapshot", "all", "--resume"]), EXIT_CODES.INCOMPLETE);
+});
+
+test("snapshot all --resume skips collections with a snapshot file or a recorded run", async t => {
+  quiet(t);
+  const snapshotFile = path.join(dir, "Infinity Holders 2026-10-19T05-00-00Z block-100.csv");
+  fs.writeFileSync(snapshotFile, "TokenId,Owner\n");
+  const database = await SnapshotDatabase.open(process.env.SNAPSHOT_DB_FILE);
+  const runId = database.recordRun({
+    collection: "panda",
+    startedAt: "2026-10-19T05:00:00Z",
+    finishedAt: "2026-10-19T05:01:00Z",
+    totalTokens: 0,
+    blocks: {},
+    holdings: [],
+    failures: []
+  });
+  database.close();
+
+  const results = await new KanpaiSnapshotter().runAllSnapshotters({ resume: true });
+  assert.match(results.infinity.skipped, /last run completed/);
+  assert.ok(results.infinity.skipped.includes(snapshotFile));
+  assert.match(results.panda.skipped, new RegExp(`run #${runId} in`));
+  assert.match(results.solana.notResumable, /no checkpoint and no completed run/);
+  assert.equal(await runCli(["snapshot", "all", "--resume"]), EXIT_CODES.INCOMPLETE);
+
+  fs.writeFileSync(path.join(dir, "Solana Panda Holders 2026-10-19T05-00-00Z slot-100.csv"), "TokenId,OwnerWallet\n");
+  assert.equal(await runCli(["snapshot", "all", "--resume"]), EXIT_CODES.SUCCESS);
+});
+
+test("resuming a single collection without a checkpoint fails", async t => {
+  const errors = quiet(t);
+
+  assert.equal(await runCli(["snapshot", "panda", "--resume"]), EXIT_CODES.FAILURE);
+  assert.match(errors.mock.calls.map(({ arguments: args }) => args.join(" ")).join("\n"), /No panda checkpoint found/);
+});
@@ -0,0 +1,43 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseRetention, applyRetention } = require("../kanpai_snapshotter.js");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kanpai-retention-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Write files oldest first, one minute apart
+function writeFiles(names) {
+  const now = Date.now() / 1000;
+  names.forEach((name, index) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, "");
+    fs.utimesSync(file, now - (names.length - index) * 60, now - (names.length - index) * 60);
+  });
+}
+
+test("removes expired snapshots together with their reports", t => {
+  t.mock.method(console, "log", () => {});
+  const old = "Panda Holders 2026-10-17T00-00-00Z block-100";
+  const kept = "Panda Holders 2026-10-18T00-00-00Z block-200";
+  const current = "Panda Holders 2026-10-19T00-00-00Z block-300";
+  writeFiles([
+    "Panda Holders 6.27.csv",
+    `${old}.csv`, `${old} Failures.csv`, `${old} Conflicts.csv`, `${old} Disputes.json`, `${old} Manifest.json`,
+    `${old} Diff.csv`,
+    `${kept}.csv`, `${kept} Failures.csv`, `${kept} Manifest.json`,
+    `${current}.csv`, `${current} Manifest.json`,
+    "Infinity Holders 2026-10-17T00-00-00Z block-100.csv"
+  ]);
+
+  applyRetention("Panda Holders", path.join(dir, `${current}.csv`), { retention: parseRetention("2") });
+
+  assert.deepEqual(fs.readdirSync(dir).sort(), [
+    "Infinity Holders 2026-10-17T00-00-00Z block-100.csv",
+    `${old} Diff.csv`,
+    `${kept} Failures.csv`, `${kept} Manifest.json`, `${kept}.csv`,
+    `${current} Manifest.json`, `${current}.csv`
+  ].sort());
+});
@@ -0,0 +1,71 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { SnapshotDiffer } = require("../kanpai_snapshotter.js");
+
+const ALICE = "0xAbE635A453Db40eB18c26b28C6AD624127745faD";
+const BOB = "0x428ED7c65Aa0deff25D8455899f585308dd43651";
+const CAROL = "0x00000000000000000000000000000000000000C0";
+const DAVE = "0x00000000000000000000000000000000000000D0";
+const ERIN = "0x00000000000000000000000000000000000000E0";
+
+const fixture = name => path.join(__dirname, "fixtures", name);
+
+async function diffFixtures(oldFile, newFile) {
+  const differ = new SnapshotDiffer();
+  return differ.diff(await differ.loadSnapshot(fixture(oldFile)), await differ.loadSnapshot(fixture(newFile)));
+}
+
+test("lists added, removed, transferred and moved tokens", async () => {
+  const { tokenChanges } = await diffFixtures("diff-old.csv", "diff-new.csv");
+
+  // Token 1 is unchanged and token 2 only changed the case of its owner
+  assert.deepEqual(tokenChanges.map(({ TokenId, Change, OldOwner, NewOwner, OldChain, NewChain }) =>
+    [TokenId, Change, OldOwner, NewOwner, OldChain, NewChain]), [
+    ["3", "owner", BOB, ERIN, "ethereum", "ethereum"],
+    ["4", "chain", CAROL, CAROL, "polygon", "arbitrum"],
+    ["5", "removed", DAVE, "", "ethereum", ""],
+    ["6", "added", "", BOB, "", "ethereum"],
+    ["7", "owner+chain", BOB, ALICE, "ethereum", "polygon"]
+  ]);
+});
+
+test("lists new, departed and changed wallets by size of change", async () => {
+  const { walletChanges, summary } = await diffFixtures("diff-old.csv", "diff-new.csv");
+
+  assert.deepEqual(walletChanges.map(({ Wallet, OldBalance, NewBalance, Change, Status }) =>
+    [Wallet, OldBalance, NewBalance, Change, Status]), [
+    [ALICE, 2, 3, 1, "changed"],
+    [ERIN, 0, 1, 1, "new"],
+    [BOB, 2, 1, -1, "changed"],
+    [DAVE, 1, 0, -1, "departed"]
+  ]);
+  assert.deepEqual(summary, {
+    oldTokens: 6,
+    newTokens: 6,
+    changedOwner: 2,
+    movedChain: 2,
+    added: 1,
+    removed: 1,
+    quantityChanged: 0,
+    oldWallets: 4,
+    newWallets: 4,
+    walletsJoined: 1,
+    walletsDeparted: 1
+  });
+});
+
+test("reports no changes for the same snapshot on both sides", async () => {
+  const { tokenChanges, walletChanges } = await diffFixtures("diff-new.csv", "diff-new.csv");
+
+  assert.deepEqual(tokenChanges, []);
+  assert.deepEqual(walletChanges, []);
+});
+
+test("refuses to compare snapshots of different shapes", async () => {
+  const differ = new SnapshotDiffer();
+  const evm = await differ.loadSnapshot(fixture("diff-old.csv"));
+  const solana = await differ.loadSnapshot(path.join(__dirname, "..", "Solana Panda Holders 6.27.csv"));
+
+  assert.throws(() => differ.diff(evm, solana), /Cannot compare evm and solana snapshots/);
+});
@@ -0,0 +1,129 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+
+// Settings are read when the module loads: look up owners one call at a time, without retry delays
+Object.assign(process.env, { USE_MULTICALL: "false", RETRY_MAX_ATTEMPTS: "1", RETRY_DELAY: "1" });
+const { getLogsAdaptive, replayTransferLogs, crossCheckOwners } = require("../kanpai_snapshotter.js");
+const { startMockRpc } = require("./helpers/mock-rpc");
+
+const CONTRACT = "0x7Db7A0f8971C5d57F1ee44657B447D5D053B6bAE";
+const TRANSFER_TOPIC = ethers.id("Transfer(address,address,uint256)");
+const MAX_RANGE = 40;
+const ALICE = ethers.getAddress("0x00000000000000000000000000000000000a11ce");
+const BOB = ethers.getAddress("0x0000000000000000000000000000000000000b0b");
+const CAROL = ethers.getAddress("0x00000000000000000000000000000000000ca201");
+const erc721 = new ethers.Interface(["function ownerOf(uint256 tokenId) view returns (address)"]);
+
+const transfer = (block, logIndex, from, to, tokenId) => ({
+  address: CONTRACT,
+  blockNumber: ethers.toQuantity(block),
+  blockHash: ethers.keccak256(ethers.toBeHex(block, 32)),
+  transactionHash: ethers.id(`tx-${block}-${logIndex}`),
+  transactionIndex: "0x0",
+  logIndex: ethers.toQuantity(logIndex),
+  removed: false,
+  topics: [TRANSFER_TOPIC, ethers.zeroPadValue(from, 32), ethers.zeroPadValue(to, 32), ethers.toBeHex(tokenId, 32)],
+  data: "0x"
+});
+
+const history = [
+  transfer(5, 0, ethers.ZeroAddress, ALICE, 1),
+  transfer(5, 1, ethers.ZeroAddress, ALICE, 2),
+  transfer(5, 2, ethers.ZeroAddress, ALICE, 3),
+  // Token 2 is burned and minted again to Bob
+  transfer(30, 0, ALICE, ethers.ZeroAddress, 2),
+  transfer(70, 4, ethers.ZeroAddress, BOB, 2),
+  // Two transfers of token 1 in one block: log index decides the owner
+  transfer(90, 7, ALICE, BOB, 1),
+  transfer(90, 8, BOB, CAROL, 1),
+  // Token 3 ends burned
+  transfer(110, 1, ALICE, ethers.ZeroAddress, 3)
+];
+
+let node;
+before(async () => {
+  node = await startMockRpc((method, params) => {
+    switch (method) {
+      case "eth_chainId": return "0x1";
+      case "eth_getLogs": {
+        const from = parseInt(params[0].fromBlock, 16);
+        const to = parseInt(params[0].toBlock, 16);
+        if (to - from + 1 > MAX_RANGE) {
+          throw { code: -32602, message: `block range too large, max ${MAX_RANGE} blocks` };
+        }
+        // Newest first, as some nodes return them
+        return history.filter(log => parseInt(log.blockNumber, 16) >= from && parseInt(log.blockNumber, 16) <= to).reverse();
+      }
+      case "eth_call": {
+        // ownerOf at block 120: token 1 agrees with the replay, token 3 was never burned, token 2's lookup times out
+        const tokenId = Number(erc721.decodeFunctionData("ownerOf", params[0].data)[0]);
+        if (tokenId === 2) {
+          throw { code: -32000, message: "request timed out" };
+        }
+        return erc721.encodeFunctionResult("ownerOf", [tokenId === 1 ? CAROL : ALICE]);
+      }
+      default: throw { code: -32601, message: `method not found: ${method}` };
+    }
+  });
+});
+
+after(() => node.close());
+
+test("replays out-of-order logs by block and log index, with burns and re-mints", async () => {
+  const owners = await replayTransferLogs("replay", { rpc: node.url, chainId: 1 }, CONTRACT, 0, 120);
+
+  assert.deepEqual(Object.fromEntries(owners), { 1: CAROL, 2: BOB });
+});
+
+test("cross-check lists failed ownerOf lookups as unchecked, not as mismatches", async t => {
+  t.mock.method(console, "log", () => {});
+  const config = { rpc: node.url, chainId: 1, snapshotBlock: 120 };
+  const owners = await replayTransferLogs("cross-check", config, CONTRACT, 0, 120);
+
+  const result = await crossCheckOwners({ "cross-check": CONTRACT }, { "cross-check": owners }, [1, 2, 3], 3,
+    { "cross-check": config });
+
+  assert.equal(result.sampled, 3);
+  assert.equal(result.compared, 2);
+  assert.deepEqual(result.unchecked.map(({ tokenId, failure }) => [tokenId, failure]), [[2, "timeout"]]);
+  assert.deepEqual(result.mismatches, [{ tokenId: 3, chain: "cross-check", events: null, ownerOf: ALICE }]);
+});
+
+test("splits the block range when the node rejects it as too large", async () => {
+  const start = node.calls.length;
+  await replayTransferLogs("replay-split", { rpc: node.url, chainId: 1 }, CONTRACT, 0, 120);
+  const requests = node.calls.slice(start).filter(({ method }) => method === "eth_getLogs")
+    .map(({ params }) => [parseInt(params[0].fromBlock, 16), parseInt(params[0].toBlock, 16)]);
+
+  assert.deepEqual(requests[0], [0, 120]);
+  const accepted = requests.filter(([from, to]) => to - from + 1 <= MAX_RANGE);
+  assert.ok(accepted.length > 1);
+  // The accepted ranges cover every block exactly once
+  assert.deepEqual(accepted.flatMap(([from, to]) => Array.from({ length: to - from + 1 }, (_, i) => from + i)),
+    Array.from({ length: 121 }, (_, i) => i));
+});
+
+test("shrinks to the range a provider suggests", async () => {
+  const seen = [];
+  const provider = {
+    getLogs: async ({ fromBlock, toBlock }) => {
+      seen.push([fromBlock, toBlock]);
+      if (toBlock - fromBlock + 1 > 25) {
+        throw new Error(`query returned more than 10000 results. Try with this block range [${ethers.toQuantity(fromBlock)}, ${ethers.toQuantity(fromBlock + 24)}].`);
+      }
+      return [{ blockNumber: fromBlock }];
+    }
+  };
+
+  const logs = await getLogsAdaptive(provider, {}, 100, 199, "suggested");
+
+  assert.deepEqual(seen, [[100, 199], [100, 124], [125, 149], [150, 174], [175, 199]]);
+  assert.equal(logs.length, 4);
+});
+
+test("fails once a single block is rejected", async () => {
+  const provider = { getLogs: async () => { throw new Error("internal error"); } };
+
+  await assert.rejects(getLogsAdaptive(provider, {}, 0, 3, "broken"), /eth_getLogs failed for broken at block 0: internal error/);
+});
@@ -0,0 +1,68 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+
+// Settings are read when the module loads: one call at a time, without retry delays
+Object.assign(process.env, { USE_MULTICALL: "false", RETRY_MAX_ATTEMPTS: "1", RETRY_DELAY: "1", CLASSIFY_WALLETS: "true" });
+const { classifyWallets } = require("../kanpai_snapshotter.js");
+const { startMockRpc } = require("./helpers/mock-rpc");
+
+const safeInterface = new ethers.Interface([
+  "function masterCopy() view returns (address)",
+  "function getThreshold() view returns (uint256)",
+  "function VERSION() view returns (string)"
+]);
+
+// Runtime code of a Safe 1.3.0 proxy as deployed by the proxy factory
+const SAFE_PROXY_CODE = "0x608060405273ffffffffffffffffffffffffffffffffffffffff600054167fa619486e0000000000000000000000000000000000000000000000000000000060003514156050578060005260206000f35b3660008037600080366000845af43d6000803e60008114156070573d6000fd5b3d6000f3fea2646970667358221220d1429297349653a4918076d650332de1a1068c5f3e07c5c82360c277770b955264736f6c63430007060033";
+const SAFE_141_SINGLETON = "0x41675C099F32341bf84BFc5382aF534df5C7461a";
+
+const wallet = n => ethers.getAddress(`0x${n.toString(16).padStart(40, "0")}`);
+const EOA = wallet(0xa11ce);
+const SAFE_PROXY = wallet(0x5afe);
+const SAFE_CLONE = wallet(0xc10e);
+const LOOKALIKE = wallet(0x1001);
+
+// code plus the view calls each account answers; anything else reverts
+const accounts = {
+  [EOA]: { code: "0x" },
+  [SAFE_PROXY]: { code: SAFE_PROXY_CODE, masterCopy: "0xd9Db270c1B5E3Bd161E8c8503c55cEABeE709552", getThreshold: 2n, VERSION: "1.3.0" },
+  // A proxy with other code that delegates to a Safe singleton
+  [SAFE_CLONE]: { code: "0x363d3d373d3d3d363d73", masterCopy: SAFE_141_SINGLETON, getThreshold: 3n, VERSION: "1.4.1" },
+  // Answers getThreshold() and has the masterCopy() selector in its code, but is no Safe
+  [LOOKALIKE]: { code: "0x6a619486e0", masterCopy: wallet(0xbad), getThreshold: 2n }
+};
+
+let node;
+
+before(async () => {
+  node = await startMockRpc((method, params) => {
+    switch (method) {
+      case "eth_chainId": return "0x1";
+      case "eth_getCode": return accounts[ethers.getAddress(params[0])].code;
+      case "eth_call": {
+        const account = accounts[ethers.getAddress(params[0].to)];
+        const call = safeInterface.parseTransaction({ data: params[0].data });
+        if (account[call.name] === undefined) throw { code: 3, message: "execution reverted" };
+        return safeInterface.encodeFunctionResult(call.name, [account[call.name]]);
+      }
+      default: throw { code: -32601, message: `method not found: ${method}` };
+    }
+  });
+});
+
+after(() => node.close());
+
+test("labels Safe proxies and proxies to a Safe singleton as multisigs, and nothing else", async t => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "warn", () => {});
+
+  const runChains = { ethereum: { chainId: 1, rpc: node.url, snapshotBlock: 100 } };
+  const classes = await classifyWallets(Object.keys(accounts).map(owner => ({ chain: "ethereum", owner })), runChains);
+  const classOf = owner => classes.get(`ethereum:${owner.toLowerCase()}`);
+
+  assert.deepEqual(classOf(EOA), { type: "eoa", detail: "" });
+  assert.deepEqual(classOf(SAFE_PROXY), { type: "multisig", detail: "Safe 1.3.0, threshold 2" });
+  assert.deepEqual(classOf(SAFE_CLONE), { type: "multisig", detail: "Safe 1.4.1, threshold 3" });
+  assert.deepEqual(classOf(LOOKALIKE), { type: "contract", detail: "" });
+});
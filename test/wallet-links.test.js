@@ -0,0 +1,72 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { verifyWalletLink, WalletLinkRegistry } = require("../kanpai_snapshotter.js");
+const fixtures = require("./fixtures/signed-links.json");
+
+// Signed with fixed test keys: Alice and Bob each hold one EVM and one Solana wallet
+const { alice, bob } = fixtures.wallets;
+
+for (const scheme of ["eip191", "eip712"]) {
+  const cases = fixtures[scheme];
+
+  test(`${scheme}: a link signed by both wallets verifies`, () => {
+    assert.equal(verifyWalletLink(cases.valid), null);
+  });
+
+  test(`${scheme}: a signature from another EVM wallet is rejected`, () => {
+    assert.equal(verifyWalletLink(cases.wrongSigner),
+      `EVM signature was made by ${bob.evm}, not ${alice.evm} (contract wallets cannot be verified offline)`);
+  });
+
+  test(`${scheme}: a signature over a different issuedAt is rejected`, () => {
+    assert.match(verifyWalletLink(cases.swappedMessage), new RegExp(`^EVM signature was made by 0x[0-9a-fA-F]{40}, not ${alice.evm}`));
+  });
+
+  test(`${scheme}: Alice's EVM signature cannot link her wallet to Bob's Solana wallet`, () => {
+    assert.equal(cases.replayed.solana, bob.solana);
+    assert.match(verifyWalletLink(cases.replayed), new RegExp(`^EVM signature was made by 0x[0-9a-fA-F]{40}, not ${alice.evm}`));
+  });
+}
+
+test("ed25519: a link signed by both wallets verifies", () => {
+  assert.equal(verifyWalletLink(fixtures.ed25519.valid), null);
+});
+
+test("ed25519: a signature from another Solana wallet is rejected", () => {
+  assert.equal(verifyWalletLink(fixtures.ed25519.wrongSigner),
+    `Solana signature is not valid for ${alice.solana} and this link message`);
+});
+
+test("ed25519: a signature over a different issuedAt is rejected", () => {
+  assert.equal(verifyWalletLink(fixtures.ed25519.swappedMessage),
+    `Solana signature is not valid for ${alice.solana} and this link message`);
+});
+
+test("ed25519: Alice's Solana signature cannot link her wallet to Bob's EVM wallet", () => {
+  assert.equal(fixtures.ed25519.replayed.evm, bob.evm);
+  assert.equal(verifyWalletLink(fixtures.ed25519.replayed),
+    `Solana signature is not valid for ${alice.solana} and this link message`);
+});
+
+test("the registry adds only the verified link and finds it from either wallet", () => {
+  const registry = new WalletLinkRegistry(null);
+  assert.equal(registry.add(fixtures.ed25519.replayed).status, "rejected");
+  assert.deepEqual(registry.add(fixtures.eip712.valid), { status: "added" });
+  assert.deepEqual(registry.add(fixtures.eip191.valid), { status: "unchanged" });
+
+  assert.equal(registry.find(alice.evm.toLowerCase()), registry.find(alice.solana));
+  assert.deepEqual(registry.identityOf(alice.solana), { key: alice.evm.toLowerCase(), wallet: alice.evm, linkedWallet: alice.solana });
+  assert.equal(registry.find(bob.evm), null);
+});
+
+test("a links file that is not valid JSON is named in the error", t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kanpai-links-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, "wallet-links.json");
+  fs.writeFileSync(filePath, '{ "links": [');
+
+  assert.throws(() => WalletLinkRegistry.load(filePath), error => error.message.startsWith(`Unreadable wallet links file ${filePath}: `));
+});